@@ -12,6 +12,16 @@ CREATE TABLE IF NOT EXISTS safes (
   created_at TIMESTAMPTZ NOT NULL DEFAULT now()
 );
 
+ALTER TABLE safes ADD COLUMN IF NOT EXISTS deployment_status TEXT NOT NULL DEFAULT 'deployed';
+ALTER TABLE safes ADD COLUMN IF NOT EXISTS deployment_tx_hash TEXT NULL;
+ALTER TABLE safes ADD COLUMN IF NOT EXISTS salt_nonce TEXT NULL;
+ALTER TABLE safes ADD COLUMN IF NOT EXISTS setup_initializer TEXT NULL;
+ALTER TABLE safes ADD COLUMN IF NOT EXISTS singleton_address TEXT NULL;
+ALTER TABLE safes ADD COLUMN IF NOT EXISTS factory_address TEXT NULL;
+ALTER TABLE safes ADD COLUMN IF NOT EXISTS auto_execute BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE safes ADD COLUMN IF NOT EXISTS settings_updated_by TEXT NULL;
+ALTER TABLE safes ADD COLUMN IF NOT EXISTS settings_updated_at TIMESTAMPTZ NULL;
+
 CREATE TABLE IF NOT EXISTS safe_owners (
   safe_address TEXT NOT NULL REFERENCES safes(safe_address) ON DELETE CASCADE,
   owner_address TEXT NOT NULL,
@@ -38,6 +48,21 @@ CREATE TABLE IF NOT EXISTS proposals (
 ALTER TABLE proposals ADD COLUMN IF NOT EXISTS is_advanced BOOLEAN NOT NULL DEFAULT FALSE;
 ALTER TABLE proposals ADD COLUMN IF NOT EXISTS summary JSONB NULL;
 CREATE INDEX IF NOT EXISTS idx_proposals_safe_nonce ON proposals(safe_address, nonce);
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS replaced_by UUID NULL REFERENCES proposals(id) ON DELETE SET NULL;
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS execution_status TEXT NULL;
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS execution_tx_hash TEXT NULL;
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS execution_submitted_at TIMESTAMPTZ NULL;
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS execution_gas_used TEXT NULL;
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS executed_by TEXT NULL;
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS execution_trigger TEXT NULL;
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS execution_triggered_by TEXT NULL;
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS auto_execute_attempts INT NOT NULL DEFAULT 0;
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS auto_execute_next_at TIMESTAMPTZ NULL;
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS auto_execute_last_error TEXT NULL;
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS not_before TIMESTAMPTZ NULL;
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ NULL;
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS scheduled_execute BOOLEAN NOT NULL DEFAULT FALSE;
+CREATE INDEX IF NOT EXISTS idx_proposals_execution_status ON proposals(execution_status);
 
 CREATE TABLE IF NOT EXISTS signatures (
   proposal_id UUID NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
@@ -47,11 +72,77 @@ CREATE TABLE IF NOT EXISTS signatures (
   PRIMARY KEY (proposal_id, owner_address)
 );
 
+ALTER TABLE signatures ADD COLUMN IF NOT EXISTS signature_type TEXT NOT NULL DEFAULT 'eip712';
+ALTER TABLE signatures ADD COLUMN IF NOT EXISTS approved_block_number BIGINT NULL;
+
+CREATE TABLE IF NOT EXISTS proposal_audit (
+  id UUID PRIMARY KEY,
+  proposal_id UUID NOT NULL,
+  safe_address TEXT NOT NULL REFERENCES safes(safe_address) ON DELETE CASCADE,
+  safe_tx_hash TEXT NOT NULL,
+  action TEXT NOT NULL,
+  actor TEXT NOT NULL,
+  signature TEXT NULL,
+  snapshot JSONB NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_proposal_audit_safe_created_at ON proposal_audit(safe_address, created_at DESC);
+
 CREATE TABLE IF NOT EXISTS sync_state (
   key TEXT PRIMARY KEY,
   value TEXT NOT NULL
 );
 
+CREATE TABLE IF NOT EXISTS sync_cursors (
+  name TEXT PRIMARY KEY,
+  next_block BIGINT NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS sync_blocks (
+  cursor_name TEXT NOT NULL REFERENCES sync_cursors(name) ON DELETE CASCADE,
+  block_number BIGINT NOT NULL,
+  block_hash TEXT NOT NULL,
+  PRIMARY KEY (cursor_name, block_number)
+);
+
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS executed_block_number BIGINT NULL;
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS imported_from_chain BOOLEAN NOT NULL DEFAULT FALSE;
+CREATE INDEX IF NOT EXISTS idx_proposals_executed_block ON proposals(executed_block_number);
+
+CREATE TABLE IF NOT EXISTS safe_owner_history (
+  id UUID PRIMARY KEY,
+  safe_address TEXT NOT NULL REFERENCES safes(safe_address) ON DELETE CASCADE,
+  event TEXT NOT NULL CHECK (event IN ('added_owner', 'removed_owner', 'changed_threshold')),
+  owner_address TEXT NULL,
+  threshold INT NULL,
+  tx_hash TEXT NOT NULL,
+  log_index INT NOT NULL,
+  block_number BIGINT NOT NULL,
+  occurred_at TIMESTAMPTZ NOT NULL,
+  UNIQUE (tx_hash, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_safe_owner_history_safe_block ON safe_owner_history(safe_address, block_number DESC);
+
+CREATE TABLE IF NOT EXISTS discovered_safes (
+  safe_address TEXT PRIMARY KEY,
+  singleton_address TEXT NOT NULL,
+  initial_threshold INT NOT NULL,
+  creation_tx_hash TEXT NOT NULL,
+  block_number BIGINT NOT NULL,
+  discovered_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS discovered_safe_owners (
+  safe_address TEXT NOT NULL REFERENCES discovered_safes(safe_address) ON DELETE CASCADE,
+  owner_address TEXT NOT NULL,
+  PRIMARY KEY (safe_address, owner_address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_discovered_safe_owners_owner ON discovered_safe_owners(owner_address);
+
 CREATE TABLE IF NOT EXISTS address_book (
   id UUID PRIMARY KEY,
   safe_address TEXT NOT NULL REFERENCES safes(safe_address) ON DELETE CASCADE,
@@ -87,7 +178,7 @@ CREATE TABLE IF NOT EXISTS withdrawals (
   l1_tx_hash TEXT NULL,
   l1_recipient TEXT NOT NULL,
   amount_wei TEXT NOT NULL,
-  status TEXT NOT NULL CHECK (status IN ('proposed', 'awaiting_signatures', 'ready_to_execute', 'executed_l2', 'awaiting_proof', 'finalizing_l1', 'finalized_l1', 'failed')),
+  status TEXT NOT NULL CHECK (status IN ('proposed', 'awaiting_signatures', 'ready_to_execute', 'executed_l2', 'awaiting_proof', 'finalizing_l1', 'finalized_l1', 'failed', 'superseded')),
   last_error TEXT NULL,
   created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
   updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
@@ -114,3 +205,134 @@ ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS proof_kind TEXT NULL;
 
 ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS spender TEXT NULL;
 ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS uses_multicall3 BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS service_nonces (
+  address TEXT PRIMARY KEY,
+  next_nonce BIGINT NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS service_transactions (
+  id UUID PRIMARY KEY,
+  from_address TEXT NOT NULL,
+  nonce BIGINT NOT NULL,
+  to_address TEXT NOT NULL,
+  value TEXT NOT NULL,
+  data TEXT NOT NULL,
+  gas_limit TEXT NOT NULL,
+  max_fee_per_gas TEXT NOT NULL,
+  max_priority_fee_per_gas TEXT NOT NULL,
+  tx_hash TEXT NOT NULL,
+  tx_hashes JSONB NOT NULL DEFAULT '[]'::jsonb,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'mined', 'dropped')),
+  purpose TEXT NOT NULL,
+  reference TEXT NULL,
+  speed_ups INT NOT NULL DEFAULT 0,
+  last_error TEXT NULL,
+  block_number BIGINT NULL,
+  receipt_status TEXT NULL,
+  broadcast_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_transactions_status ON service_transactions(from_address, status, nonce);
+CREATE INDEX IF NOT EXISTS idx_service_transactions_hashes ON service_transactions USING GIN (tx_hashes);
+
+CREATE TABLE IF NOT EXISTS payment_schedules (
+  id UUID PRIMARY KEY,
+  safe_address TEXT NOT NULL REFERENCES safes(safe_address) ON DELETE CASCADE,
+  label TEXT NOT NULL,
+  rule TEXT NOT NULL,
+  token_address TEXT NULL,
+  recipient TEXT NOT NULL,
+  amount TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused')),
+  next_run_at TIMESTAMPTZ NULL,
+  last_run_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  created_by TEXT NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_by TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS payment_schedule_runs (
+  id UUID PRIMARY KEY,
+  schedule_id UUID NOT NULL REFERENCES payment_schedules(id) ON DELETE CASCADE,
+  period_at TIMESTAMPTZ NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('pending', 'proposed', 'skipped', 'failed')),
+  proposal_id UUID NULL REFERENCES proposals(id) ON DELETE SET NULL,
+  safe_tx_hash TEXT NULL,
+  error TEXT NULL,
+  skipped_by TEXT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (schedule_id, period_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_schedules_due ON payment_schedules(status, next_run_at);
+CREATE INDEX IF NOT EXISTS idx_payment_schedules_safe ON payment_schedules(safe_address);
+
+CREATE TABLE IF NOT EXISTS contract_abis (
+  id UUID PRIMARY KEY,
+  safe_address TEXT NOT NULL REFERENCES safes(safe_address) ON DELETE CASCADE,
+  contract_address TEXT NOT NULL,
+  name TEXT NOT NULL,
+  abi JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  created_by TEXT NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_by TEXT NOT NULL,
+  UNIQUE (safe_address, contract_address)
+);
+
+CREATE TABLE IF NOT EXISTS safe_messages (
+  id UUID PRIMARY KEY,
+  safe_address TEXT NOT NULL REFERENCES safes(safe_address) ON DELETE CASCADE,
+  message TEXT NOT NULL,
+  safe_message_hash TEXT NOT NULL UNIQUE,
+  created_by TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS safe_message_signatures (
+  message_id UUID NOT NULL REFERENCES safe_messages(id) ON DELETE CASCADE,
+  owner_address TEXT NOT NULL,
+  signature TEXT NOT NULL,
+  signature_type TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (message_id, owner_address)
+);
+
+CREATE TABLE IF NOT EXISTS nested_approvals (
+  id UUID PRIMARY KEY,
+  parent_proposal_id UUID NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
+  child_safe_address TEXT NOT NULL,
+  method TEXT NOT NULL CHECK (method IN ('approve_hash', 'safe_message')),
+  child_proposal_id UUID NULL REFERENCES proposals(id) ON DELETE SET NULL,
+  child_message_id UUID NULL REFERENCES safe_messages(id) ON DELETE CASCADE,
+  created_by TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (parent_proposal_id, child_safe_address, method)
+);
+
+ALTER TABLE safe_messages ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'bytes';
+ALTER TABLE safe_messages ADD COLUMN IF NOT EXISTS payload JSONB NULL;
+ALTER TABLE safe_messages ADD COLUMN IF NOT EXISTS message_hash TEXT NULL;
+ALTER TABLE safe_messages ADD COLUMN IF NOT EXISTS description TEXT NULL;
+CREATE INDEX IF NOT EXISTS idx_safe_messages_safe ON safe_messages(safe_address, created_at DESC);
+
+ALTER TABLE signatures ADD COLUMN IF NOT EXISTS imported_by TEXT NULL;
+
+ALTER TABLE discovered_safes ADD COLUMN IF NOT EXISTS threshold INT NULL;
+ALTER TABLE discovered_safes ADD COLUMN IF NOT EXISTS owners_block_number BIGINT NULL;
+
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ NULL;
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS deleted_by TEXT NULL;
+
+ALTER TABLE withdrawals DROP CONSTRAINT IF EXISTS withdrawals_status_check;
+ALTER TABLE withdrawals ADD CONSTRAINT withdrawals_status_check CHECK (status IN ('proposed', 'awaiting_signatures', 'ready_to_execute', 'executed_l2', 'awaiting_proof', 'finalizing_l1', 'finalized_l1', 'failed', 'superseded'));
+
+ALTER TABLE payment_schedules ADD COLUMN IF NOT EXISTS paused_reason TEXT NULL;
+ALTER TABLE payment_schedule_runs ADD COLUMN IF NOT EXISTS attempts INT NOT NULL DEFAULT 0;
+ALTER TABLE payment_schedule_runs ADD COLUMN IF NOT EXISTS next_retry_at TIMESTAMPTZ NULL;
@@ -0,0 +1,243 @@
+import { decodeFunctionData, getAddress, isAddress, parseAbi, toFunctionSelector, toFunctionSignature } from 'viem';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from './config.js';
+import { pool } from './db.js';
+import { L2_ASSET_ROUTER } from './erc20Withdrawal.js';
+
+// `target` limits a built-in ABI to one contract; ABIs without it are tried against any target, in this order.
+const BUILTIN_ABIS = [
+  {
+    name: 'Safe',
+    target: ({ safeAddress }) => safeAddress,
+    abi: parseAbi([
+      'function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) payable returns (bool)',
+      'function addOwnerWithThreshold(address owner, uint256 _threshold)',
+      'function removeOwner(address prevOwner, address owner, uint256 _threshold)',
+      'function swapOwner(address prevOwner, address oldOwner, address newOwner)',
+      'function changeThreshold(uint256 _threshold)',
+      'function enableModule(address module)',
+      'function disableModule(address prevModule, address module)',
+      'function setGuard(address guard)',
+      'function setFallbackHandler(address handler)',
+      'function approveHash(bytes32 hashToApprove)'
+    ])
+  },
+  {
+    name: 'MultiSend',
+    target: () => config.multisendAddress,
+    abi: parseAbi(['function multiSend(bytes transactions) payable'])
+  },
+  {
+    name: 'L2 Asset Router',
+    target: () => L2_ASSET_ROUTER,
+    abi: parseAbi(['function withdraw(bytes32 assetId, bytes transferData) payable returns (bytes32)'])
+  },
+  {
+    name: 'ERC20',
+    abi: parseAbi([
+      'function transfer(address to, uint256 value) returns (bool)',
+      'function approve(address spender, uint256 value) returns (bool)',
+      'function transferFrom(address from, address to, uint256 value) returns (bool)',
+      'function increaseAllowance(address spender, uint256 addedValue) returns (bool)',
+      'function decreaseAllowance(address spender, uint256 subtractedValue) returns (bool)'
+    ])
+  },
+  {
+    name: 'ERC721',
+    abi: parseAbi([
+      'function safeTransferFrom(address from, address to, uint256 tokenId)',
+      'function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)',
+      'function setApprovalForAll(address operator, bool approved)'
+    ])
+  }
+];
+
+function normalizeAddress(address) {
+  return getAddress(address).toLowerCase();
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function parseJson(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (_error) {
+    throw badRequest('abi must be valid JSON');
+  }
+}
+
+// Accepts a bare ABI, a Hardhat/Foundry artifact, Sourcify metadata, an Etherscan getsourcecode response
+// or solc standard JSON output.
+function extractAbi(input, contractName) {
+  const source = parseJson(input);
+  if (Array.isArray(source)) return { abi: source, name: contractName };
+  if (!source || typeof source !== 'object') throw badRequest('abi is required');
+
+  if (source.abi) return { abi: parseJson(source.abi), name: contractName || source.contractName };
+  if (source.output?.abi) return { abi: parseJson(source.output.abi), name: contractName || Object.values(source.settings?.compilationTarget || {})[0] };
+  if (Array.isArray(source.result) && source.result[0]?.ABI) {
+    return { abi: parseJson(source.result[0].ABI), name: contractName || source.result[0].ContractName };
+  }
+  if (source.output?.contracts || source.contracts) {
+    const contracts = Object.values(source.output?.contracts || source.contracts)
+      .flatMap((file) => Object.entries(file).map(([name, contract]) => ({ name, abi: contract.abi })))
+      .filter((contract) => contract.abi && (!contractName || contract.name === contractName));
+    if (contracts.length !== 1) {
+      throw badRequest(contracts.length ? 'Compiler output has several contracts; pass contractName to pick one' : 'No contract ABI found in compiler output');
+    }
+    return { abi: parseJson(contracts[0].abi), name: contracts[0].name };
+  }
+  throw badRequest('Unrecognized ABI format');
+}
+
+function validateAbi(abi) {
+  if (!Array.isArray(abi) || abi.some((item) => !item || typeof item.type !== 'string')) {
+    throw badRequest('abi must be an array of ABI items');
+  }
+  const functions = abi.filter((item) => item.type === 'function');
+  if (!functions.length) throw badRequest('abi has no functions');
+  for (const item of functions) {
+    try {
+      toFunctionSelector(item);
+    } catch (_error) {
+      throw badRequest(`Invalid ABI function ${item.name || '(unnamed)'}`);
+    }
+  }
+  return abi;
+}
+
+function mapAbiRow(row) {
+  return {
+    id: row.id,
+    address: row.contract_address,
+    name: row.name,
+    functions: row.abi.filter((item) => item.type === 'function').map((item) => toFunctionSignature(item)),
+    createdAt: row.created_at.toISOString(),
+    createdBy: row.created_by,
+    updatedAt: row.updated_at.toISOString(),
+    updatedBy: row.updated_by
+  };
+}
+
+export function listBuiltinAbis(safeAddress) {
+  return BUILTIN_ABIS.map((entry) => ({
+    name: entry.name,
+    address: entry.target ? entry.target({ safeAddress: normalizeAddress(safeAddress) }) : null,
+    functions: entry.abi.map((item) => toFunctionSignature(item)),
+    abi: entry.abi
+  }));
+}
+
+export async function listContractAbis(safeAddress) {
+  const rows = await pool.query(
+    'SELECT * FROM contract_abis WHERE safe_address = $1 ORDER BY name ASC, contract_address ASC',
+    [normalizeAddress(safeAddress)]
+  );
+  return rows.rows.map(mapAbiRow);
+}
+
+export async function upsertContractAbi({ safeAddress, address, name, contractName, abi, changedBy }) {
+  if (!isAddress(address || '')) throw badRequest('address must be a valid 0x address');
+  const extracted = extractAbi(abi, contractName);
+  const validAbi = validateAbi(extracted.abi);
+  const label = String(name || extracted.name || '').trim();
+  if (!label) throw badRequest('name is required');
+  if (label.length > 80) throw badRequest('name must be 80 characters or less');
+
+  const normalizedBy = normalizeAddress(changedBy);
+  const saved = await pool.query(
+    `INSERT INTO contract_abis (id, safe_address, contract_address, name, abi, created_by, updated_by)
+     VALUES ($1,$2,$3,$4,$5,$6,$6)
+     ON CONFLICT (safe_address, contract_address)
+     DO UPDATE SET name = EXCLUDED.name, abi = EXCLUDED.abi, updated_by = EXCLUDED.updated_by, updated_at = now()
+     RETURNING *`,
+    [uuidv4(), normalizeAddress(safeAddress), normalizeAddress(address), label, JSON.stringify(validAbi), normalizedBy]
+  );
+  return mapAbiRow(saved.rows[0]);
+}
+
+export async function getContractAbi({ safeAddress, address }) {
+  if (!isAddress(address || '')) throw badRequest('address must be a valid 0x address');
+  const result = await pool.query(
+    'SELECT * FROM contract_abis WHERE safe_address = $1 AND contract_address = $2',
+    [normalizeAddress(safeAddress), normalizeAddress(address)]
+  );
+  if (!result.rowCount) {
+    const err = new Error('No ABI registered for this address');
+    err.status = 404;
+    throw err;
+  }
+  return { ...mapAbiRow(result.rows[0]), abi: result.rows[0].abi };
+}
+
+export async function deleteContractAbi({ safeAddress, address }) {
+  if (!isAddress(address || '')) throw badRequest('address must be a valid 0x address');
+  const deleted = await pool.query(
+    'DELETE FROM contract_abis WHERE safe_address = $1 AND contract_address = $2 RETURNING id',
+    [normalizeAddress(safeAddress), normalizeAddress(address)]
+  );
+  if (!deleted.rowCount) {
+    const err = new Error('No ABI registered for this address');
+    err.status = 404;
+    throw err;
+  }
+  return { address: normalizeAddress(address) };
+}
+
+export async function loadAbiRegistry(safeAddress) {
+  const normalizedSafeAddress = safeAddress ? normalizeAddress(safeAddress) : null;
+  const rows = normalizedSafeAddress
+    ? await pool.query('SELECT contract_address, name, abi FROM contract_abis WHERE safe_address = $1', [normalizedSafeAddress])
+    : { rows: [] };
+  return {
+    safeAddress: normalizedSafeAddress,
+    contracts: new Map(rows.rows.map((row) => [row.contract_address, { name: row.name, abi: row.abi }]))
+  };
+}
+
+function formatAbiValue(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(formatAbiValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, formatAbiValue(item)]));
+  }
+  return value;
+}
+
+function decodeWithAbi(abi, data) {
+  const selector = data.slice(0, 10).toLowerCase();
+  const item = abi.find((entry) => entry.type === 'function' && toFunctionSelector(entry) === selector);
+  if (!item) return null;
+  try {
+    const { args = [] } = decodeFunctionData({ abi: [item], data });
+    return {
+      functionName: item.name,
+      signature: toFunctionSignature(item),
+      args: item.inputs.map((input, index) => ({ name: input.name || `arg${index}`, type: input.type, value: formatAbiValue(args[index]) }))
+    };
+  } catch (_error) {
+    return null;
+  }
+}
+
+// Decodes calldata for `to`, preferring an ABI registered for that address over the built-in ones.
+export function decodeCallWithRegistry(registry, { to, data }) {
+  if (!data || data.length < 10) return null;
+  const target = normalizeAddress(to);
+  const custom = registry.contracts.get(target);
+  if (custom) {
+    const decoded = decodeWithAbi(custom.abi, data);
+    if (decoded) return { contract: custom.name, source: 'registry', ...decoded };
+  }
+  for (const entry of BUILTIN_ABIS) {
+    if (entry.target && entry.target(registry) !== target) continue;
+    const decoded = decodeWithAbi(entry.abi, data);
+    if (decoded) return { contract: entry.name, source: 'builtin', ...decoded };
+  }
+  return null;
+}
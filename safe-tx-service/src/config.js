@@ -18,6 +18,18 @@ function optionalAddress(name) {
   return value ? normalizeAddress(value) : null;
 }
 
+function chunkSizes(name) {
+  const value = process.env[name];
+  if (!value) return {};
+  return Object.fromEntries(value.split(',').filter(Boolean).map((entry) => {
+    const [cursor, size] = entry.split('=').map((part) => part.trim());
+    if (!cursor || !Number.isInteger(Number(size)) || Number(size) < 1) {
+      throw new Error(`${name} entries must look like cursor_name=blocks`);
+    }
+    return [cursor, Number(size)];
+  }));
+}
+
 export const config = {
   port: Number(process.env.PORT || 4010),
   databaseUrl: required('DATABASE_URL'),
@@ -37,10 +49,34 @@ export const config = {
   safeSingletonAddress: optionalAddress('SAFE_SINGLETON_ADDRESS'),
   safeFallbackHandlerAddress: optionalAddress('SAFE_FALLBACK_HANDLER_ADDRESS'),
   allowAdminSync: process.env.ALLOW_ADMIN_SYNC === 'true',
+  allowAdminTxView: process.env.ALLOW_ADMIN_TX_VIEW === 'true',
   syncPollMs: Number(process.env.SYNC_POLL_MS || 0),
+  syncStartBlock: process.env.SYNC_START_BLOCK ? Number(process.env.SYNC_START_BLOCK) : null,
+  syncChunkSize: Number(process.env.SYNC_CHUNK_SIZE || 2000),
+  syncChunkSizes: chunkSizes('SYNC_CHUNK_SIZES'),
+  syncConfirmations: Number(process.env.SYNC_CONFIRMATIONS || 0),
+  syncReorgDepth: Number(process.env.SYNC_REORG_DEPTH || 256),
+  syncMaxChunksPerRun: Number(process.env.SYNC_MAX_CHUNKS_PER_RUN || 20),
   nativeSymbol: process.env.NATIVE_SYMBOL || 'ETH',
   nativeDecimals: Number(process.env.NATIVE_DECIMALS || 18),
   withdrawalPollMs: Number(process.env.WITHDRAWAL_POLL_MS || 10000),
+  executionPollMs: Number(process.env.EXECUTION_POLL_MS || 5000),
+  executionReceiptTimeoutMs: Number(process.env.EXECUTION_RECEIPT_TIMEOUT_MS || 30000),
+  executionDropTimeoutMs: Number(process.env.EXECUTION_DROP_TIMEOUT_MS || 600000),
+  autoExecutePollMs: Number(process.env.AUTO_EXECUTE_POLL_MS || 15000),
+  autoExecuteBackoffMs: Number(process.env.AUTO_EXECUTE_BACKOFF_MS || 60000),
+  autoExecuteMaxBackoffMs: Number(process.env.AUTO_EXECUTE_MAX_BACKOFF_MS || 3600000),
+  schedulePollMs: Number(process.env.SCHEDULE_POLL_MS || 60000),
+  scheduleRetryBackoffMs: Number(process.env.SCHEDULE_RETRY_BACKOFF_MS || 300000),
+  scheduleRetryMaxBackoffMs: Number(process.env.SCHEDULE_RETRY_MAX_BACKOFF_MS || 3600000),
+  scheduleMaxAttempts: Number(process.env.SCHEDULE_MAX_ATTEMPTS || 5),
+  txManagerPollMs: Number(process.env.TX_MANAGER_POLL_MS || 10000),
+  txFeeMultiplierPercent: Number(process.env.TX_FEE_MULTIPLIER_PERCENT || 100),
+  txMaxFeePerGasWei: process.env.TX_MAX_FEE_PER_GAS_WEI ? BigInt(process.env.TX_MAX_FEE_PER_GAS_WEI) : null,
+  txGasLimitMultiplierPercent: Number(process.env.TX_GAS_LIMIT_MULTIPLIER_PERCENT || 120),
+  txSpeedUpAfterMs: Number(process.env.TX_SPEED_UP_AFTER_MS || 60000),
+  txSpeedUpBumpPercent: Number(process.env.TX_SPEED_UP_BUMP_PERCENT || 20),
+  txMaxSpeedUps: Number(process.env.TX_MAX_SPEED_UPS || 5),
   sharedContractsPath: process.env.CONTRACTS_JSON_PATH || '/shared/contracts.json',
   tenantAuthMode: process.env.TENANT_AUTH_MODE || 'none',
   tenantPrivateKey: process.env.TENANT_PRIVATE_KEY || null,
@@ -56,6 +92,10 @@ if (!['none', 'siwe'].includes(config.tenantAuthMode)) {
   throw new Error('TENANT_AUTH_MODE must be one of: none, siwe');
 }
 
+if (config.txSpeedUpBumpPercent < 10) {
+  throw new Error('TX_SPEED_UP_BUMP_PERCENT must be at least 10 (nodes reject smaller replacement bumps)');
+}
+
 if (config.tenantAuthMode === 'siwe' && !config.tenantPrivateKey) {
   throw new Error('TENANT_PRIVATE_KEY is required when TENANT_AUTH_MODE=siwe');
 }
@@ -1,4 +1,4 @@
-import { createPublicClient, encodeAbiParameters, getAddress, http } from 'viem';
+import { createPublicClient, decodeAbiParameters, decodeFunctionData, encodeAbiParameters, getAddress, http } from 'viem';
 import { authFetch, serviceAccountAddress } from './prividiumAuth.js';
 import { config } from './config.js';
 
@@ -13,6 +13,12 @@ const L2_NATIVE_TOKEN_VAULT_ABI = [{
   stateMutability: 'view',
   inputs: [{ name: 'token', type: 'address' }],
   outputs: [{ type: 'bytes32' }]
+}, {
+  type: 'function',
+  name: 'tokenAddress',
+  stateMutability: 'view',
+  inputs: [{ name: 'assetId', type: 'bytes32' }],
+  outputs: [{ type: 'address' }]
 }];
 
 const L2_ASSET_ROUTER_ABI = [{
@@ -50,6 +56,12 @@ const L1_NATIVE_TOKEN_VAULT_ABI = [{
   outputs: [{ type: 'address' }]
 }];
 
+const WITHDRAWAL_DATA_PARAMS = [
+  { name: 'amount', type: 'uint256' },
+  { name: 'recipient', type: 'address' },
+  { name: 'token', type: 'address' }
+];
+
 const l2Client = createPublicClient({ transport: http(config.rpcUrl, { fetchFn: authFetch }) });
 const l1Client = createPublicClient({ transport: http(config.l1RpcUrl) });
 
@@ -121,11 +133,7 @@ export async function getErc20WithdrawalParams(l2TokenAddress) {
     withdrawTo: L2_ASSET_ROUTER,
     withdrawDataBuilder: ({ amountBaseUnits, recipient }) => {
       const withdrawalData = encodeAbiParameters(
-        [
-          { name: 'amount', type: 'uint256' },
-          { name: 'recipient', type: 'address' },
-          { name: 'token', type: 'address' }
-        ],
+        WITHDRAWAL_DATA_PARAMS,
         [BigInt(amountBaseUnits), normalizeAddress(recipient), ZERO_ADDRESS]
       );
 
@@ -140,3 +148,32 @@ export async function getErc20WithdrawalParams(l2TokenAddress) {
   tokenParamsCache.set(normalizedToken, params);
   return params;
 }
+
+// Inverse of withdrawDataBuilder, for summarizing calls to the L2 asset router. Returns null for other calldata.
+export async function decodeErc20WithdrawalCall(data) {
+  let assetId;
+  let amount;
+  let recipient;
+  try {
+    const decoded = decodeFunctionData({ abi: L2_ASSET_ROUTER_ABI, data });
+    assetId = decoded.args[0];
+    [amount, recipient] = decodeAbiParameters(WITHDRAWAL_DATA_PARAMS, decoded.args[1]);
+  } catch (_error) {
+    return null;
+  }
+
+  let l2TokenAddress = null;
+  try {
+    l2TokenAddress = normalizeAddress(await l2Client.readContract({
+      address: L2_NATIVE_TOKEN_VAULT,
+      abi: L2_NATIVE_TOKEN_VAULT_ABI,
+      functionName: 'tokenAddress',
+      args: [assetId],
+      account: serviceAccountAddress
+    }));
+  } catch (_error) {
+    l2TokenAddress = null;
+  }
+
+  return { assetId, l2TokenAddress, recipient: normalizeAddress(recipient), amountBaseUnits: amount };
+}
@@ -1,4 +1,4 @@
-import { concatHex, getAddress, hexToBytes, pad, toHex } from 'viem';
+import { bytesToBigInt, bytesToHex, concatHex, getAddress, hexToBytes, pad, toHex } from 'viem';
 
 function normalizeAddress(address) {
   return getAddress(address).toLowerCase();
@@ -24,3 +24,34 @@ export function encodeMultiSendTransactions(calls) {
   }
   return calls.reduce((acc, call) => concatHex([acc, encodeSubcall(call)]), '0x');
 }
+
+// Each packed call is operation (1 byte), to (20), value (32), data length (32), then the data.
+const SUBCALL_HEADER_SIZE = 85;
+
+export function decodeMultiSendTransactions(packed) {
+  const bytes = hexToBytes(packed);
+  const calls = [];
+  let offset = 0;
+  while (offset < bytes.length) {
+    if (offset + SUBCALL_HEADER_SIZE > bytes.length) {
+      throw new Error(`Truncated MultiSend call at byte ${offset}`);
+    }
+    const operation = bytes[offset];
+    if (operation > 1) {
+      throw new Error(`Invalid MultiSend operation ${operation} at byte ${offset}`);
+    }
+    const dataLength = bytesToBigInt(bytes.slice(offset + 53, offset + SUBCALL_HEADER_SIZE));
+    const end = BigInt(offset + SUBCALL_HEADER_SIZE) + dataLength;
+    if (end > BigInt(bytes.length)) {
+      throw new Error(`Truncated MultiSend call data at byte ${offset}`);
+    }
+    calls.push({
+      operation,
+      to: normalizeAddress(bytesToHex(bytes.slice(offset + 1, offset + 21))),
+      value: bytesToBigInt(bytes.slice(offset + 21, offset + 53)),
+      data: bytesToHex(bytes.slice(offset + SUBCALL_HEADER_SIZE, Number(end)))
+    });
+    offset = Number(end);
+  }
+  return calls;
+}
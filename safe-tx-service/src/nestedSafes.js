@@ -0,0 +1,72 @@
+import { isAddress } from 'viem';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from './db.js';
+import { createSafeMessage } from './safeMessages.js';
+import { assertOwner, createProposal, getContractSignaturePayload, getProposalByHash, normalizeAddress } from './safeService.js';
+
+// approve_hash queues an approveHash(parent SafeTxHash) proposal on the child Safe; safe_message collects an
+// EIP-1271 signature from the child's owners instead, without an on-chain transaction.
+const NESTED_APPROVAL_METHODS = ['approve_hash', 'safe_message'];
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+export async function createNestedApproval({ safeTxHash, childSafeAddress, method, createdBy }) {
+  if (!NESTED_APPROVAL_METHODS.includes(method)) {
+    throw badRequest(`method must be one of ${NESTED_APPROVAL_METHODS.join(', ')}`);
+  }
+  if (!isAddress(childSafeAddress || '')) throw badRequest('childSafeAddress must be a valid address');
+
+  const parent = await getProposalByHash(safeTxHash);
+  if (!parent) {
+    const err = new Error('Proposal not found');
+    err.status = 404;
+    throw err;
+  }
+  if (parent.executedTxHash || parent.nonceStatus !== 'active') {
+    throw badRequest('Only queued proposals can be approved by a nested Safe');
+  }
+
+  const child = normalizeAddress(childSafeAddress);
+  await assertOwner(child, createdBy);
+  const ownsParent = await pool.query(
+    'SELECT 1 FROM safe_owners WHERE safe_address = $1 AND owner_address = $2',
+    [parent.safeAddress, child]
+  );
+  if (!ownsParent.rowCount) throw badRequest(`${child} is not an owner of ${parent.safeAddress}`);
+  if (parent.confirmations.some((confirmation) => confirmation.owner === child)) {
+    const err = new Error('This Safe already confirmed the proposal');
+    err.status = 409;
+    throw err;
+  }
+
+  const existing = (parent.nestedApprovals || []).find((approval) => approval.childSafeAddress === child && approval.method === method);
+  if (existing) return existing;
+
+  let childProposalId = null;
+  let childMessageId = null;
+  if (method === 'approve_hash') {
+    const childProposal = await createProposal({
+      safeAddress: child,
+      createdBy,
+      tx: { mode: 'nestedApproval', nestedApproval: { safeAddress: parent.safeAddress, safeTxHash: parent.safeTxHash } }
+    });
+    childProposalId = childProposal.id;
+  } else {
+    const payload = await getContractSignaturePayload(parent);
+    const message = await createSafeMessage({ safeAddress: child, message: payload.data, createdBy });
+    childMessageId = message.id;
+  }
+
+  await pool.query(
+    `INSERT INTO nested_approvals (id, parent_proposal_id, child_safe_address, method, child_proposal_id, child_message_id, created_by)
+     VALUES ($1,$2,$3,$4,$5,$6,$7)
+     ON CONFLICT (parent_proposal_id, child_safe_address, method) DO NOTHING`,
+    [uuidv4(), parent.id, child, method, childProposalId, childMessageId, normalizeAddress(createdBy)]
+  );
+  const updated = await getProposalByHash(parent.safeTxHash);
+  return updated.nestedApprovals.find((approval) => approval.childSafeAddress === child && approval.method === method);
+}
@@ -0,0 +1,443 @@
+import { isAddress, parseUnits } from 'viem';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from './config.js';
+import { pool } from './db.js';
+import { createProposal, normalizeAddress } from './safeService.js';
+import { getTokenMetadata, isSupportedToken } from './tokens.js';
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Rules are evaluated in UTC; searching further than this means the rule can never fire (e.g. 31 February).
+const MAX_SEARCH_DAYS = 366 * 5;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function parseCronField(expression, { name, min, max }) {
+  const values = new Set();
+  for (const part of expression.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let start;
+    let end;
+    if (range === '*') {
+      start = min;
+      end = max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(Number);
+    } else {
+      start = Number(range);
+      end = stepText === undefined ? start : max;
+    }
+    if (![start, end, step].every(Number.isInteger) || step < 1 || start < min || end > max || start > end) {
+      throw badRequest(`Invalid ${name} in schedule rule: ${part}`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+}
+
+export function parseScheduleRule(rule) {
+  const parts = String(rule || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw badRequest('rule must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+  return {
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Like cron: when both day fields are restricted, a day matching either one fires.
+    anyDay: parts[2] !== '*' && parts[4] !== '*'
+  };
+}
+
+function matchesDay(rule, day) {
+  if (!rule.months.has(day.getUTCMonth() + 1)) return false;
+  const dayOfMonth = rule.daysOfMonth.has(day.getUTCDate());
+  const dayOfWeek = rule.daysOfWeek.has(day.getUTCDay());
+  return rule.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+}
+
+export function nextOccurrence(rule, after) {
+  const start = new Date(after.getTime());
+  start.setUTCSeconds(0, 0);
+  start.setUTCMinutes(start.getUTCMinutes() + 1);
+  const day = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate()));
+
+  for (let i = 0; i < MAX_SEARCH_DAYS; i += 1) {
+    if (matchesDay(rule, day)) {
+      for (const hour of rule.hours) {
+        for (const minute of rule.minutes) {
+          const candidate = new Date(day.getTime());
+          candidate.setUTCHours(hour, minute);
+          if (candidate >= start) return candidate;
+        }
+      }
+    }
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+  return null;
+}
+
+async function validateScheduleInput({ label, rule, tokenAddress, recipient, amount }, current = null) {
+  const normalized = {};
+
+  if (!current || label !== undefined) {
+    const nextLabel = String(label || '').trim();
+    if (!nextLabel) throw badRequest('label is required');
+    if (nextLabel.length > 80) throw badRequest('label must be 80 characters or less');
+    normalized.label = nextLabel;
+  }
+
+  if (!current || rule !== undefined) {
+    const nextRule = String(rule || '').trim().split(/\s+/).join(' ');
+    if (!nextOccurrence(parseScheduleRule(nextRule), new Date())) throw badRequest('rule never matches a future time');
+    normalized.rule = nextRule;
+  }
+
+  if (!current || recipient !== undefined) {
+    if (!isAddress(recipient || '')) throw badRequest('recipient must be a valid 0x address');
+    normalized.recipient = normalizeAddress(recipient);
+  }
+
+  if (!current || tokenAddress !== undefined) {
+    if (tokenAddress) {
+      if (!isAddress(tokenAddress) || !isSupportedToken(tokenAddress)) throw badRequest('Unsupported ERC20 token for this chain');
+      normalized.tokenAddress = normalizeAddress(tokenAddress);
+    } else {
+      normalized.tokenAddress = null;
+    }
+  }
+
+  if (!current || amount !== undefined || tokenAddress !== undefined) {
+    const nextAmount = String(amount ?? current?.amount ?? '').trim();
+    if (!nextAmount) throw badRequest('amount is required');
+    const nextToken = normalized.tokenAddress !== undefined ? normalized.tokenAddress : current.token_address;
+    const decimals = nextToken ? (await getTokenMetadata(nextToken)).decimals : config.nativeDecimals;
+    let parsed;
+    try {
+      parsed = parseUnits(nextAmount, decimals);
+    } catch (_error) {
+      throw badRequest('amount must be a decimal number');
+    }
+    if (parsed <= 0n) throw badRequest('amount must be greater than 0');
+    normalized.amount = nextAmount;
+  }
+
+  return normalized;
+}
+
+function mapScheduleRow(row) {
+  return {
+    id: row.id,
+    safeAddress: row.safe_address,
+    label: row.label,
+    rule: row.rule,
+    tokenAddress: row.token_address,
+    recipient: row.recipient,
+    amount: row.amount,
+    status: row.status,
+    pausedReason: row.paused_reason || null,
+    nextRunAt: row.next_run_at?.toISOString() || null,
+    lastRunAt: row.last_run_at?.toISOString() || null,
+    createdAt: row.created_at.toISOString(),
+    createdBy: row.created_by,
+    updatedAt: row.updated_at.toISOString(),
+    updatedBy: row.updated_by
+  };
+}
+
+function mapRunRow(row) {
+  return {
+    id: row.id,
+    periodAt: row.period_at.toISOString(),
+    status: row.status,
+    proposalId: row.proposal_id,
+    safeTxHash: row.safe_tx_hash,
+    error: row.error || undefined,
+    attempts: row.attempts,
+    nextRetryAt: row.next_retry_at?.toISOString() || undefined,
+    skippedBy: row.skipped_by || undefined,
+    createdAt: row.created_at.toISOString()
+  };
+}
+
+async function readSchedule(safeAddress, scheduleId) {
+  const result = await pool.query(
+    'SELECT * FROM payment_schedules WHERE id = $1 AND safe_address = $2',
+    [scheduleId, normalizeAddress(safeAddress)]
+  );
+  if (!result.rowCount) {
+    const err = new Error('Payment schedule not found');
+    err.status = 404;
+    throw err;
+  }
+  return result.rows[0];
+}
+
+export async function listPaymentSchedules(safeAddress) {
+  const result = await pool.query(
+    'SELECT * FROM payment_schedules WHERE safe_address = $1 ORDER BY created_at DESC',
+    [normalizeAddress(safeAddress)]
+  );
+  return result.rows.map(mapScheduleRow);
+}
+
+export async function getPaymentSchedule({ safeAddress, scheduleId }) {
+  const row = await readSchedule(safeAddress, scheduleId);
+  const runs = await pool.query(
+    'SELECT * FROM payment_schedule_runs WHERE schedule_id = $1 ORDER BY period_at DESC LIMIT 50',
+    [row.id]
+  );
+  return { ...mapScheduleRow(row), runs: runs.rows.map(mapRunRow) };
+}
+
+export async function createPaymentSchedule({ safeAddress, label, rule, tokenAddress, recipient, amount, createdBy }) {
+  const input = await validateScheduleInput({ label, rule, tokenAddress, recipient, amount });
+  const normalizedBy = normalizeAddress(createdBy);
+  const created = await pool.query(
+    `INSERT INTO payment_schedules (id, safe_address, label, rule, token_address, recipient, amount, next_run_at, created_by, updated_by)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$9)
+     RETURNING *`,
+    [
+      uuidv4(),
+      normalizeAddress(safeAddress),
+      input.label,
+      input.rule,
+      input.tokenAddress,
+      input.recipient,
+      input.amount,
+      nextOccurrence(parseScheduleRule(input.rule), new Date()),
+      normalizedBy
+    ]
+  );
+  return mapScheduleRow(created.rows[0]);
+}
+
+export async function updatePaymentSchedule({ safeAddress, scheduleId, label, rule, tokenAddress, recipient, amount, paused, updatedBy }) {
+  if (paused !== undefined && typeof paused !== 'boolean') throw badRequest('paused must be a boolean');
+  const current = await readSchedule(safeAddress, scheduleId);
+  const input = await validateScheduleInput({ label, rule, tokenAddress, recipient, amount }, current);
+  if (!Object.keys(input).length && paused === undefined) {
+    throw badRequest('label, rule, tokenAddress, recipient, amount or paused is required');
+  }
+
+  const nextRule = input.rule ?? current.rule;
+  const status = paused === undefined ? current.status : paused ? 'paused' : 'active';
+  // Periods missed while paused are not backfilled; a resumed or re-timed schedule continues from now.
+  const reschedule = nextRule !== current.rule || (current.status === 'paused' && status === 'active');
+  const nextRunAt = reschedule ? nextOccurrence(parseScheduleRule(nextRule), new Date()) : current.next_run_at;
+
+  const updated = await pool.query(
+    `UPDATE payment_schedules
+     SET label = $2, rule = $3, token_address = $4, recipient = $5, amount = $6, status = $7, next_run_at = $8,
+         paused_reason = $10, updated_by = $9, updated_at = now()
+     WHERE id = $1
+     RETURNING *`,
+    [
+      current.id,
+      input.label ?? current.label,
+      nextRule,
+      input.tokenAddress !== undefined ? input.tokenAddress : current.token_address,
+      input.recipient ?? current.recipient,
+      input.amount ?? current.amount,
+      status,
+      nextRunAt,
+      normalizeAddress(updatedBy),
+      paused === undefined ? current.paused_reason : null
+    ]
+  );
+  return mapScheduleRow(updated.rows[0]);
+}
+
+export async function deletePaymentSchedule({ safeAddress, scheduleId }) {
+  const row = await readSchedule(safeAddress, scheduleId);
+  await pool.query('DELETE FROM payment_schedules WHERE id = $1', [row.id]);
+  return { id: row.id };
+}
+
+export async function skipPaymentScheduleRun({ safeAddress, scheduleId, periodAt, skippedBy }) {
+  const row = await readSchedule(safeAddress, scheduleId);
+  if (!row.next_run_at) throw badRequest('Schedule has no upcoming runs');
+  const target = periodAt === undefined ? row.next_run_at : new Date(periodAt);
+  if (Number.isNaN(target.getTime())) throw badRequest('periodAt must be an ISO timestamp');
+  const rule = parseScheduleRule(row.rule);
+  if (target < row.next_run_at || nextOccurrence(rule, new Date(target.getTime() - 60000))?.getTime() !== target.getTime()) {
+    throw badRequest('periodAt must be an upcoming run of this schedule');
+  }
+
+  const skipped = await pool.query(
+    `INSERT INTO payment_schedule_runs (id, schedule_id, period_at, status, skipped_by)
+     VALUES ($1,$2,$3,'skipped',$4)
+     ON CONFLICT (schedule_id, period_at) DO NOTHING
+     RETURNING *`,
+    [uuidv4(), row.id, target, normalizeAddress(skippedBy)]
+  );
+  if (!skipped.rowCount) {
+    const err = new Error('This run was already created or skipped');
+    err.status = 409;
+    throw err;
+  }
+  return mapRunRow(skipped.rows[0]);
+}
+
+function buildScheduledProposalInput(row) {
+  if (row.token_address) {
+    return {
+      mode: 'erc20',
+      erc20: { tokenAddress: row.token_address, recipient: row.recipient, amount: row.amount }
+    };
+  }
+  return {
+    mode: 'direct',
+    advanced: false,
+    tx: {
+      to: row.recipient,
+      value: parseUnits(row.amount, config.nativeDecimals).toString(),
+      data: '0x',
+      operation: 0
+    }
+  };
+}
+
+// Proposals are created as the schedule's creator, or as the owner who last updated it once the creator is no
+// longer an owner of the Safe.
+async function findScheduleProposer(row) {
+  const candidates = [row.created_by, row.updated_by];
+  const owners = await pool.query(
+    'SELECT owner_address FROM safe_owners WHERE safe_address = $1 AND owner_address = ANY($2)',
+    [row.safe_address, candidates]
+  );
+  const current = new Set(owners.rows.map((owner) => owner.owner_address));
+  return candidates.find((address) => current.has(address)) || null;
+}
+
+async function pauseSchedule(row, reason) {
+  await pool.query(
+    `UPDATE payment_schedules SET status = 'paused', paused_reason = $2, updated_at = now() WHERE id = $1 AND status = 'active'`,
+    [row.id, reason]
+  );
+}
+
+function nextRetryAt(attempts) {
+  if (attempts >= config.scheduleMaxAttempts) return null;
+  const delayMs = Math.min(config.scheduleRetryBackoffMs * 2 ** (attempts - 1), config.scheduleRetryMaxBackoffMs);
+  return new Date(Date.now() + delayMs);
+}
+
+async function proposeRun(row, run, proposer) {
+  try {
+    const proposal = await createProposal({
+      safeAddress: row.safe_address,
+      createdBy: proposer,
+      tx: buildScheduledProposalInput(row)
+    });
+    await pool.query(
+      'UPDATE proposals SET summary = COALESCE(summary, \'{}\'::jsonb) || $2::jsonb WHERE id = $1',
+      [proposal.id, JSON.stringify({ schedule: { id: row.id, label: row.label, periodAt: run.periodAt.toISOString() } })]
+    );
+    await pool.query(
+      `UPDATE payment_schedule_runs
+       SET status = 'proposed', proposal_id = $2, safe_tx_hash = $3, error = NULL, next_retry_at = NULL, updated_at = now()
+       WHERE id = $1`,
+      [run.id, proposal.id, proposal.safeTxHash]
+    );
+    return 'proposed';
+  } catch (error) {
+    const attempts = run.attempts + 1;
+    await pool.query(
+      `UPDATE payment_schedule_runs
+       SET status = 'failed', error = $2, attempts = $3, next_retry_at = $4, updated_at = now()
+       WHERE id = $1`,
+      [run.id, error.shortMessage || error.message, attempts, nextRetryAt(attempts)]
+    );
+    return 'failed';
+  }
+}
+
+async function runSchedulePeriod(row, proposer) {
+  const periodAt = row.next_run_at;
+  // Claim the period first: a skipped period, a concurrent worker or a repeated pass all hit the unique key.
+  const claimed = await pool.query(
+    `INSERT INTO payment_schedule_runs (id, schedule_id, period_at, status)
+     VALUES ($1,$2,$3,'pending')
+     ON CONFLICT (schedule_id, period_at) DO NOTHING
+     RETURNING id`,
+    [uuidv4(), row.id, periodAt]
+  );
+
+  let result = 'skipped';
+  if (claimed.rowCount) {
+    result = await proposeRun(row, { id: claimed.rows[0].id, periodAt, attempts: 0 }, proposer);
+  }
+
+  await pool.query(
+    `UPDATE payment_schedules SET next_run_at = $3, last_run_at = $2
+     WHERE id = $1 AND next_run_at = $2`,
+    [row.id, periodAt, nextOccurrence(parseScheduleRule(row.rule), periodAt)]
+  );
+  return { scheduleId: row.id, periodAt: periodAt.toISOString(), result };
+}
+
+async function readActiveSchedule(scheduleId) {
+  const result = await pool.query(`SELECT * FROM payment_schedules WHERE id = $1 AND status = 'active'`, [scheduleId]);
+  return result.rows[0] || null;
+}
+
+async function retryFailedRuns() {
+  const failed = await pool.query(
+    `SELECT r.id AS run_id, r.period_at AS run_period_at, r.attempts AS run_attempts, s.*
+     FROM payment_schedule_runs r
+     JOIN payment_schedules s ON s.id = r.schedule_id
+     WHERE r.status = 'failed' AND r.next_retry_at <= now() AND s.status = 'active'
+     ORDER BY r.period_at ASC
+     LIMIT 100`
+  );
+  const results = [];
+  for (const row of failed.rows) {
+    const proposer = await findScheduleProposer(row);
+    if (!proposer) continue;
+    const run = { id: row.run_id, periodAt: row.run_period_at, attempts: row.run_attempts };
+    results.push({ scheduleId: row.id, periodAt: run.periodAt.toISOString(), result: await proposeRun(row, run, proposer), retry: true });
+  }
+  return results;
+}
+
+export async function runPaymentSchedules() {
+  const due = await pool.query(
+    `SELECT * FROM payment_schedules
+     WHERE status = 'active' AND next_run_at <= now()
+     ORDER BY next_run_at ASC
+     LIMIT 100`
+  );
+  const results = [];
+  for (const dueRow of due.rows) {
+    // Every period missed since the last pass, e.g. while the service was down, is proposed in order.
+    let row = dueRow;
+    while (row?.next_run_at && row.next_run_at <= new Date()) {
+      const proposer = await findScheduleProposer(row);
+      if (!proposer) {
+        await pauseSchedule(row, `${row.created_by} is no longer an owner of this Safe; resume the schedule to propose as yourself`);
+        results.push({ scheduleId: row.id, periodAt: row.next_run_at.toISOString(), result: 'paused' });
+        break;
+      }
+      results.push(await runSchedulePeriod(row, proposer));
+      row = await readActiveSchedule(row.id);
+    }
+  }
+  results.push(...await retryFailedRuns());
+  return results;
+}
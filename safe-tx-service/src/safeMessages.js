@@ -0,0 +1,233 @@
+import { hashMessage, hashTypedData, isHex } from 'viem';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from './config.js';
+import { pool } from './db.js';
+import {
+  addConfirmation,
+  assertSigningOwner,
+  checkIsValidSignature,
+  joinSignatures,
+  normalizeAddress,
+  recoverOwnerSignature
+} from './safeService.js';
+
+const SAFE_MESSAGE_TYPES = {
+  SafeMessage: [{ name: 'message', type: 'bytes' }]
+};
+const MESSAGE_SIGNATURE_TYPES = ['eip712', 'eth_sign'];
+// eip191 and eip712 messages are signed as the 32-byte hash a dApp passes to isValidSignature(bytes32, bytes);
+// bytes messages (nested Safe approvals) wrap raw data for the legacy isValidSignature(bytes, bytes).
+const MESSAGE_KINDS = ['eip191', 'eip712'];
+const MAX_DESCRIPTION_LENGTH = 200;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Same envelope as CompatibilityFallbackHandler.getMessageHashForSafe, so the hash matches what isValidSignature checks.
+export function buildSafeMessageTypedData({ chainId, safeAddress, message }) {
+  return {
+    domain: {
+      chainId: BigInt(chainId),
+      verifyingContract: normalizeAddress(safeAddress)
+    },
+    types: SAFE_MESSAGE_TYPES,
+    primaryType: 'SafeMessage',
+    message: { message }
+  };
+}
+
+async function mapMessageRow(row) {
+  const signatures = await pool.query(
+    'SELECT owner_address, signature, signature_type FROM safe_message_signatures WHERE message_id = $1 ORDER BY owner_address ASC',
+    [row.id]
+  );
+  const confirmations = signatures.rows.map((s) => ({ owner: s.owner_address, signature: s.signature, signatureType: s.signature_type }));
+  return {
+    id: row.id,
+    safeAddress: row.safe_address,
+    kind: row.kind,
+    payload: row.payload ?? undefined,
+    description: row.description || undefined,
+    messageHash: row.message_hash || undefined,
+    message: row.message,
+    safeMessageHash: row.safe_message_hash,
+    createdBy: row.created_by,
+    createdAt: row.created_at.toISOString(),
+    confirmations,
+    confirmationsRequired: row.threshold,
+    preparedSignature: confirmations.length >= row.threshold ? joinSignatures(confirmations) : null
+  };
+}
+
+export async function getSafeMessage(safeMessageHash) {
+  const result = await pool.query(
+    `SELECT m.*, s.threshold FROM safe_messages m JOIN safes s ON s.safe_address = m.safe_address
+     WHERE m.safe_message_hash = $1`,
+    [String(safeMessageHash).toLowerCase()]
+  );
+  if (!result.rowCount) {
+    const err = new Error('Message not found');
+    err.status = 404;
+    throw err;
+  }
+  return mapMessageRow(result.rows[0]);
+}
+
+export function getSafeMessageTypedData(message) {
+  const typedData = buildSafeMessageTypedData({ chainId: config.chainId, safeAddress: message.safeAddress, message: message.message });
+  return {
+    ...typedData,
+    domain: { ...typedData.domain, chainId: Number(typedData.domain.chainId) }
+  };
+}
+
+export async function listSafeMessages(safeAddress) {
+  const rows = await pool.query(
+    `SELECT m.*, s.threshold FROM safe_messages m JOIN safes s ON s.safe_address = m.safe_address
+     WHERE m.safe_address = $1
+     ORDER BY m.created_at DESC`,
+    [normalizeAddress(safeAddress)]
+  );
+  const results = [];
+  for (const row of rows.rows) {
+    results.push(await mapMessageRow(row));
+  }
+  return results;
+}
+
+export async function createSafeMessage({ safeAddress, message, createdBy, kind = 'bytes', payload = null, messageHash = null, description = null }) {
+  if (!isHex(message || '')) throw badRequest('message must be hex bytes');
+  const normalizedSafeAddress = normalizeAddress(safeAddress);
+  const safeMessageHash = hashTypedData(buildSafeMessageTypedData({
+    chainId: config.chainId,
+    safeAddress: normalizedSafeAddress,
+    message
+  })).toLowerCase();
+  await pool.query(
+    `INSERT INTO safe_messages (id, safe_address, message, safe_message_hash, created_by, kind, payload, message_hash, description)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+     ON CONFLICT (safe_message_hash) DO NOTHING`,
+    [
+      uuidv4(),
+      normalizedSafeAddress,
+      message.toLowerCase(),
+      safeMessageHash,
+      normalizeAddress(createdBy),
+      kind,
+      payload === null ? null : JSON.stringify(payload),
+      messageHash,
+      description
+    ]
+  );
+  return getSafeMessage(safeMessageHash);
+}
+
+function hashMessagePayload(kind, payload) {
+  if (kind === 'eip191') {
+    if (typeof payload !== 'string' || !payload) throw badRequest('message must be a non-empty string for eip191');
+    return hashMessage(payload);
+  }
+  if (!payload || typeof payload !== 'object' || !payload.types || !payload.primaryType || !payload.message) {
+    throw badRequest('message must be EIP-712 typed data with domain, types, primaryType and message');
+  }
+  try {
+    const { EIP712Domain: _domainType, ...types } = payload.types;
+    return hashTypedData({ domain: payload.domain || {}, types, primaryType: payload.primaryType, message: payload.message });
+  } catch (error) {
+    throw badRequest(`Invalid EIP-712 message: ${error.shortMessage || error.message}`);
+  }
+}
+
+export async function createMessageFromPayload({ safeAddress, type, message, description, createdBy, signature, signatureType }) {
+  if (!MESSAGE_KINDS.includes(type)) throw badRequest(`type must be one of ${MESSAGE_KINDS.join(', ')}`);
+  const label = description ? String(description).trim() : null;
+  if (label && label.length > MAX_DESCRIPTION_LENGTH) {
+    throw badRequest(`description must be ${MAX_DESCRIPTION_LENGTH} characters or less`);
+  }
+  const messageHash = hashMessagePayload(type, message).toLowerCase();
+  const created = await createSafeMessage({
+    safeAddress,
+    message: messageHash,
+    createdBy,
+    kind: type,
+    payload: message,
+    messageHash,
+    description: label || null
+  });
+  if (!signature) return created;
+  return addMessageConfirmation({ safeMessageHash: created.safeMessageHash, ownerAddress: createdBy, signature, signatureType });
+}
+
+// Asks the Safe (through its fallback handler) whether the signature is valid, exactly as a dApp would.
+export async function verifySafeMessage({ safeMessageHash, signature }) {
+  const message = await getSafeMessage(safeMessageHash);
+  const candidate = signature ?? message.preparedSignature;
+  if (!candidate) throw badRequest('Message does not have enough signatures yet; pass a signature to check');
+  if (!isHex(candidate)) throw badRequest('signature must be hex');
+  const legacy = message.kind === 'bytes';
+  const result = await checkIsValidSignature({ address: message.safeAddress, data: message.message, signature: candidate, legacy });
+  return {
+    safeAddress: message.safeAddress,
+    safeMessageHash: message.safeMessageHash,
+    method: legacy ? 'isValidSignature(bytes,bytes)' : 'isValidSignature(bytes32,bytes)',
+    signature: candidate,
+    ...result
+  };
+}
+
+// A message created for a parent proposal becomes the child Safe's EIP-1271 confirmation once it has enough signatures.
+async function confirmNestedParents(message, submittedBy) {
+  const parents = await pool.query(
+    `SELECT p.safe_tx_hash FROM nested_approvals na
+     JOIN proposals p ON p.id = na.parent_proposal_id
+     WHERE na.child_message_id = $1 AND p.executed_tx_hash IS NULL AND p.deleted_at IS NULL`,
+    [message.id]
+  );
+  const errors = [];
+  for (const { safe_tx_hash: safeTxHash } of parents.rows) {
+    try {
+      await addConfirmation({
+        safeTxHash,
+        ownerAddress: submittedBy,
+        signature: message.preparedSignature,
+        signatureType: 'contract',
+        owner: message.safeAddress
+      });
+    } catch (error) {
+      console.warn(`Nested confirmation of ${safeTxHash} by ${message.safeAddress} failed: ${error.message}`);
+      errors.push({ safeTxHash, error: error.message });
+    }
+  }
+  return errors;
+}
+
+export async function addMessageConfirmation({ safeMessageHash, ownerAddress, signature, signatureType = 'eip712' }) {
+  if (!MESSAGE_SIGNATURE_TYPES.includes(signatureType)) {
+    throw badRequest(`signatureType must be one of ${MESSAGE_SIGNATURE_TYPES.join(', ')}`);
+  }
+  const message = await getSafeMessage(safeMessageHash);
+  const recovered = await recoverOwnerSignature({
+    typedData: buildSafeMessageTypedData({ chainId: config.chainId, safeAddress: message.safeAddress, message: message.message }),
+    hash: message.safeMessageHash,
+    signature,
+    signatureType
+  });
+  if (recovered.signer !== normalizeAddress(ownerAddress)) {
+    throw badRequest('Signature mismatch (ensure you signed the SafeMessage prompt)');
+  }
+  await assertSigningOwner(message.safeAddress, recovered.signer);
+  await pool.query(
+    `INSERT INTO safe_message_signatures (message_id, owner_address, signature, signature_type)
+     VALUES ($1,$2,$3,$4)
+     ON CONFLICT (message_id, owner_address)
+     DO UPDATE SET signature = EXCLUDED.signature, signature_type = EXCLUDED.signature_type, created_at = now()`,
+    [message.id, recovered.signer, recovered.signature, signatureType]
+  );
+  const updated = await getSafeMessage(message.safeMessageHash);
+  if (!updated.preparedSignature) return updated;
+  const parentErrors = await confirmNestedParents(updated, recovered.signer);
+  return parentErrors.length ? { ...updated, parentErrors } : updated;
+}
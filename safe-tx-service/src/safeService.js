@@ -5,14 +5,27 @@ import {
   createPublicClient,
   createWalletClient,
   decodeAbiParameters,
+  decodeErrorResult,
   decodeEventLog,
   decodeFunctionData,
+  encodePacked,
   formatUnits,
+  getContractAddress,
   http,
   isAddress,
+  isHex,
+  keccak256,
+  pad,
   parseUnits,
+  recoverMessageAddress,
   recoverTypedDataAddress,
-  hashTypedData
+  hashTypedData,
+  size,
+  toHex,
+  zeroAddress,
+  TransactionNotFoundError,
+  TransactionReceiptNotFoundError,
+  WaitForTransactionReceiptTimeoutError
 } from 'viem';
 import { privateKeyToAccount } from 'viem/accounts';
 import { config } from './config.js';
@@ -20,13 +33,48 @@ import { pool } from './db.js';
 import { v4 as uuidv4 } from 'uuid';
 import { authFetch } from './prividiumAuth.js';
 import { getSupportedTokenAddresses, getTokenMetadata, isSupportedToken, isWithdrawableToken } from './tokens.js';
-import { getErc20WithdrawalParams, L2_ASSET_ROUTER } from './erc20Withdrawal.js';
-import { encodeMultiSendTransactions } from './multiSend.js';
+import { decodeErc20WithdrawalCall, getErc20WithdrawalParams, L2_ASSET_ROUTER } from './erc20Withdrawal.js';
+import { decodeMultiSendTransactions, encodeMultiSendTransactions } from './multiSend.js';
+import { decodeCallWithRegistry, loadAbiRegistry } from './abiRegistry.js';
+import { findServiceTransaction, sendServiceTransaction } from './txManager.js';
 
 const SAFE_ABI = [
   { type: 'function', name: 'getOwners', stateMutability: 'view', inputs: [], outputs: [{ type: 'address[]' }] },
   { type: 'function', name: 'getThreshold', stateMutability: 'view', inputs: [], outputs: [{ type: 'uint256' }] },
   { type: 'function', name: 'nonce', stateMutability: 'view', inputs: [], outputs: [{ type: 'uint256' }] },
+  { type: 'function', name: 'VERSION', stateMutability: 'view', inputs: [], outputs: [{ type: 'string' }] },
+  {
+    type: 'function',
+    name: 'approveHash',
+    stateMutability: 'nonpayable',
+    inputs: [{ name: 'hashToApprove', type: 'bytes32' }],
+    outputs: []
+  },
+  {
+    type: 'function',
+    name: 'approvedHashes',
+    stateMutability: 'view',
+    inputs: [{ name: 'owner', type: 'address' }, { name: 'hash', type: 'bytes32' }],
+    outputs: [{ type: 'uint256' }]
+  },
+  {
+    type: 'function',
+    name: 'encodeTransactionData',
+    stateMutability: 'view',
+    inputs: [
+      { name: 'to', type: 'address' },
+      { name: 'value', type: 'uint256' },
+      { name: 'data', type: 'bytes' },
+      { name: 'operation', type: 'uint8' },
+      { name: 'safeTxGas', type: 'uint256' },
+      { name: 'baseGas', type: 'uint256' },
+      { name: 'gasPrice', type: 'uint256' },
+      { name: 'gasToken', type: 'address' },
+      { name: 'refundReceiver', type: 'address' },
+      { name: '_nonce', type: 'uint256' }
+    ],
+    outputs: [{ type: 'bytes' }]
+  },
   {
     type: 'function',
     name: 'execTransaction',
@@ -58,7 +106,8 @@ const SAFE_FACTORY_ABI = [
       { name: 'saltNonce', type: 'uint256' }
     ],
     outputs: [{ type: 'address' }]
-  }
+  },
+  { type: 'function', name: 'proxyCreationCode', stateMutability: 'pure', inputs: [], outputs: [{ type: 'bytes' }] }
 ];
 
 
@@ -74,6 +123,137 @@ const SAFE_FACTORY_EVENTS_ABI = [
   }
 ];
 
+const SAFE_SETUP_EVENTS_ABI = [
+  {
+    type: 'event',
+    name: 'SafeSetup',
+    anonymous: false,
+    inputs: [
+      { indexed: true, name: 'initiator', type: 'address' },
+      { indexed: false, name: 'owners', type: 'address[]' },
+      { indexed: false, name: 'threshold', type: 'uint256' },
+      { indexed: false, name: 'initializer', type: 'address' },
+      { indexed: false, name: 'fallbackHandler', type: 'address' }
+    ]
+  }
+];
+
+const SAFE_EXECUTION_EVENTS_ABI = [
+  {
+    type: 'event',
+    name: 'ExecutionSuccess',
+    anonymous: false,
+    inputs: [
+      { indexed: true, name: 'txHash', type: 'bytes32' },
+      { indexed: false, name: 'payment', type: 'uint256' }
+    ]
+  },
+  {
+    type: 'event',
+    name: 'ExecutionFailure',
+    anonymous: false,
+    inputs: [
+      { indexed: true, name: 'txHash', type: 'bytes32' },
+      { indexed: false, name: 'payment', type: 'uint256' }
+    ]
+  },
+  {
+    type: 'event',
+    name: 'SafeMultiSigTransaction',
+    anonymous: false,
+    inputs: [
+      { indexed: false, name: 'to', type: 'address' },
+      { indexed: false, name: 'value', type: 'uint256' },
+      { indexed: false, name: 'data', type: 'bytes' },
+      { indexed: false, name: 'operation', type: 'uint8' },
+      { indexed: false, name: 'safeTxGas', type: 'uint256' },
+      { indexed: false, name: 'baseGas', type: 'uint256' },
+      { indexed: false, name: 'gasPrice', type: 'uint256' },
+      { indexed: false, name: 'gasToken', type: 'address' },
+      { indexed: false, name: 'refundReceiver', type: 'address' },
+      { indexed: false, name: 'signatures', type: 'bytes' },
+      { indexed: false, name: 'additionalInfo', type: 'bytes' }
+    ]
+  }
+];
+
+// Safe 1.5 indexes txHash; earlier versions emit it in the data. The topic hash is the same for both.
+const LEGACY_SAFE_EXECUTION_EVENTS_ABI = SAFE_EXECUTION_EVENTS_ABI.map((event) => (
+  ['ExecutionSuccess', 'ExecutionFailure'].includes(event.name)
+    ? { ...event, inputs: event.inputs.map((input) => ({ ...input, indexed: false })) }
+    : event
+));
+
+const SAFE_APPROVE_HASH_EVENTS_ABI = [
+  {
+    type: 'event',
+    name: 'ApproveHash',
+    anonymous: false,
+    inputs: [
+      { indexed: true, name: 'approvedHash', type: 'bytes32' },
+      { indexed: true, name: 'owner', type: 'address' }
+    ]
+  }
+];
+
+// Kept as separate ABIs: a 32-byte argument would match both overloads.
+const LEGACY_SIGNATURE_VALIDATOR_ABI = [
+  {
+    type: 'function',
+    name: 'isValidSignature',
+    stateMutability: 'view',
+    inputs: [{ name: 'data', type: 'bytes' }, { name: 'signature', type: 'bytes' }],
+    outputs: [{ type: 'bytes4' }]
+  }
+];
+const EIP1271_SIGNATURE_VALIDATOR_ABI = [
+  {
+    type: 'function',
+    name: 'isValidSignature',
+    stateMutability: 'view',
+    inputs: [{ name: 'hash', type: 'bytes32' }, { name: 'signature', type: 'bytes' }],
+    outputs: [{ type: 'bytes4' }]
+  }
+];
+const LEGACY_EIP1271_MAGIC_VALUE = '0x20c13b0b';
+const EIP1271_MAGIC_VALUE = '0x1626ba7e';
+
+export const SIGNATURE_TYPES = ['eip712', 'eth_sign', 'approved_hash', 'contract'];
+const MAX_SAFE_NESTING_DEPTH = 3;
+
+const SAFE_OWNER_EVENTS_ABI = [
+  {
+    type: 'event',
+    name: 'AddedOwner',
+    anonymous: false,
+    inputs: [{ indexed: true, name: 'owner', type: 'address' }]
+  },
+  {
+    type: 'event',
+    name: 'RemovedOwner',
+    anonymous: false,
+    inputs: [{ indexed: true, name: 'owner', type: 'address' }]
+  },
+  {
+    type: 'event',
+    name: 'ChangedThreshold',
+    anonymous: false,
+    inputs: [{ indexed: false, name: 'threshold', type: 'uint256' }]
+  }
+];
+
+// Safe 1.3.0 emits the owner in the data; 1.4.0 and later index it.
+const LEGACY_SAFE_OWNER_EVENTS_ABI = SAFE_OWNER_EVENTS_ABI.map((event) => ({
+  ...event,
+  inputs: event.inputs.map((input) => ({ ...input, indexed: false }))
+}));
+
+const OWNER_EVENT_KINDS = {
+  AddedOwner: 'added_owner',
+  RemovedOwner: 'removed_owner',
+  ChangedThreshold: 'changed_threshold'
+};
+
 const SAFE_SETUP_ABI = [
   {
     type: 'function',
@@ -105,6 +285,99 @@ const ERC20_TRANSFER_ABI = [{
 }];
 
 
+const SAFE_OWNER_MANAGER_ABI = [
+  {
+    type: 'function',
+    name: 'addOwnerWithThreshold',
+    stateMutability: 'nonpayable',
+    inputs: [
+      { name: 'owner', type: 'address' },
+      { name: '_threshold', type: 'uint256' }
+    ],
+    outputs: []
+  },
+  {
+    type: 'function',
+    name: 'removeOwner',
+    stateMutability: 'nonpayable',
+    inputs: [
+      { name: 'prevOwner', type: 'address' },
+      { name: 'owner', type: 'address' },
+      { name: '_threshold', type: 'uint256' }
+    ],
+    outputs: []
+  },
+  {
+    type: 'function',
+    name: 'swapOwner',
+    stateMutability: 'nonpayable',
+    inputs: [
+      { name: 'prevOwner', type: 'address' },
+      { name: 'oldOwner', type: 'address' },
+      { name: 'newOwner', type: 'address' }
+    ],
+    outputs: []
+  },
+  {
+    type: 'function',
+    name: 'changeThreshold',
+    stateMutability: 'nonpayable',
+    inputs: [{ name: '_threshold', type: 'uint256' }],
+    outputs: []
+  }
+];
+
+const REVERT_ERRORS_ABI = [
+  { type: 'error', name: 'Error', inputs: [{ name: 'message', type: 'string' }] },
+  { type: 'error', name: 'Panic', inputs: [{ name: 'code', type: 'uint256' }] },
+  { type: 'error', name: 'ERC20InsufficientBalance', inputs: [{ name: 'sender', type: 'address' }, { name: 'balance', type: 'uint256' }, { name: 'needed', type: 'uint256' }] },
+  { type: 'error', name: 'ERC20InsufficientAllowance', inputs: [{ name: 'spender', type: 'address' }, { name: 'allowance', type: 'uint256' }, { name: 'needed', type: 'uint256' }] },
+  { type: 'error', name: 'ERC20InvalidSender', inputs: [{ name: 'sender', type: 'address' }] },
+  { type: 'error', name: 'ERC20InvalidReceiver', inputs: [{ name: 'receiver', type: 'address' }] },
+  { type: 'error', name: 'ERC20InvalidApprover', inputs: [{ name: 'approver', type: 'address' }] },
+  { type: 'error', name: 'ERC20InvalidSpender', inputs: [{ name: 'spender', type: 'address' }] }
+];
+
+const SAFE_ERROR_CODES = {
+  GS000: 'Could not finish initialization',
+  GS001: 'Threshold needs to be defined',
+  GS010: 'Not enough gas to execute Safe transaction',
+  GS011: 'Could not pay gas costs with ether',
+  GS012: 'Could not pay gas costs with token',
+  GS013: 'Safe transaction failed when gasPrice and safeTxGas were 0',
+  GS020: 'Signatures data too short',
+  GS021: 'Invalid contract signature location: inside static part',
+  GS022: 'Invalid contract signature location: length not present',
+  GS023: 'Invalid contract signature location: data not complete',
+  GS024: 'Invalid contract signature provided',
+  GS025: 'Hash has not been approved',
+  GS026: 'Invalid owner provided',
+  GS030: 'Only owners can approve a hash',
+  GS031: 'Method can only be called from this contract',
+  GS100: 'Modules have already been initialized',
+  GS101: 'Invalid module address provided',
+  GS102: 'Module has already been added',
+  GS103: 'Invalid prevModule, module pair provided',
+  GS104: 'Method can only be called from an enabled module',
+  GS105: 'Invalid starting point for fetching paginated modules',
+  GS106: 'Invalid page size for fetching paginated modules',
+  GS200: 'Owners have already been setup',
+  GS201: 'Threshold cannot exceed owner count',
+  GS202: 'Threshold needs to be greater than 0',
+  GS203: 'Invalid owner address provided',
+  GS204: 'Address is already an owner',
+  GS205: 'Invalid prevOwner, owner pair provided',
+  GS300: 'Guard does not implement IERC165',
+  GS301: 'Module guard does not implement IERC165',
+  GS400: 'Fallback handler cannot be set to self'
+};
+
+const IN_FLIGHT_EXECUTION_STATUSES = ['submitting', 'submitted'];
+
+// Head of the Safe OwnerManager linked list; prevOwner for the first entry of getOwners().
+const SENTINEL_OWNERS = '0x0000000000000000000000000000000000000001';
+const OWNER_CHANGE_SUMMARY_TYPES = new Set(['add-owner', 'remove-owner', 'swap-owner', 'change-threshold']);
+
 const L2_BASE_TOKEN = '0x000000000000000000000000000000000000800a';
 const L1_MESSENGER = '0x0000000000000000000000000000000000008008';
 const WITHDRAWAL_MESSAGE_TOPIC_PREFIX = '0x3a36e472';
@@ -182,7 +455,6 @@ const ERC20_BALANCE_ABI = [{
 const authTransport = http(config.rpcUrl, { fetchFn: authFetch });
 const publicClient = createPublicClient({ transport: authTransport });
 const serviceAccount = privateKeyToAccount(config.servicePrivateKey);
-const walletClient = createWalletClient({ account: serviceAccount, transport: authTransport });
 
 const l1PublicClient = createPublicClient({ transport: http(config.l1RpcUrl) });
 const l1RelayerAccount = privateKeyToAccount(config.l1RelayerPrivateKey);
@@ -193,6 +465,7 @@ export function normalizeAddress(address) {
   return getAddress(address).toLowerCase();
 }
 
+const SIGNING_BUNDLE_VERSION = 1;
 const SAFE_TX_TYPES = {
   SafeTx: [
     { name: 'to', type: 'address' },
@@ -231,6 +504,36 @@ export function buildSafeTxTypedData({ chainId, safeAddress, safeTx }) {
   };
 }
 
+const DELETE_REQUEST_TYPES = {
+  DeleteRequest: [
+    { name: 'safeTxHash', type: 'bytes32' },
+    { name: 'totp', type: 'uint256' }
+  ]
+};
+// Delete signatures are bound to an hourly window so a leaked signature cannot be replayed later.
+const DELETE_REQUEST_WINDOW_SECONDS = 3600;
+
+function currentDeleteTotp() {
+  return Math.floor(Date.now() / 1000 / DELETE_REQUEST_WINDOW_SECONDS);
+}
+
+export function buildDeleteRequestTypedData({ chainId, safeAddress, safeTxHash, totp }) {
+  return {
+    domain: {
+      name: 'Safe Tx Service',
+      version: '1.0',
+      chainId: BigInt(chainId),
+      verifyingContract: normalizeAddress(safeAddress)
+    },
+    types: DELETE_REQUEST_TYPES,
+    primaryType: 'DeleteRequest',
+    message: {
+      safeTxHash,
+      totp: BigInt(totp)
+    }
+  };
+}
+
 export function buildSafeTxHash(safeAddress, tx) {
   const typedData = buildSafeTxTypedData({ chainId: config.chainId, safeAddress, safeTx: tx });
   return hashTypedData(typedData);
@@ -252,6 +555,17 @@ export async function readSafeOnChain(safeAddress) {
   };
 }
 
+// Safes reachable from $1 through ownership: owned directly (owned_via NULL) or through registered Safes that
+// are themselves owners, up to $2 levels deep.
+const CONTROLLED_SAFES_CTE = `
+  WITH RECURSIVE controlled (safe_address, owned_via, depth) AS (
+    SELECT safe_address, NULL::text, 1 FROM safe_owners WHERE owner_address = $1
+    UNION
+    SELECT so.safe_address, c.safe_address, c.depth + 1
+    FROM safe_owners so JOIN controlled c ON so.owner_address = c.safe_address
+    WHERE c.depth < $2
+  )`;
+
 export async function assertOwner(safeAddress, ownerAddress) {
   const result = await pool.query(
     'SELECT 1 FROM safe_owners WHERE safe_address = $1 AND owner_address = $2',
@@ -264,6 +578,21 @@ export async function assertOwner(safeAddress, ownerAddress) {
   }
 }
 
+// Owners of a nested Safe may read its parents and start a nested approval; everything that changes a Safe
+// (proposals, settings, address book, ABIs, schedules) stays with its direct owners via assertOwner.
+export async function assertCanView(safeAddress, ownerAddress) {
+  const result = await pool.query(
+    `${CONTROLLED_SAFES_CTE}
+     SELECT 1 FROM controlled WHERE safe_address = $3 LIMIT 1`,
+    [normalizeAddress(ownerAddress), MAX_SAFE_NESTING_DEPTH, normalizeAddress(safeAddress)]
+  );
+  if (!result.rowCount) {
+    const err = new Error('Not a safe owner');
+    err.status = 403;
+    throw err;
+  }
+}
+
 export async function upsertSafe(safeInfo) {
   await pool.query('BEGIN');
   try {
@@ -282,41 +611,252 @@ export async function upsertSafe(safeInfo) {
   }
 }
 
+// `blockNumber` is the block of the owner event that triggered the refresh, so a rollback knows what to re-read.
+async function replaceDiscoveredOwners(safeAddress, owners, { threshold = null, blockNumber = null } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM discovered_safe_owners WHERE safe_address = $1', [safeAddress]);
+    for (const owner of owners) {
+      await client.query(
+        'INSERT INTO discovered_safe_owners (safe_address, owner_address) VALUES ($1,$2) ON CONFLICT DO NOTHING',
+        [safeAddress, owner]
+      );
+    }
+    await client.query(
+      'UPDATE discovered_safes SET threshold = COALESCE($2, threshold), owners_block_number = $3 WHERE safe_address = $1',
+      [safeAddress, threshold, blockNumber]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function refreshDiscoveredOwners(safeAddress, blockNumber) {
+  const safe = await readSafeOnChain(safeAddress);
+  await replaceDiscoveredOwners(safeAddress, safe.owners, { threshold: safe.threshold, blockNumber });
+}
+
+// Owners are kept current by the safe_discovery cursor, so listing needs no RPC calls.
+async function listDiscoveredSafesForOwner(ownerAddress) {
+  const candidates = await pool.query(
+    `SELECT d.safe_address, COALESCE(d.threshold, d.initial_threshold) AS threshold
+     FROM discovered_safes d
+     JOIN discovered_safe_owners dso ON dso.safe_address = d.safe_address
+     WHERE dso.owner_address = $1
+       AND NOT EXISTS (SELECT 1 FROM safes s WHERE s.safe_address = d.safe_address)
+     ORDER BY d.block_number DESC`,
+    [ownerAddress]
+  );
+  return candidates.rows.map((row) => ({
+    safe_address: row.safe_address,
+    chain_id: config.chainId,
+    threshold: row.threshold,
+    imported: false
+  }));
+}
+
 export async function listSafesForOwner(ownerAddress) {
+  const normalizedOwner = normalizeAddress(ownerAddress);
   const rows = await pool.query(
-    `SELECT s.safe_address, s.chain_id, s.threshold
-     FROM safes s
-     JOIN safe_owners so ON so.safe_address = s.safe_address
-     WHERE so.owner_address = $1
-     ORDER BY s.created_at DESC`,
-    [normalizeAddress(ownerAddress)]
+    `${CONTROLLED_SAFES_CTE}
+     SELECT safe_address, chain_id, threshold, deployment_status, imported, owned_via
+     FROM (
+       SELECT DISTINCT ON (s.safe_address) s.safe_address, s.chain_id, s.threshold, s.deployment_status, s.created_at,
+         true AS imported, c.owned_via
+       FROM controlled c JOIN safes s ON s.safe_address = c.safe_address
+       ORDER BY s.safe_address, c.depth ASC
+     ) owned
+     ORDER BY created_at DESC`,
+    [normalizedOwner, MAX_SAFE_NESTING_DEPTH]
   );
-  return rows.rows;
+  const discovered = await listDiscoveredSafesForOwner(normalizedOwner);
+  return [...rows.rows, ...discovered];
 }
 
-export async function createSafe({ owners, threshold }) {
-  if (!config.safeFactoryAddress || !config.safeSingletonAddress) {
-    throw new Error('SAFE_FACTORY_ADDRESS and SAFE_SINGLETON_ADDRESS are required for safe creation');
+export async function syncSafeCreationsFromChain(fromBlock, toBlock) {
+  if (!config.safeFactoryAddress) return { scanned: 0, discovered: 0, refreshed: 0 };
+
+  const creations = await publicClient.getLogs({
+    address: config.safeFactoryAddress,
+    event: SAFE_FACTORY_EVENTS_ABI[0],
+    fromBlock: BigInt(fromBlock),
+    toBlock: BigInt(toBlock)
+  });
+  const discovered = await indexSafeCreations(creations, fromBlock, toBlock);
+  const refreshed = await refreshDiscoveredSafesFromOwnerEvents(fromBlock, toBlock);
+  return { scanned: creations.length, discovered, refreshed };
+}
+
+// Owner changes after SafeSetup (e.g. AddedOwner) re-read the discovered Safe, so owners added later are found too.
+async function refreshDiscoveredSafesFromOwnerEvents(fromBlock, toBlock) {
+  const logs = await publicClient.getLogs({
+    events: SAFE_OWNER_EVENTS_ABI,
+    fromBlock: BigInt(fromBlock),
+    toBlock: BigInt(toBlock)
+  });
+  if (!logs.length) return 0;
+
+  const lastBlockBySafe = new Map();
+  for (const log of logs) {
+    lastBlockBySafe.set(normalizeAddress(log.address), Number(log.blockNumber));
   }
-  const normalizedOwners = [...new Set(owners.map(normalizeAddress))];
-  if (threshold < 1 || threshold > normalizedOwners.length) {
-    const err = new Error('threshold must be between 1 and owner count');
+  const known = await pool.query(
+    `SELECT d.safe_address FROM discovered_safes d
+     WHERE d.safe_address = ANY($1)
+       AND NOT EXISTS (SELECT 1 FROM safes s WHERE s.safe_address = d.safe_address)`,
+    [[...lastBlockBySafe.keys()]]
+  );
+  for (const { safe_address: safeAddress } of known.rows) {
+    await refreshDiscoveredOwners(safeAddress, lastBlockBySafe.get(safeAddress));
+  }
+  return known.rowCount;
+}
+
+async function indexSafeCreations(creations, fromBlock, toBlock) {
+  if (!creations.length) return 0;
+
+  const proxies = [...new Set(creations.map((log) => normalizeAddress(log.args.proxy)))];
+  const setups = await publicClient.getLogs({
+    address: proxies,
+    event: SAFE_SETUP_EVENTS_ABI[0],
+    fromBlock: BigInt(fromBlock),
+    toBlock: BigInt(toBlock)
+  });
+  const setupByProxy = new Map(setups.map((log) => [normalizeAddress(log.address), log]));
+
+  let discovered = 0;
+  for (const creation of creations) {
+    const safeAddress = normalizeAddress(creation.args.proxy);
+    const setup = setupByProxy.get(safeAddress);
+    // Proxies created without a setup call are not usable Safes yet.
+    if (!setup) continue;
+    const owners = setup.args.owners.map(normalizeAddress);
+    const inserted = await pool.query(
+      `INSERT INTO discovered_safes (safe_address, singleton_address, initial_threshold, creation_tx_hash, block_number)
+       VALUES ($1,$2,$3,$4,$5)
+       ON CONFLICT (safe_address) DO NOTHING`,
+      [
+        safeAddress,
+        normalizeAddress(creation.args.singleton),
+        Number(setup.args.threshold),
+        creation.transactionHash.toLowerCase(),
+        Number(creation.blockNumber)
+      ]
+    );
+    if (!inserted.rowCount) continue;
+    await replaceDiscoveredOwners(safeAddress, owners);
+    discovered += 1;
+  }
+  return discovered;
+}
+
+export async function rollbackSafeCreationsFromBlock(fromBlock) {
+  const removed = await pool.query('DELETE FROM discovered_safes WHERE block_number >= $1', [fromBlock]);
+  const stale = await pool.query('SELECT safe_address FROM discovered_safes WHERE owners_block_number >= $1', [fromBlock]);
+  for (const { safe_address: safeAddress } of stale.rows) {
+    await refreshDiscoveredOwners(safeAddress, null);
+  }
+  return { removed: removed.rowCount, refreshed: stale.rowCount };
+}
+
+let cachedProxyCreationCode = null;
+
+async function getProxyCreationCode() {
+  if (!cachedProxyCreationCode) {
+    cachedProxyCreationCode = await publicClient.readContract({
+      address: normalizeAddress(config.safeFactoryAddress),
+      abi: SAFE_FACTORY_ABI,
+      functionName: 'proxyCreationCode'
+    });
+  }
+  return cachedProxyCreationCode;
+}
+
+function parseSaltNonce(saltNonce) {
+  try {
+    const parsed = BigInt(saltNonce);
+    if (parsed < 0n || parsed >= 2n ** 256n) throw new Error('out of range');
+    return parsed;
+  } catch (_error) {
+    const err = new Error('saltNonce must be a uint256 (decimal or 0x-prefixed)');
     err.status = 400;
     throw err;
   }
+}
 
-  const initializer = encodeFunctionData({
+function buildSafeInitializer(owners, threshold) {
+  // Without a configured handler the Safe is set up with none, as before SAFE_FALLBACK_HANDLER_ADDRESS existed.
+  const fallbackHandler = config.safeFallbackHandlerAddress ? normalizeAddress(config.safeFallbackHandlerAddress) : zeroAddress;
+  return encodeFunctionData({
     abi: SAFE_SETUP_ABI,
     functionName: 'setup',
-    args: [normalizedOwners, BigInt(threshold), '0x0000000000000000000000000000000000000000', '0x', '0x0000000000000000000000000000000000000000', '0x0000000000000000000000000000000000000000', 0n, '0x0000000000000000000000000000000000000000']
+    args: [owners, BigInt(threshold), '0x0000000000000000000000000000000000000000', '0x', fallbackHandler, '0x0000000000000000000000000000000000000000', 0n, '0x0000000000000000000000000000000000000000']
   });
+}
 
-  const hash = await walletClient.writeContract({
-    address: normalizeAddress(config.safeFactoryAddress),
-    abi: SAFE_FACTORY_ABI,
-    functionName: 'createProxyWithNonce',
-    args: [normalizeAddress(config.safeSingletonAddress), initializer, BigInt(Date.now())]
-  });
+async function isContractDeployed(address) {
+  const code = await publicClient.getCode({ address });
+  return Boolean(code && code !== '0x');
+}
+
+export async function predictSafeAddress({ owners, threshold, saltNonce }) {
+  if (!config.safeFactoryAddress || !config.safeSingletonAddress) {
+    throw new Error('SAFE_FACTORY_ADDRESS and SAFE_SINGLETON_ADDRESS are required for safe creation');
+  }
+  const normalizedOwners = [...new Set(owners.map(normalizeAddress))];
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > normalizedOwners.length) {
+    const err = new Error('threshold must be an integer between 1 and owner count');
+    err.status = 400;
+    throw err;
+  }
+  const salt = parseSaltNonce(saltNonce);
+  const initializer = buildSafeInitializer(normalizedOwners, threshold);
+  const singleton = normalizeAddress(config.safeSingletonAddress);
+  // SafeProxyFactory.createProxyWithNonce: salt = keccak256(keccak256(initializer) ++ saltNonce).
+  const create2Salt = keccak256(encodePacked(['bytes32', 'uint256'], [keccak256(initializer), salt]));
+  const bytecode = encodePacked(['bytes', 'uint256'], [await getProxyCreationCode(), BigInt(singleton)]);
+  const safeAddress = normalizeAddress(getContractAddress({
+    opcode: 'CREATE2',
+    from: normalizeAddress(config.safeFactoryAddress),
+    salt: create2Salt,
+    bytecode
+  }));
+
+  return {
+    safeAddress,
+    owners: normalizedOwners,
+    threshold,
+    saltNonce: salt.toString(),
+    initializer,
+    singletonAddress: singleton,
+    factoryAddress: normalizeAddress(config.safeFactoryAddress),
+    deployed: await isContractDeployed(safeAddress)
+  };
+}
+
+async function deploySafeProxy({ safeAddress, singletonAddress, factoryAddress, initializer, saltNonce }) {
+  let hash;
+  try {
+    hash = await sendServiceTransaction({
+      to: factoryAddress,
+      data: encodeFunctionData({
+        abi: SAFE_FACTORY_ABI,
+        functionName: 'createProxyWithNonce',
+        args: [singletonAddress, initializer, BigInt(saltNonce)]
+      }),
+      purpose: 'deploy_safe',
+      reference: safeAddress
+    });
+  } catch (error) {
+    // A concurrent request with the same salt may have deployed it first.
+    if (await isContractDeployed(safeAddress)) return null;
+    throw error;
+  }
   const receipt = await publicClient.waitForTransactionReceipt({ hash });
   const proxyLog = receipt.logs
     .map((log) => {
@@ -328,40 +868,182 @@ export async function createSafe({ owners, threshold }) {
       }
     })
     .find((decoded) => decoded?.eventName === 'ProxyCreation');
-  const safeAddress = proxyLog?.args?.proxy;
-  if (!safeAddress) throw new Error('Could not infer safe address from ProxyCreation event');
+  const deployedAddress = proxyLog?.args?.proxy;
+  if (!deployedAddress) throw new Error('Could not infer safe address from ProxyCreation event');
+  if (normalizeAddress(deployedAddress) !== safeAddress) {
+    throw new Error(`Safe deployed at ${normalizeAddress(deployedAddress)} instead of predicted ${safeAddress}`);
+  }
+  return receipt.transactionHash.toLowerCase();
+}
 
-  const safe = await readSafeOnChain(safeAddress);
-  await upsertSafe(safe);
-  return safe;
+async function markSafeDeployed(safeAddress, deploymentTxHash) {
+  await pool.query(
+    `UPDATE safes
+     SET deployment_status = 'deployed', deployment_tx_hash = COALESCE($2, deployment_tx_hash)
+     WHERE safe_address = $1`,
+    [safeAddress, deploymentTxHash]
+  );
 }
 
+async function insertPendingSafe(prediction) {
+  await pool.query('BEGIN');
+  try {
+    await pool.query(
+      `INSERT INTO safes (safe_address, chain_id, threshold, deployment_status, salt_nonce, setup_initializer, singleton_address, factory_address)
+       VALUES ($1,$2,$3,'pending',$4,$5,$6,$7)
+       ON CONFLICT (safe_address) DO NOTHING`,
+      [
+        prediction.safeAddress,
+        config.chainId,
+        prediction.threshold,
+        prediction.saltNonce,
+        prediction.initializer,
+        prediction.singletonAddress,
+        prediction.factoryAddress
+      ]
+    );
+    for (const owner of prediction.owners) {
+      await pool.query(
+        'INSERT INTO safe_owners (safe_address, owner_address) VALUES ($1,$2) ON CONFLICT DO NOTHING',
+        [prediction.safeAddress, owner]
+      );
+    }
+    await pool.query('COMMIT');
+  } catch (error) {
+    await pool.query('ROLLBACK');
+    throw error;
+  }
+}
 
-function getWithdrawalStatusFromProposal(row, confirmationsCount) {
-  if (row.withdrawal_status) return row.withdrawal_status;
-  if (row.executed_tx_hash) return 'executed_l2';
-  if (confirmationsCount >= row.threshold) return 'ready_to_execute';
-  return confirmationsCount > 0 ? 'awaiting_signatures' : 'proposed';
+// setup() links owners in argument order, so the initializer gives the order getOwners() will return after
+// deployment; prevOwner lookups for owner changes depend on it.
+async function getCounterfactualOwners(safeAddress, initializer) {
+  if (initializer) {
+    const { args } = decodeFunctionData({ abi: SAFE_SETUP_ABI, data: initializer });
+    return args[0].map((owner) => owner.toLowerCase());
+  }
+  const owners = await pool.query('SELECT owner_address FROM safe_owners WHERE safe_address = $1 ORDER BY owner_address ASC', [safeAddress]);
+  return owners.rows.map((o) => o.owner_address);
 }
 
-function buildWithdrawalProgress(status) {
-  const order = ['proposed', 'awaiting_signatures', 'ready_to_execute', 'executed_l2', 'awaiting_proof', 'finalizing_l1', 'finalized_l1'];
-  const idx = order.indexOf(status);
-  const doneIndex = idx === -1 ? -1 : idx;
-  return [
-    { step: 'Proposed', done: doneIndex >= 0 },
-    { step: 'Signatures collected', done: doneIndex >= 2 },
-    { step: 'Executed on L2', done: doneIndex >= 3 },
-    { step: 'Waiting for batch finalization', done: doneIndex >= 4 },
-    { step: 'Finalizing on L1', done: doneIndex >= 5 },
-    { step: 'Finalized on L1', done: doneIndex >= 6 }
-  ];
+export async function readSafe(safeAddress) {
+  const addr = normalizeAddress(safeAddress);
+  const stored = await pool.query(
+    'SELECT threshold, deployment_status, salt_nonce, auto_execute, setup_initializer FROM safes WHERE safe_address = $1',
+    [addr]
+  );
+  const row = stored.rows[0];
+  if (row?.deployment_status === 'pending') {
+    if (await isContractDeployed(addr)) {
+      await markSafeDeployed(addr, null);
+    } else {
+      return {
+        safeAddress: addr,
+        chainId: config.chainId,
+        owners: await getCounterfactualOwners(addr, row.setup_initializer),
+        threshold: row.threshold,
+        nonce: '0',
+        deployed: false,
+        saltNonce: row.salt_nonce,
+        autoExecute: row.auto_execute
+      };
+    }
+  }
+  const safe = await readSafeOnChain(addr);
+  return { ...safe, deployed: true, saltNonce: row?.salt_nonce || undefined, autoExecute: Boolean(row?.auto_execute) };
 }
 
-function mapWithdrawalRow(row, fallbackStatus) {
-  if (!row.withdrawal_proposal_id) return undefined;
-  const status = row.withdrawal_status || fallbackStatus;
-  return {
+export async function updateSafeSettings({ safeAddress, autoExecute, updatedBy }) {
+  if (typeof autoExecute !== 'boolean') {
+    const err = new Error('autoExecute must be a boolean');
+    err.status = 400;
+    throw err;
+  }
+  const updated = await pool.query(
+    `UPDATE safes SET auto_execute = $2, settings_updated_by = $3, settings_updated_at = now()
+     WHERE safe_address = $1
+     RETURNING auto_execute, settings_updated_by, settings_updated_at`,
+    [normalizeAddress(safeAddress), autoExecute, normalizeAddress(updatedBy)]
+  );
+  if (!updated.rowCount) {
+    const err = new Error('Safe not found');
+    err.status = 404;
+    throw err;
+  }
+  const row = updated.rows[0];
+  return {
+    autoExecute: row.auto_execute,
+    updatedBy: row.settings_updated_by,
+    updatedAt: row.settings_updated_at.toISOString()
+  };
+}
+
+export async function ensureSafeDeployed(safeAddress) {
+  const addr = normalizeAddress(safeAddress);
+  const stored = await pool.query(
+    'SELECT deployment_status, salt_nonce, setup_initializer, singleton_address, factory_address FROM safes WHERE safe_address = $1',
+    [addr]
+  );
+  const row = stored.rows[0];
+  if (!row || row.deployment_status !== 'pending') return null;
+  if (await isContractDeployed(addr)) {
+    await markSafeDeployed(addr, null);
+    return null;
+  }
+  const deploymentTxHash = await deploySafeProxy({
+    safeAddress: addr,
+    singletonAddress: row.singleton_address,
+    factoryAddress: row.factory_address,
+    initializer: row.setup_initializer,
+    saltNonce: row.salt_nonce
+  });
+  await markSafeDeployed(addr, deploymentTxHash);
+  return deploymentTxHash;
+}
+
+export async function createSafe({ owners, threshold, saltNonce, counterfactual = false }) {
+  const prediction = await predictSafeAddress({ owners, threshold, saltNonce });
+
+  if (prediction.deployed) {
+    const safe = await readSafeOnChain(prediction.safeAddress);
+    await upsertSafe(safe);
+    await markSafeDeployed(prediction.safeAddress, null);
+    return { ...safe, deployed: true, saltNonce: prediction.saltNonce };
+  }
+
+  await insertPendingSafe(prediction);
+  if (!counterfactual) {
+    await ensureSafeDeployed(prediction.safeAddress);
+  }
+  return readSafe(prediction.safeAddress);
+}
+
+
+function getWithdrawalStatusFromProposal(row, confirmationsCount) {
+  if (row.withdrawal_status) return row.withdrawal_status;
+  if (row.executed_tx_hash) return 'executed_l2';
+  if (confirmationsCount >= row.threshold) return 'ready_to_execute';
+  return confirmationsCount > 0 ? 'awaiting_signatures' : 'proposed';
+}
+
+function buildWithdrawalProgress(status) {
+  const order = ['proposed', 'awaiting_signatures', 'ready_to_execute', 'executed_l2', 'awaiting_proof', 'finalizing_l1', 'finalized_l1'];
+  const idx = order.indexOf(status);
+  const doneIndex = idx === -1 ? -1 : idx;
+  return [
+    { step: 'Proposed', done: doneIndex >= 0 },
+    { step: 'Signatures collected', done: doneIndex >= 2 },
+    { step: 'Executed on L2', done: doneIndex >= 3 },
+    { step: 'Waiting for batch finalization', done: doneIndex >= 4 },
+    { step: 'Finalizing on L1', done: doneIndex >= 5 },
+    { step: 'Finalized on L1', done: doneIndex >= 6 }
+  ];
+}
+
+function mapWithdrawalRow(row, fallbackStatus) {
+  if (!row.withdrawal_proposal_id) return undefined;
+  const status = row.withdrawal_status || fallbackStatus;
+  return {
     status,
     assetType: row.withdrawal_asset_type || 'base',
     recipient: row.withdrawal_l1_recipient || undefined,
@@ -380,6 +1062,44 @@ function mapWithdrawalRow(row, fallbackStatus) {
   };
 }
 
+function mapSignatureRow(row) {
+  return {
+    owner: row.owner_address,
+    signature: row.signature,
+    signatureType: row.signature_type,
+    importedBy: row.imported_by || undefined
+  };
+}
+
+async function withNestedApprovals(proposal, proposalId) {
+  const rows = await pool.query(
+    `SELECT na.id, na.child_safe_address, na.method, na.created_by, na.created_at,
+       cp.safe_tx_hash AS child_safe_tx_hash, cp.executed_tx_hash AS child_executed_tx_hash,
+       m.safe_message_hash AS child_safe_message_hash
+     FROM nested_approvals na
+     LEFT JOIN proposals cp ON cp.id = na.child_proposal_id
+     LEFT JOIN safe_messages m ON m.id = na.child_message_id
+     WHERE na.parent_proposal_id = $1
+     ORDER BY na.created_at ASC`,
+    [proposalId]
+  );
+  if (!rows.rowCount) return proposal;
+  return {
+    ...proposal,
+    nestedApprovals: rows.rows.map((row) => ({
+      id: row.id,
+      childSafeAddress: row.child_safe_address,
+      method: row.method,
+      childSafeTxHash: row.child_safe_tx_hash || undefined,
+      childExecutedTxHash: row.child_executed_tx_hash || undefined,
+      childSafeMessageHash: row.child_safe_message_hash || undefined,
+      status: proposal.confirmations.some((confirmation) => confirmation.owner === row.child_safe_address) ? 'confirmed' : 'pending',
+      createdBy: row.created_by,
+      createdAt: row.created_at.toISOString()
+    }))
+  };
+}
+
 function rowToProposal(row, confirmations) {
   const tx = {
     to: row.recipient,
@@ -398,20 +1118,162 @@ function rowToProposal(row, confirmations) {
     createdAt: row.created_at.toISOString(),
     confirmations,
     confirmationsRequired: row.threshold,
-    executable: confirmations.length >= row.threshold && !row.executed_tx_hash && row.nonce_status !== 'rejected',
+    executable: confirmations.length >= row.threshold && !row.executed_tx_hash && (row.nonce_status || 'active') === 'active'
+      && !IN_FLIGHT_EXECUTION_STATUSES.includes(row.execution_status) && (!row.not_before || row.not_before <= new Date()),
+    notBefore: row.not_before?.toISOString(),
+    expiresAt: row.expires_at?.toISOString(),
+    scheduledExecute: Boolean(row.scheduled_execute),
     executedTxHash: row.executed_tx_hash || undefined,
+    execution: row.execution_status ? {
+      status: row.execution_status,
+      txHash: row.execution_tx_hash || undefined,
+      submittedAt: row.execution_submitted_at?.toISOString(),
+      gasUsed: row.execution_gas_used || undefined,
+      blockNumber: row.executed_block_number?.toString(),
+      executedBy: row.executed_by || undefined,
+      trigger: row.execution_trigger || undefined,
+      triggeredBy: row.execution_triggered_by || undefined
+    } : undefined,
     nonceStatus: row.nonce_status || 'active',
     isAdvanced: Boolean(row.is_advanced),
     summary: typeof row.summary === 'string' ? JSON.parse(row.summary) : row.summary || undefined,
+    autoExecute: row.auto_execute_attempts > 0 ? {
+      attempts: row.auto_execute_attempts,
+      nextAttemptAt: row.auto_execute_next_at?.toISOString(),
+      lastError: row.auto_execute_last_error || undefined
+    } : undefined,
     withdrawal: mapWithdrawalRow(row, fallbackStatus)
   };
 }
 
-async function buildProposalSummary(tx, isAdvanced = false) {
+// Nested MultiSend batches are unpacked up to this depth; deeper ones are summarized as plain calls.
+const MAX_SUBCALL_DEPTH = 3;
+
+function tryDecodeFunctionData(abi, data) {
+  try {
+    return decodeFunctionData({ abi, data });
+  } catch (_error) {
+    return null;
+  }
+}
+
+async function describeCall({ to, value, data }, registry, depth) {
+  if (!data || data === '0x') {
+    return { type: 'native-transfer', recipient: to, amount: formatUnits(value, config.nativeDecimals) };
+  }
+
+  if (to === config.multisendAddress && depth < MAX_SUBCALL_DEPTH) {
+    const subCalls = await decodeMultiSendSubCalls(data, registry, depth + 1);
+    if (subCalls) return { type: 'multisend', subCalls };
+  }
+
+  const tokenCall = tryDecodeFunctionData([...ERC20_TRANSFER_ABI, ...ERC20_APPROVE_ABI], data);
+  if (tokenCall) {
+    const metadata = await getTokenMetadata(to).catch(() => null);
+    if (metadata) {
+      const [counterparty, amount] = tokenCall.args;
+      const token = { tokenSymbol: metadata.symbol, tokenAddress: metadata.address, amount: formatUnits(amount, metadata.decimals) };
+      return tokenCall.functionName === 'transfer'
+        ? { type: 'erc20-transfer', ...token, recipient: normalizeAddress(counterparty) }
+        : { type: 'erc20-approval', ...token, spender: normalizeAddress(counterparty) };
+    }
+  }
+
+  if (to === L2_BASE_TOKEN) {
+    const withdrawal = tryDecodeFunctionData(WITHDRAW_ABI, data);
+    if (withdrawal) {
+      return { type: 'l2-to-l1-withdrawal', recipient: normalizeAddress(withdrawal.args[0]), amount: formatUnits(value, config.nativeDecimals) };
+    }
+  }
+
+  if (to === L2_ASSET_ROUTER) {
+    const withdrawal = await decodeErc20WithdrawalCall(data);
+    if (withdrawal) {
+      const metadata = withdrawal.l2TokenAddress ? await getTokenMetadata(withdrawal.l2TokenAddress).catch(() => null) : null;
+      return {
+        type: 'l2-to-l1-withdrawal-erc20',
+        recipient: withdrawal.recipient,
+        ...(metadata
+          ? { tokenSymbol: metadata.symbol, tokenAddress: metadata.address, amount: formatUnits(withdrawal.amountBaseUnits, metadata.decimals) }
+          : { assetId: withdrawal.assetId, amountBaseUnits: withdrawal.amountBaseUnits.toString() })
+      };
+    }
+  }
+
+  if (registry.safeAddress && to === registry.safeAddress) {
+    const ownerCall = tryDecodeFunctionData(SAFE_OWNER_MANAGER_ABI, data);
+    if (ownerCall?.functionName === 'addOwnerWithThreshold') {
+      return { type: 'add-owner', owner: normalizeAddress(ownerCall.args[0]), threshold: Number(ownerCall.args[1]) };
+    }
+    if (ownerCall?.functionName === 'removeOwner') {
+      return { type: 'remove-owner', owner: normalizeAddress(ownerCall.args[1]), threshold: Number(ownerCall.args[2]) };
+    }
+    if (ownerCall?.functionName === 'swapOwner') {
+      return { type: 'swap-owner', oldOwner: normalizeAddress(ownerCall.args[1]), newOwner: normalizeAddress(ownerCall.args[2]) };
+    }
+    if (ownerCall?.functionName === 'changeThreshold') {
+      return { type: 'change-threshold', threshold: Number(ownerCall.args[0]) };
+    }
+  }
+
+  const decoded = decodeCallWithRegistry(registry, { to, data });
+  return { type: 'contract-call', selector: data.slice(0, 10), ...(decoded ? { decoded } : {}) };
+}
+
+function listMultiSendTargets(data, safeAddress, depth = 1) {
+  const outer = tryDecodeFunctionData(MULTISEND_ABI, data);
+  if (!outer || depth > MAX_SUBCALL_DEPTH) return null;
+  let calls;
+  try {
+    calls = decodeMultiSendTransactions(outer.args[0]);
+  } catch (_error) {
+    return null;
+  }
+  const targets = [];
+  for (const call of calls) {
+    if (call.to === config.multisendAddress) {
+      const nested = listMultiSendTargets(call.data, safeAddress, depth + 1);
+      if (!nested) return null;
+      targets.push(...nested);
+    } else if (call.to !== safeAddress) {
+      targets.push(call.to);
+    }
+  }
+  return targets;
+}
+
+async function decodeMultiSendSubCalls(data, registry, depth) {
+  const outer = tryDecodeFunctionData(MULTISEND_ABI, data);
+  if (!outer) return null;
+  let calls;
+  try {
+    calls = decodeMultiSendTransactions(outer.args[0]);
+  } catch (_error) {
+    return null;
+  }
+  return Promise.all(calls.map(async (call) => ({
+    operation: call.operation,
+    to: call.to,
+    value: call.value.toString(),
+    ...(await describeCall(call, registry, depth))
+  })));
+}
+
+async function buildProposalSummary(tx, isAdvanced = false, safeAddress = null) {
+  const registry = await loadAbiRegistry(safeAddress);
+  if (config.multisendAddress && tx.to === config.multisendAddress) {
+    const subCalls = await decodeMultiSendSubCalls(tx.data, registry, 1);
+    if (subCalls) {
+      return { type: 'multisend', ...(isAdvanced ? { advanced: true } : {}), subCalls };
+    }
+  }
+
   if (isAdvanced) {
+    const decoded = decodeCallWithRegistry(registry, tx);
     return {
       type: 'advanced',
-      label: 'Custom calldata'
+      label: decoded ? `${decoded.contract}.${decoded.functionName}` : 'Custom calldata',
+      ...(decoded ? { decoded } : {})
     };
   }
 
@@ -440,7 +1302,140 @@ async function buildProposalSummary(tx, isAdvanced = false) {
   }
 }
 
-async function normalizeProposalInput(input) {
+function getPrevOwner(owners, owner) {
+  const index = owners.indexOf(owner);
+  return index <= 0 ? SENTINEL_OWNERS : owners[index - 1];
+}
+
+function parseOwnerChangeThreshold(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const threshold = Number(value);
+  if (!Number.isInteger(threshold)) {
+    const err = new Error('threshold must be an integer');
+    err.status = 400;
+    throw err;
+  }
+  return threshold;
+}
+
+function assertThresholdInRange(threshold, ownerCount) {
+  if (threshold < 1 || threshold > ownerCount) {
+    const err = new Error(`threshold must be between 1 and ${ownerCount}`);
+    err.status = 400;
+    throw err;
+  }
+}
+
+function parseOwnerAddress(value, field) {
+  if (!value || !isAddress(value)) {
+    const err = new Error(`${field} must be a valid address`);
+    err.status = 400;
+    throw err;
+  }
+  return normalizeAddress(value);
+}
+
+function buildOwnerChangeTx(safe, input) {
+  const action = input?.action;
+  const owners = safe.owners;
+
+  if (action === 'add') {
+    const owner = parseOwnerAddress(input.owner, 'owner');
+    if (owners.includes(owner)) {
+      const err = new Error('owner is already a Safe owner');
+      err.status = 400;
+      throw err;
+    }
+    if (owner === safe.safeAddress || owner === SENTINEL_OWNERS) {
+      const err = new Error('owner cannot be the Safe itself or the sentinel address');
+      err.status = 400;
+      throw err;
+    }
+    const threshold = parseOwnerChangeThreshold(input.threshold, safe.threshold);
+    assertThresholdInRange(threshold, owners.length + 1);
+    return {
+      data: encodeFunctionData({ abi: SAFE_OWNER_MANAGER_ABI, functionName: 'addOwnerWithThreshold', args: [owner, BigInt(threshold)] }),
+      summary: { type: 'add-owner', owner, threshold, previousThreshold: safe.threshold }
+    };
+  }
+
+  if (action === 'remove') {
+    const owner = parseOwnerAddress(input.owner, 'owner');
+    if (!owners.includes(owner)) {
+      const err = new Error('owner is not a Safe owner');
+      err.status = 400;
+      throw err;
+    }
+    if (owners.length === 1) {
+      const err = new Error('Cannot remove the last Safe owner');
+      err.status = 400;
+      throw err;
+    }
+    const threshold = parseOwnerChangeThreshold(input.threshold, Math.min(safe.threshold, owners.length - 1));
+    assertThresholdInRange(threshold, owners.length - 1);
+    return {
+      data: encodeFunctionData({
+        abi: SAFE_OWNER_MANAGER_ABI,
+        functionName: 'removeOwner',
+        args: [getPrevOwner(owners, owner), owner, BigInt(threshold)]
+      }),
+      summary: { type: 'remove-owner', owner, threshold, previousThreshold: safe.threshold }
+    };
+  }
+
+  if (action === 'swap') {
+    const oldOwner = parseOwnerAddress(input.oldOwner, 'oldOwner');
+    const newOwner = parseOwnerAddress(input.newOwner, 'newOwner');
+    if (!owners.includes(oldOwner)) {
+      const err = new Error('oldOwner is not a Safe owner');
+      err.status = 400;
+      throw err;
+    }
+    if (owners.includes(newOwner)) {
+      const err = new Error('newOwner is already a Safe owner');
+      err.status = 400;
+      throw err;
+    }
+    if (newOwner === safe.safeAddress || newOwner === SENTINEL_OWNERS) {
+      const err = new Error('newOwner cannot be the Safe itself or the sentinel address');
+      err.status = 400;
+      throw err;
+    }
+    return {
+      data: encodeFunctionData({
+        abi: SAFE_OWNER_MANAGER_ABI,
+        functionName: 'swapOwner',
+        args: [getPrevOwner(owners, oldOwner), oldOwner, newOwner]
+      }),
+      summary: { type: 'swap-owner', oldOwner, newOwner, threshold: safe.threshold }
+    };
+  }
+
+  if (action === 'threshold') {
+    const threshold = parseOwnerChangeThreshold(input.threshold, undefined);
+    if (threshold === undefined) {
+      const err = new Error('threshold is required');
+      err.status = 400;
+      throw err;
+    }
+    assertThresholdInRange(threshold, owners.length);
+    if (threshold === safe.threshold) {
+      const err = new Error('threshold is unchanged');
+      err.status = 400;
+      throw err;
+    }
+    return {
+      data: encodeFunctionData({ abi: SAFE_OWNER_MANAGER_ABI, functionName: 'changeThreshold', args: [BigInt(threshold)] }),
+      summary: { type: 'change-threshold', threshold, previousThreshold: safe.threshold }
+    };
+  }
+
+  const err = new Error('ownerChange.action must be one of: add, remove, swap, threshold');
+  err.status = 400;
+  throw err;
+}
+
+async function normalizeProposalInput(input, safe) {
   const mode = input.mode || 'direct';
   const isAdvanced = Boolean(input.advanced);
 
@@ -450,6 +1445,69 @@ async function normalizeProposalInput(input) {
     throw err;
   }
 
+  if (mode === 'ownerChange') {
+    const { data, summary } = buildOwnerChangeTx(safe, input.ownerChange);
+    return {
+      proposalTx: {
+        to: safe.safeAddress,
+        value: '0',
+        data,
+        operation: 0
+      },
+      isAdvanced: false,
+      summary
+    };
+  }
+
+  if (mode === 'nestedApproval') {
+    const parentSafeAddress = input.nestedApproval?.safeAddress;
+    const parentSafeTxHash = input.nestedApproval?.safeTxHash;
+    if (!isAddress(parentSafeAddress || '') || !/^0x[0-9a-fA-F]{64}$/.test(parentSafeTxHash || '')) {
+      const err = new Error('nestedApproval safeAddress and safeTxHash are required');
+      err.status = 400;
+      throw err;
+    }
+    const parent = normalizeAddress(parentSafeAddress);
+    const ownsParent = await pool.query(
+      'SELECT 1 FROM safe_owners WHERE safe_address = $1 AND owner_address = $2',
+      [parent, safe.safeAddress]
+    );
+    if (!ownsParent.rowCount) {
+      const err = new Error('This Safe is not an owner of the parent Safe');
+      err.status = 400;
+      throw err;
+    }
+    return {
+      proposalTx: {
+        to: parent,
+        value: '0',
+        data: encodeFunctionData({ abi: SAFE_ABI, functionName: 'approveHash', args: [parentSafeTxHash] }),
+        operation: 0
+      },
+      isAdvanced: false,
+      summary: {
+        type: 'nested-approval',
+        parent: { safeAddress: parent, safeTxHash: parentSafeTxHash.toLowerCase() }
+      }
+    };
+  }
+
+  if (mode === 'rejection') {
+    return {
+      proposalTx: {
+        to: safe.safeAddress,
+        value: '0',
+        data: '0x',
+        operation: 0
+      },
+      isAdvanced: false,
+      summary: {
+        type: 'rejection',
+        nonce: String(input.nonce)
+      }
+    };
+  }
+
   if (mode === 'erc20' && !isAdvanced) {
     const tokenAddress = input.erc20?.tokenAddress;
     const recipient = input.erc20?.recipient;
@@ -531,8 +1589,10 @@ async function normalizeProposalInput(input) {
   if (isAdvanced && !config.allowCustomTargets) {
     const allowedTargets = new Set(getSupportedTokenAddresses().map((address) => normalizeAddress(address)));
     allowedTargets.add(config.multisendAddress);
-    if (!allowedTargets.has(proposalTx.to)) {
-      const err = new Error('Custom targets are disabled by ALLOW_CUSTOM_TARGETS');
+    // A batch must not reach targets that would be refused as a standalone call.
+    const targets = proposalTx.to === config.multisendAddress ? listMultiSendTargets(proposalTx.data, safe.safeAddress) : [proposalTx.to];
+    if (!targets || targets.some((target) => !allowedTargets.has(target))) {
+      const err = new Error(targets ? 'Custom targets are disabled by ALLOW_CUSTOM_TARGETS' : 'MultiSend calldata could not be decoded');
       err.status = 400;
       throw err;
     }
@@ -541,7 +1601,7 @@ async function normalizeProposalInput(input) {
   return {
     proposalTx,
     isAdvanced,
-    summary: await buildProposalSummary(proposalTx, isAdvanced)
+    summary: await buildProposalSummary(proposalTx, isAdvanced, safe.safeAddress)
   };
 }
 
@@ -550,6 +1610,14 @@ export async function getProposalByHash(safeTxHash) {
     `SELECT p.*, s.threshold,
       CASE
         WHEN p.executed_tx_hash IS NOT NULL THEN 'executed'
+        WHEN EXISTS (
+          SELECT 1 FROM proposals p2
+          WHERE p2.safe_address = p.safe_address
+            AND p2.nonce = p.nonce
+            AND p2.executed_tx_hash IS NOT NULL
+            AND p2.id <> p.id
+            AND p2.summary->>'type' = 'rejection'
+        ) THEN 'cancelled'
         WHEN EXISTS (
           SELECT 1 FROM proposals p2
           WHERE p2.safe_address = p.safe_address
@@ -557,6 +1625,8 @@ export async function getProposalByHash(safeTxHash) {
             AND p2.executed_tx_hash IS NOT NULL
             AND p2.id <> p.id
         ) THEN 'rejected'
+        WHEN p.replaced_by IS NOT NULL THEN 'replaced'
+        WHEN p.expires_at IS NOT NULL AND p.expires_at <= now() THEN 'expired'
         ELSE 'active'
       END AS nonce_status,
       w.proposal_id AS withdrawal_proposal_id,
@@ -574,13 +1644,13 @@ export async function getProposalByHash(safeTxHash) {
      FROM proposals p
      JOIN safes s ON s.safe_address = p.safe_address
      LEFT JOIN withdrawals w ON w.proposal_id = p.id
-     WHERE p.safe_tx_hash = $1`,
+     WHERE p.safe_tx_hash = $1 AND p.deleted_at IS NULL`,
     [safeTxHash.toLowerCase()]
   );
   if (!base.rowCount) return null;
   const row = base.rows[0];
-  const signatures = await pool.query('SELECT owner_address, signature FROM signatures WHERE proposal_id = $1 ORDER BY owner_address ASC', [row.id]);
-  return rowToProposal(row, signatures.rows.map((s) => ({ owner: s.owner_address, signature: s.signature })));
+  const signatures = await pool.query('SELECT owner_address, signature, signature_type, imported_by FROM signatures WHERE proposal_id = $1 ORDER BY owner_address ASC', [row.id]);
+  return withNestedApprovals(rowToProposal(row, signatures.rows.map(mapSignatureRow)), row.id);
 }
 
 export async function listProposalsForSafe(safeAddress) {
@@ -588,6 +1658,14 @@ export async function listProposalsForSafe(safeAddress) {
     `SELECT p.*, s.threshold,
       CASE
         WHEN p.executed_tx_hash IS NOT NULL THEN 'executed'
+        WHEN EXISTS (
+          SELECT 1 FROM proposals p2
+          WHERE p2.safe_address = p.safe_address
+            AND p2.nonce = p.nonce
+            AND p2.executed_tx_hash IS NOT NULL
+            AND p2.id <> p.id
+            AND p2.summary->>'type' = 'rejection'
+        ) THEN 'cancelled'
         WHEN EXISTS (
           SELECT 1 FROM proposals p2
           WHERE p2.safe_address = p.safe_address
@@ -595,6 +1673,8 @@ export async function listProposalsForSafe(safeAddress) {
             AND p2.executed_tx_hash IS NOT NULL
             AND p2.id <> p.id
         ) THEN 'rejected'
+        WHEN p.replaced_by IS NOT NULL THEN 'replaced'
+        WHEN p.expires_at IS NOT NULL AND p.expires_at <= now() THEN 'expired'
         ELSE 'active'
       END AS nonce_status,
       w.proposal_id AS withdrawal_proposal_id,
@@ -611,65 +1691,217 @@ export async function listProposalsForSafe(safeAddress) {
       (w.calldata_summary->>'tokenSymbol') AS withdrawal_token_symbol
      FROM proposals p JOIN safes s ON s.safe_address = p.safe_address
      LEFT JOIN withdrawals w ON w.proposal_id = p.id
-     WHERE p.safe_address = $1
+     WHERE p.safe_address = $1 AND p.deleted_at IS NULL
      ORDER BY p.created_at DESC`,
     [normalizeAddress(safeAddress)]
   );
   const results = [];
   for (const row of rows.rows) {
-    const sigs = await pool.query('SELECT owner_address, signature FROM signatures WHERE proposal_id = $1 ORDER BY owner_address ASC', [row.id]);
-    results.push(rowToProposal(row, sigs.rows.map((s) => ({ owner: s.owner_address, signature: s.signature }))));
+    const sigs = await pool.query('SELECT owner_address, signature, signature_type, imported_by FROM signatures WHERE proposal_id = $1 ORDER BY owner_address ASC', [row.id]);
+    results.push(await withNestedApprovals(rowToProposal(row, sigs.rows.map(mapSignatureRow)), row.id));
   }
   return results;
 }
 
-export async function createProposal({ safeAddress, createdBy, tx }) {
-  const safe = await readSafeOnChain(safeAddress);
-  const { proposalTx: normalizedTx, isAdvanced, summary } = await normalizeProposalInput(tx);
-  const providedNonce = tx.tx?.nonce ?? tx.nonce;
-  const nonce = providedNonce !== undefined ? BigInt(providedNonce) : BigInt(safe.nonce);
-  const proposalTx = { ...normalizedTx, nonce: nonce.toString() };
-  const safeTxHash = buildSafeTxHash(safe.safeAddress, proposalTx).toLowerCase();
-  const id = uuidv4();
-
-  await pool.query(
-    `INSERT INTO proposals (id, safe_address, recipient, value, data, operation, nonce, safe_tx_hash, created_by, is_advanced, summary)
-     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
-     ON CONFLICT (safe_tx_hash) DO NOTHING`,
-    [
-      id,
-      safe.safeAddress,
-      proposalTx.to,
-      proposalTx.value,
-      proposalTx.data,
-      proposalTx.operation,
-      proposalTx.nonce,
-      safeTxHash,
-      normalizeAddress(createdBy),
-      isAdvanced,
-      summary ? JSON.stringify(summary) : null
-    ]
+async function listQueuedNonces(safeAddress, onChainNonce, db = pool) {
+  const rows = await db.query(
+    `SELECT DISTINCT nonce FROM proposals
+     WHERE safe_address = $1 AND executed_tx_hash IS NULL AND replaced_by IS NULL AND deleted_at IS NULL AND nonce >= $2
+       AND (expires_at IS NULL OR expires_at > now())
+     ORDER BY nonce ASC`,
+    [safeAddress, onChainNonce]
   );
+  return rows.rows.map((row) => BigInt(row.nonce));
+}
 
-  return getProposalByHash(safeTxHash);
+function findNextNonce(onChainNonce, queuedNonces) {
+  let next = BigInt(onChainNonce);
+  for (const nonce of queuedNonces) {
+    if (nonce !== next) break;
+    next += 1n;
+  }
+  return next;
 }
 
+export async function getNonceQueue(safeAddress) {
+  const safe = await readSafe(safeAddress);
+  const rows = await pool.query(
+    `SELECT nonce, safe_tx_hash FROM proposals
+     WHERE safe_address = $1 AND executed_tx_hash IS NULL AND replaced_by IS NULL AND deleted_at IS NULL AND nonce >= $2
+       AND (expires_at IS NULL OR expires_at > now())
+     ORDER BY nonce ASC, created_at ASC`,
+    [safe.safeAddress, safe.nonce]
+  );
 
-export async function createWithdrawalProposal({ safeAddress, createdBy, recipient, amount }) {
-  if (!isAddress(recipient)) {
-    const err = new Error('recipient must be a valid address');
-    err.status = 400;
-    throw err;
+  const groups = [];
+  for (const row of rows.rows) {
+    const nonce = row.nonce.toString();
+    if (groups.at(-1)?.nonce !== nonce) groups.push({ nonce, safeTxHashes: [] });
+    groups.at(-1).safeTxHashes.push(row.safe_tx_hash);
   }
-  const parsedAmount = parseUnits(String(amount || ''), config.nativeDecimals);
-  if (parsedAmount <= 0n) {
-    const err = new Error('amount must be greater than 0');
-    err.status = 400;
-    throw err;
+
+  const queued = groups.map((group) => BigInt(group.nonce));
+  const gaps = [];
+  if (queued.length) {
+    const present = new Set(queued);
+    for (let nonce = BigInt(safe.nonce); nonce < queued.at(-1); nonce += 1n) {
+      if (!present.has(nonce)) gaps.push(nonce.toString());
+    }
   }
 
-  const summary = {
-    type: 'l2-to-l1-withdrawal',
+  return {
+    safeAddress: safe.safeAddress,
+    onChainNonce: safe.nonce,
+    nextNonce: findNextNonce(safe.nonce, queued).toString(),
+    gaps,
+    groups: groups.map((group) => ({ ...group, duplicate: group.safeTxHashes.length > 1 }))
+  };
+}
+
+function parseOptionalTimestamp(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    const err = new Error(`${field} must be an ISO timestamp or unix seconds`);
+    err.status = 400;
+    throw err;
+  }
+  return date;
+}
+
+function parseExecutionWindow(input) {
+  const notBefore = parseOptionalTimestamp(input.notBefore, 'notBefore');
+  const expiresAt = parseOptionalTimestamp(input.expiresAt, 'expiresAt');
+  if (expiresAt && expiresAt <= new Date()) {
+    const err = new Error('expiresAt must be in the future');
+    err.status = 400;
+    throw err;
+  }
+  if (notBefore && expiresAt && expiresAt <= notBefore) {
+    const err = new Error('expiresAt must be after notBefore');
+    err.status = 400;
+    throw err;
+  }
+  return { notBefore, expiresAt, scheduledExecute: input.scheduledExecute === true };
+}
+
+function assertExecutionWindow(proposal) {
+  if (proposal.nonceStatus === 'expired') {
+    const err = new Error(`Proposal expired at ${proposal.expiresAt}`);
+    err.status = 400;
+    throw err;
+  }
+  if (proposal.notBefore && new Date(proposal.notBefore) > new Date()) {
+    const err = new Error(`Proposal is time-locked until ${proposal.notBefore}`);
+    err.status = 400;
+    throw err;
+  }
+}
+
+export async function createProposal({ safeAddress, createdBy, tx }) {
+  const safe = await readSafe(safeAddress);
+  const { proposalTx: normalizedTx, isAdvanced, summary } = await normalizeProposalInput(tx, safe);
+  const providedNonce = tx.tx?.nonce ?? tx.nonce;
+  const replace = tx.replace === true;
+  if (replace && providedNonce === undefined) {
+    const err = new Error('nonce is required to replace a queued proposal');
+    err.status = 400;
+    throw err;
+  }
+  const { notBefore, expiresAt, scheduledExecute } = parseExecutionWindow(tx);
+  let safeTxHash;
+
+  // Picking the next free nonce and inserting must not interleave with another create for the same Safe,
+  // or both would take the same nonce and one would silently replace the other.
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`proposal_nonce:${safe.safeAddress}`]);
+    let nonce;
+    if (providedNonce !== undefined) {
+      nonce = BigInt(providedNonce);
+      if (nonce < BigInt(safe.nonce)) {
+        const err = new Error(`nonce ${nonce} was already used on chain (current nonce ${safe.nonce})`);
+        err.status = 400;
+        throw err;
+      }
+    } else {
+      nonce = findNextNonce(safe.nonce, await listQueuedNonces(safe.safeAddress, safe.nonce, client));
+    }
+    const proposalTx = { ...normalizedTx, nonce: nonce.toString() };
+    safeTxHash = buildSafeTxHash(safe.safeAddress, proposalTx).toLowerCase();
+
+    await client.query(
+      `INSERT INTO proposals (id, safe_address, recipient, value, data, operation, nonce, safe_tx_hash, created_by, is_advanced, summary,
+         not_before, expires_at, scheduled_execute)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
+       ON CONFLICT (safe_tx_hash) DO UPDATE
+         SET deleted_at = NULL, deleted_by = NULL, replaced_by = NULL, created_by = EXCLUDED.created_by, created_at = now(),
+             summary = EXCLUDED.summary, not_before = EXCLUDED.not_before, expires_at = EXCLUDED.expires_at,
+             scheduled_execute = EXCLUDED.scheduled_execute
+         WHERE proposals.deleted_at IS NOT NULL`,
+      [
+        uuidv4(),
+        safe.safeAddress,
+        proposalTx.to,
+        proposalTx.value,
+        proposalTx.data,
+        proposalTx.operation,
+        proposalTx.nonce,
+        safeTxHash,
+        normalizeAddress(createdBy),
+        isAdvanced,
+        summary ? JSON.stringify(summary) : null,
+        notBefore,
+        expiresAt,
+        scheduledExecute
+      ]
+    );
+
+    if (replace) {
+      const replaced = await client.query(
+        `UPDATE proposals
+         SET replaced_by = (SELECT id FROM proposals WHERE safe_tx_hash = $3)
+         WHERE safe_address = $1 AND nonce = $2 AND safe_tx_hash <> $3
+           AND executed_tx_hash IS NULL AND replaced_by IS NULL AND deleted_at IS NULL
+         RETURNING id`,
+        [safe.safeAddress, proposalTx.nonce, safeTxHash]
+      );
+      if (replaced.rowCount) {
+        await client.query(
+          `UPDATE withdrawals SET status = 'superseded', updated_at = now()
+           WHERE proposal_id = ANY($1::uuid[]) AND status IN ('proposed', 'awaiting_signatures', 'ready_to_execute')`,
+          [replaced.rows.map((row) => row.id)]
+        );
+      }
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getProposalByHash(safeTxHash);
+}
+
+
+export async function createWithdrawalProposal({ safeAddress, createdBy, recipient, amount }) {
+  if (!isAddress(recipient)) {
+    const err = new Error('recipient must be a valid address');
+    err.status = 400;
+    throw err;
+  }
+  const parsedAmount = parseUnits(String(amount || ''), config.nativeDecimals);
+  if (parsedAmount <= 0n) {
+    const err = new Error('amount must be greater than 0');
+    err.status = 400;
+    throw err;
+  }
+
+  const summary = {
+    type: 'l2-to-l1-withdrawal',
     recipient: normalizeAddress(recipient),
     amount: String(amount),
     sourceChain: `L2 (${config.chainId})`,
@@ -702,6 +1934,47 @@ export async function createWithdrawalProposal({ safeAddress, createdBy, recipie
   return getProposalByHash(proposal.safeTxHash);
 }
 
+export async function createOwnerChangeProposal({ safeAddress, createdBy, action, owner, oldOwner, newOwner, threshold }) {
+  return createProposal({
+    safeAddress,
+    createdBy,
+    tx: {
+      mode: 'ownerChange',
+      advanced: false,
+      ownerChange: { action, owner, oldOwner, newOwner, threshold }
+    }
+  });
+}
+
+export async function createRejectionProposal({ safeTxHash, createdBy }) {
+  const target = await getProposalByHash(safeTxHash);
+  if (!target) {
+    const err = new Error('Proposal not found');
+    err.status = 404;
+    throw err;
+  }
+  if (target.nonceStatus !== 'active') {
+    const err = new Error(`Proposal is ${target.nonceStatus} and cannot be rejected`);
+    err.status = 400;
+    throw err;
+  }
+  if (target.summary?.type === 'rejection') {
+    const err = new Error('A rejection cannot itself be rejected');
+    err.status = 400;
+    throw err;
+  }
+  // The rejection hash only depends on the Safe and nonce, so repeated requests return the same proposal.
+  return createProposal({
+    safeAddress: target.safeAddress,
+    createdBy,
+    tx: {
+      mode: 'rejection',
+      advanced: false,
+      nonce: target.tx.nonce
+    }
+  });
+}
+
 export async function createErc20WithdrawalProposal({ safeAddress, createdBy, tokenAddress, recipient, amount }) {
   if (!isAddress(tokenAddress) || !isAddress(recipient)) {
     const err = new Error('tokenAddress and recipient must be valid addresses');
@@ -792,15 +2065,161 @@ export async function createErc20WithdrawalProposal({ safeAddress, createdBy, to
   return getProposalByHash(proposal.safeTxHash);
 }
 
+const MAX_BATCH_TRANSFERS = 200;
+
+function parseBatchTransferCsv(csv) {
+  const rows = [];
+  String(csv).split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    const cells = trimmed.split(',').map((cell) => cell.trim().replace(/^"(.*)"$/, '$1').trim());
+    // An optional header row names the columns.
+    if (!rows.length && cells[1]?.toLowerCase() === 'recipient') return;
+    rows.push({ row: index + 1, token: cells[0], recipient: cells[1] || '', amount: cells[2] || '', columns: cells.length });
+  });
+  return rows;
+}
+
+function resolveBatchAsset(token, assets) {
+  const value = String(token || '').trim();
+  if (!value || value.toLowerCase() === 'native' || value.toLowerCase() === config.nativeSymbol.toLowerCase()) {
+    return assets.get('native');
+  }
+  if (isAddress(value)) return assets.get(normalizeAddress(value)) || null;
+  const bySymbol = [...assets.values()].filter((asset) => asset.tokenAddress && asset.symbol.toLowerCase() === value.toLowerCase());
+  return bySymbol.length === 1 ? bySymbol[0] : null;
+}
+
+export async function createBatchTransferProposal({ safeAddress, createdBy, transfers, csv, dryRun = false }) {
+  if (!config.multisendAddress) {
+    const err = new Error('MULTISEND_ADDRESS is not configured');
+    err.status = 400;
+    throw err;
+  }
+  const rows = csv !== undefined
+    ? parseBatchTransferCsv(csv)
+    : Array.isArray(transfers)
+      ? transfers.map((transfer, index) => ({
+        row: index + 1,
+        token: transfer?.token ?? transfer?.tokenAddress ?? '',
+        recipient: transfer?.recipient ?? '',
+        amount: transfer?.amount ?? ''
+      }))
+      : null;
+  if (!rows?.length) {
+    const err = new Error('transfers or csv with at least one row is required');
+    err.status = 400;
+    throw err;
+  }
+  if (rows.length > MAX_BATCH_TRANSFERS) {
+    const err = new Error(`A batch can contain at most ${MAX_BATCH_TRANSFERS} transfers`);
+    err.status = 400;
+    throw err;
+  }
+
+  const balances = await getSafeBalances(safeAddress);
+  const assets = new Map([
+    ['native', { tokenAddress: null, symbol: config.nativeSymbol, decimals: config.nativeDecimals, balance: BigInt(balances.native.balance) }],
+    ...balances.erc20.map((token) => [token.address, { tokenAddress: token.address, symbol: token.symbol, decimals: token.decimals, balance: BigInt(token.balance) }])
+  ]);
+
+  const rowErrors = [];
+  const transfersToSend = [];
+  const totals = new Map();
+  for (const row of rows) {
+    const errors = [];
+    if (row.columns !== undefined && row.columns !== 3) errors.push(`expected 3 columns (token, recipient, amount), got ${row.columns}`);
+    const asset = resolveBatchAsset(row.token, assets);
+    if (!asset) errors.push(`unsupported token ${row.token}`);
+    if (!isAddress(String(row.recipient).trim())) errors.push('recipient must be a valid address');
+    let amount = 0n;
+    if (asset) {
+      try {
+        amount = parseUnits(String(row.amount).trim(), asset.decimals);
+      } catch (_error) {
+        amount = 0n;
+      }
+      if (amount <= 0n) errors.push(`amount must be a positive number with at most ${asset.decimals} decimals`);
+    }
+    if (!errors.length) {
+      const key = asset.tokenAddress || 'native';
+      const total = (totals.get(key) || 0n) + amount;
+      totals.set(key, total);
+      if (total > asset.balance) {
+        errors.push(`running total of ${formatUnits(total, asset.decimals)} ${asset.symbol} exceeds the Safe balance of ${formatUnits(asset.balance, asset.decimals)} ${asset.symbol}`);
+      }
+    }
+    if (errors.length) {
+      rowErrors.push({ row: row.row, errors });
+    } else {
+      transfersToSend.push({ row: row.row, asset, recipient: normalizeAddress(String(row.recipient).trim()), amount });
+    }
+  }
+
+  if (rowErrors.length) {
+    const err = new Error(`${rowErrors.length} of ${rows.length} rows are invalid`);
+    err.status = 400;
+    err.details = { rows: rowErrors };
+    throw err;
+  }
+
+  const summary = {
+    type: 'batch-transfer',
+    transfers: transfersToSend.map(({ row, asset, recipient, amount }) => ({
+      row,
+      tokenSymbol: asset.symbol,
+      tokenAddress: asset.tokenAddress,
+      recipient,
+      amount: formatUnits(amount, asset.decimals)
+    })),
+    totals: [...totals.entries()].map(([key, total]) => {
+      const asset = assets.get(key);
+      return { tokenSymbol: asset.symbol, tokenAddress: asset.tokenAddress, amount: formatUnits(total, asset.decimals) };
+    })
+  };
+  if (dryRun) return { dryRun: true, summary };
+
+  const batchBytes = encodeMultiSendTransactions(transfersToSend.map(({ asset, recipient, amount }) => (asset.tokenAddress
+    ? {
+      operation: 0,
+      to: asset.tokenAddress,
+      value: 0n,
+      data: encodeFunctionData({ abi: ERC20_TRANSFER_ABI, functionName: 'transfer', args: [recipient, amount] })
+    }
+    : { operation: 0, to: recipient, value: amount, data: '0x' })));
+
+  const proposal = await createProposal({
+    safeAddress,
+    createdBy,
+    tx: {
+      mode: 'direct',
+      advanced: false,
+      tx: {
+        to: config.multisendAddress,
+        value: '0',
+        data: encodeFunctionData({
+          abi: MULTISEND_ABI,
+          functionName: 'multiSend',
+          args: [batchBytes]
+        }),
+        operation: 1
+      }
+    }
+  });
+
+  await pool.query('UPDATE proposals SET summary = $1 WHERE id = $2', [JSON.stringify(summary), proposal.id]);
+  return getProposalByHash(proposal.safeTxHash);
+}
+
 
 async function syncWithdrawalStatusForProposal(proposalId) {
   const row = await pool.query(
-    `SELECT p.id, p.executed_tx_hash, s.threshold, COUNT(sig.owner_address)::int AS confirmations
+    `SELECT p.id, p.executed_tx_hash, p.replaced_by, s.threshold, COUNT(sig.owner_address)::int AS confirmations
        FROM proposals p
        JOIN safes s ON s.safe_address = p.safe_address
        LEFT JOIN signatures sig ON sig.proposal_id = p.id
       WHERE p.id = $1
-      GROUP BY p.id, p.executed_tx_hash, s.threshold`,
+      GROUP BY p.id, p.executed_tx_hash, p.replaced_by, s.threshold`,
     [proposalId]
   );
   if (!row.rowCount) return;
@@ -808,6 +2227,8 @@ async function syncWithdrawalStatusForProposal(proposalId) {
   let status = 'proposed';
   if (r.executed_tx_hash) {
     status = 'awaiting_proof';
+  } else if (r.replaced_by) {
+    status = 'superseded';
   } else if (r.confirmations >= r.threshold) {
     status = 'ready_to_execute';
   } else if (r.confirmations > 0) {
@@ -823,7 +2244,166 @@ async function syncWithdrawalStatusForProposal(proposalId) {
   );
 }
 
-export async function addConfirmation({ safeTxHash, ownerAddress, signature }) {
+function signatureError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function setSignatureV(signature, v) {
+  return `${signature.slice(0, 130)}${v.toString(16).padStart(2, '0')}`;
+}
+
+// Static part of a Safe signature whose `r` is the owner address, as used by approved hashes and contract owners.
+function encodeOwnerSignature(owner, s, v) {
+  return concatHex([pad(owner, { size: 32 }), toHex(s, { size: 32 }), toHex(v, { size: 1 })]);
+}
+
+async function readSafeVersion(safeAddress) {
+  return publicClient.readContract({ address: safeAddress, abi: SAFE_ABI, functionName: 'VERSION' }).catch(() => '1.3.0');
+}
+
+function isSafeVersionAtLeast(version, major, minor) {
+  const [actualMajor, actualMinor] = version.split('.').map(Number);
+  return actualMajor > major || (actualMajor === major && actualMinor >= minor);
+}
+
+function ownerEventAbis(version) {
+  return isSafeVersionAtLeast(version, 1, 4)
+    ? [SAFE_OWNER_EVENTS_ABI, LEGACY_SAFE_OWNER_EVENTS_ABI]
+    : [LEGACY_SAFE_OWNER_EVENTS_ABI, SAFE_OWNER_EVENTS_ABI];
+}
+
+function executionEventAbis(version) {
+  return isSafeVersionAtLeast(version, 1, 5)
+    ? [SAFE_EXECUTION_EVENTS_ABI, LEGACY_SAFE_EXECUTION_EVENTS_ABI]
+    : [LEGACY_SAFE_EXECUTION_EVENTS_ABI, SAFE_EXECUTION_EVENTS_ABI];
+}
+
+// `abisForVersion` orders the ABI variants for the emitting Safe's VERSION(); the other variant still decodes logs
+// emitted before the Safe was migrated. `versions` caches VERSION() per Safe for one pass.
+async function decodeSafeEventLog(log, abisForVersion, versions) {
+  const safeAddress = normalizeAddress(log.address);
+  if (!versions.has(safeAddress)) versions.set(safeAddress, await readSafeVersion(safeAddress));
+  const [preferred, fallback] = abisForVersion(versions.get(safeAddress));
+  try {
+    return decodeEventLog({ abi: preferred, data: log.data, topics: log.topics });
+  } catch (_error) {
+    return decodeEventLog({ abi: fallback, data: log.data, topics: log.topics });
+  }
+}
+
+// Bytes the Safe hands to an owner contract's isValidSignature; a child Safe signs them as its SafeMessage.
+// Safe up to 1.4.x passes the encoded transaction data to the legacy variant; later versions pass the hash.
+export async function getContractSignaturePayload(proposal) {
+  const version = await readSafeVersion(proposal.safeAddress);
+  if (!isSafeVersionAtLeast(version, 1, 5)) {
+    const data = await publicClient.readContract({
+      address: proposal.safeAddress,
+      abi: SAFE_ABI,
+      functionName: 'encodeTransactionData',
+      args: [proposal.tx.to, BigInt(proposal.tx.value), proposal.tx.data, Number(proposal.tx.operation), 0n, 0n, 0n, zeroAddress, zeroAddress, BigInt(proposal.tx.nonce)]
+    });
+    return { legacy: true, data };
+  }
+  return { legacy: false, data: proposal.safeTxHash };
+}
+
+// `legacy` selects isValidSignature(bytes, bytes); otherwise `data` is a hash for the EIP-1271 bytes32 variant.
+export async function checkIsValidSignature({ address, data, signature, legacy }) {
+  try {
+    const magicValue = await publicClient.readContract({
+      address,
+      abi: legacy ? LEGACY_SIGNATURE_VALIDATOR_ABI : EIP1271_SIGNATURE_VALIDATOR_ABI,
+      functionName: 'isValidSignature',
+      args: [data, signature]
+    });
+    return { valid: magicValue.toLowerCase() === (legacy ? LEGACY_EIP1271_MAGIC_VALUE : EIP1271_MAGIC_VALUE), magicValue };
+  } catch (error) {
+    return { valid: false, error: error.shortMessage || error.message };
+  }
+}
+
+async function isValidContractSignature(proposal, owner, signature) {
+  const payload = await getContractSignaturePayload(proposal).catch(() => null);
+  if (!payload) return false;
+  const result = await checkIsValidSignature({ address: owner, data: payload.data, signature, legacy: payload.legacy });
+  return result.valid;
+}
+
+// Recovers an EIP-712 or eth_sign owner signature and returns it in the form Safe expects (v + 4 for eth_sign).
+export async function recoverOwnerSignature({ typedData, hash, signature, signatureType }) {
+  if (!isHex(signature || '') || size(signature) !== 65) throw signatureError('signature must be a 65-byte hex string');
+  // Wallets return v as 27/28 (or 0/1); Safe marks eth_sign signatures with v + 4.
+  let v = Number.parseInt(signature.slice(130), 16);
+  if (v > 30) v -= 4;
+  if (v < 27) v += 27;
+  const recovered = signatureType === 'eip712'
+    ? await recoverTypedDataAddress({ ...typedData, signature: setSignatureV(signature, v) })
+    : await recoverMessageAddress({ message: { raw: hash }, signature: setSignatureV(signature, v) });
+  return {
+    signer: normalizeAddress(recovered),
+    signature: setSignatureV(signature, signatureType === 'eth_sign' ? v + 4 : v)
+  };
+}
+
+export async function assertSigningOwner(safeAddress, owner) {
+  const isOwner = await pool.query(
+    'SELECT 1 FROM safe_owners WHERE safe_address = $1 AND owner_address = $2',
+    [normalizeAddress(safeAddress), owner]
+  );
+  if (!isOwner.rowCount) throw signatureError(`${owner} is not an owner of this Safe`);
+}
+
+async function verifyConfirmation(proposal, { submittedBy, owner, signature, signatureType, imported = false }) {
+  if (!SIGNATURE_TYPES.includes(signatureType)) {
+    throw signatureError(`signatureType must be one of ${SIGNATURE_TYPES.join(', ')}`);
+  }
+  if (imported && signatureType !== 'eip712' && signatureType !== 'eth_sign') {
+    throw signatureError('Only eip712 and eth_sign signatures can be imported');
+  }
+
+  if (signatureType === 'eip712' || signatureType === 'eth_sign') {
+    const recovered = await recoverOwnerSignature({
+      typedData: buildSafeTxTypedData({ chainId: config.chainId, safeAddress: proposal.safeAddress, safeTx: proposal.tx }),
+      hash: proposal.safeTxHash,
+      signature,
+      signatureType
+    });
+    // Imported signatures come from an owner outside the session, so the recovered signer is attributed as-is.
+    if (!imported && recovered.signer !== normalizeAddress(submittedBy)) {
+      throw signatureError(signatureType === 'eip712'
+        ? 'Signature mismatch (ensure you signed the typed data prompt)'
+        : 'Signature mismatch (ensure you signed the SafeTxHash as a message)');
+    }
+    // Owners of a nested Safe can reach the proposal but have to approve through their Safe.
+    await assertSigningOwner(proposal.safeAddress, recovered.signer);
+    return { owner: recovered.signer, signature: recovered.signature, signatureType };
+  }
+
+  if (owner && !isAddress(owner)) throw signatureError('owner must be a valid address');
+  const signer = normalizeAddress(owner || submittedBy);
+  await assertSigningOwner(proposal.safeAddress, signer);
+
+  if (signatureType === 'approved_hash') {
+    const approved = await publicClient.readContract({
+      address: proposal.safeAddress,
+      abi: SAFE_ABI,
+      functionName: 'approvedHashes',
+      args: [signer, proposal.safeTxHash]
+    });
+    if (!approved) throw signatureError('Hash is not approved on chain; call approveHash from the owner first');
+    return { owner: signer, signature: encodeOwnerSignature(signer, 0, 1), signatureType };
+  }
+
+  if (!isHex(signature || '')) throw signatureError('signature must be hex');
+  if (!(await isValidContractSignature(proposal, signer, signature))) {
+    throw signatureError('Contract owner rejected the signature (isValidSignature)');
+  }
+  return { owner: signer, signature: signature.toLowerCase(), signatureType };
+}
+
+export async function addConfirmation({ safeTxHash, ownerAddress, signature, signatureType = 'eip712', owner, imported = false }) {
   const proposal = await getProposalByHash(safeTxHash);
   if (!proposal) {
     const err = new Error('Proposal not found');
@@ -835,25 +2415,81 @@ export async function addConfirmation({ safeTxHash, ownerAddress, signature }) {
     err.status = 400;
     throw err;
   }
-  const typedData = buildSafeTxTypedData({
-    chainId: config.chainId,
-    safeAddress: proposal.safeAddress,
-    safeTx: proposal.tx
-  });
-  const recovered = await recoverTypedDataAddress({ ...typedData, signature });
-  if (normalizeAddress(recovered) !== normalizeAddress(ownerAddress)) {
-    const err = new Error('Signature mismatch (ensure you signed the typed data prompt)');
+  if (proposal.nonceStatus === 'replaced') {
+    const err = new Error('Proposal was replaced by another proposal at the same nonce.');
+    err.status = 400;
+    throw err;
+  }
+  if (proposal.nonceStatus === 'expired') {
+    const err = new Error(`Proposal expired at ${proposal.expiresAt}`);
+    err.status = 400;
+    throw err;
+  }
+  if (proposal.nonceStatus === 'cancelled') {
+    const err = new Error('Proposal was cancelled by an executed rejection at the same nonce.');
     err.status = 400;
     throw err;
   }
+  const confirmation = await verifyConfirmation(proposal, { submittedBy: ownerAddress, owner, signature, signatureType, imported });
+  const importedBy = imported && confirmation.owner !== normalizeAddress(ownerAddress) ? normalizeAddress(ownerAddress) : null;
   await pool.query(
-    `INSERT INTO signatures (proposal_id, owner_address, signature)
-     VALUES ($1,$2,$3)
+    `INSERT INTO signatures (proposal_id, owner_address, signature, signature_type, imported_by)
+     VALUES ($1,$2,$3,$4,$5)
      ON CONFLICT (proposal_id, owner_address)
-     DO UPDATE SET signature = EXCLUDED.signature, created_at = now()`,
-    [proposal.id, normalizeAddress(ownerAddress), signature]
+     DO UPDATE SET signature = EXCLUDED.signature, signature_type = EXCLUDED.signature_type, imported_by = EXCLUDED.imported_by,
+       approved_block_number = NULL, created_at = now()`,
+    [proposal.id, confirmation.owner, confirmation.signature, confirmation.signatureType, importedBy]
   );
   await syncWithdrawalStatusForProposal(proposal.id);
+  const confirmed = await getProposalByHash(safeTxHash);
+  if (confirmed.executable) {
+    const result = await autoExecuteProposal(confirmed, { trigger: 'auto_confirmation', triggeredBy: ownerAddress });
+    if (result) return result.proposal;
+  }
+  return confirmed;
+}
+
+export async function revokeConfirmation({ safeTxHash, ownerAddress }) {
+  const proposal = await getProposalByHash(safeTxHash);
+  if (!proposal) {
+    const err = new Error('Proposal not found');
+    err.status = 404;
+    throw err;
+  }
+  if (proposal.executedTxHash) {
+    const err = new Error('Confirmations of executed proposals cannot be revoked');
+    err.status = 400;
+    throw err;
+  }
+  const owner = normalizeAddress(ownerAddress);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const removed = await client.query(
+      `DELETE FROM signatures WHERE proposal_id = $1 AND owner_address = $2 AND signature_type <> 'approved_hash'
+       RETURNING signature`,
+      [proposal.id, owner]
+    );
+    if (!removed.rowCount) {
+      const onChain = proposal.confirmations.some((confirmation) => confirmation.owner === owner && confirmation.signatureType === 'approved_hash');
+      const err = new Error(onChain ? 'On-chain approvals cannot be revoked' : 'You have not confirmed this proposal');
+      err.status = onChain ? 400 : 404;
+      throw err;
+    }
+    await client.query(
+      `INSERT INTO proposal_audit (id, proposal_id, safe_address, safe_tx_hash, action, actor, signature)
+       VALUES ($1,$2,$3,$4,'revoke_confirmation',$5,$6)`,
+      [uuidv4(), proposal.id, proposal.safeAddress, proposal.safeTxHash, owner, removed.rows[0].signature]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+  await syncWithdrawalStatusForProposal(proposal.id);
   return getProposalByHash(safeTxHash);
 }
 
@@ -885,68 +2521,900 @@ export async function getTypedDataForProposal(safeTxHash) {
       nonce: typedData.message.nonce.toString()
     },
     safeAddress: proposal.safeAddress,
-    chainId: config.chainId
+    chainId: config.chainId,
+    decodedCall: decodeCallWithRegistry(await loadAbiRegistry(proposal.safeAddress), proposal.tx)
   };
 }
 
-function joinSignatures(signatures) {
-  return signatures
-    .sort((a, b) => (a.owner < b.owner ? -1 : 1))
-    .map((s) => s.signature)
-    .reduce((acc, sig) => concatHex([acc, sig]), '0x');
+// Standard eth_signTypedData_v4 JSON (EIP712Domain included, uint256 values as decimal strings) for signing on a
+// machine without a session, e.g. `cast wallet sign --data --from-file`. The checksum is the EIP-712 digest of the
+// typed data, i.e. the safeTxHash: signing tools and hardware wallets recompute and display it from the file itself,
+// so the signer can compare it with the hash shown in the console before signing.
+export async function getSigningBundle(safeTxHash) {
+  const typedData = await getTypedDataForProposal(safeTxHash);
+  const eip712 = {
+    types: {
+      EIP712Domain: [
+        { name: 'chainId', type: 'uint256' },
+        { name: 'verifyingContract', type: 'address' }
+      ],
+      ...typedData.types
+    },
+    primaryType: typedData.primaryType,
+    domain: typedData.domain,
+    message: typedData.message
+  };
+  return {
+    ...eip712,
+    metadata: {
+      version: SIGNING_BUNDLE_VERSION,
+      safeAddress: typedData.safeAddress,
+      chainId: typedData.chainId,
+      safeTxHash: safeTxHash.toLowerCase(),
+      decodedCall: typedData.decodedCall,
+      checksum: hashTypedData(eip712),
+      exportedAt: new Date().toISOString()
+    }
+  };
 }
 
-export async function executeProposal(safeTxHash) {
+export async function getDeleteTypedDataForProposal(safeTxHash) {
   const proposal = await getProposalByHash(safeTxHash);
   if (!proposal) {
     const err = new Error('Proposal not found');
     err.status = 404;
     throw err;
   }
-  if (proposal.nonceStatus === 'rejected') {
-    const err = new Error('Proposal uses a nonce already executed by another proposal – this proposal is rejected.');
-    err.status = 400;
-    throw err;
-  }
-  if (!proposal.executable) {
-    const err = new Error('Threshold confirmations not met or already executed');
-    err.status = 400;
-    throw err;
-  }
-  const sigBlob = joinSignatures(proposal.confirmations);
-  const hash = await walletClient.writeContract({
-    address: proposal.safeAddress,
-    abi: SAFE_ABI,
-    functionName: 'execTransaction',
-    args: [proposal.tx.to, BigInt(proposal.tx.value), proposal.tx.data, proposal.tx.operation, 0n, 0n, 0n, '0x0000000000000000000000000000000000000000', '0x0000000000000000000000000000000000000000', sigBlob]
+  const typedData = buildDeleteRequestTypedData({
+    chainId: config.chainId,
+    safeAddress: proposal.safeAddress,
+    safeTxHash: proposal.safeTxHash,
+    totp: currentDeleteTotp()
   });
+  return {
+    domain: {
+      ...typedData.domain,
+      chainId: Number(typedData.domain.chainId)
+    },
+    types: typedData.types,
+    primaryType: typedData.primaryType,
+    message: {
+      ...typedData.message,
+      totp: typedData.message.totp.toString()
+    },
+    safeAddress: proposal.safeAddress,
+    chainId: config.chainId
+  };
+}
+
+async function recoverDeleteRequestSigner(proposal, signature) {
+  const totp = currentDeleteTotp();
+  // Accept the previous window too, so a signature made just before the hour boundary still works.
+  for (const candidate of [totp, totp - 1]) {
+    const typedData = buildDeleteRequestTypedData({
+      chainId: config.chainId,
+      safeAddress: proposal.safeAddress,
+      safeTxHash: proposal.safeTxHash,
+      totp: candidate
+    });
+    const recovered = normalizeAddress(await recoverTypedDataAddress({ ...typedData, signature }));
+    if (recovered === proposal.createdBy) return recovered;
+  }
+  return null;
+}
+
+export async function deleteProposal({ safeTxHash, requestedBy, signature }) {
+  const proposal = await getProposalByHash(safeTxHash);
+  if (!proposal) {
+    const err = new Error('Proposal not found');
+    err.status = 404;
+    throw err;
+  }
+  if (normalizeAddress(requestedBy) !== proposal.createdBy) {
+    const err = new Error('Only the proposal creator can delete it');
+    err.status = 403;
+    throw err;
+  }
+  if (proposal.executedTxHash) {
+    const err = new Error('Executed proposals cannot be deleted');
+    err.status = 400;
+    throw err;
+  }
+  if (proposal.confirmations.some((confirmation) => confirmation.owner !== proposal.createdBy)) {
+    const err = new Error('Proposal already has confirmations from other owners');
+    err.status = 409;
+    throw err;
+  }
+  if (!signature || !(await recoverDeleteRequestSigner(proposal, signature))) {
+    const err = new Error('Delete signature mismatch (sign the current delete request as the proposal creator)');
+    err.status = 400;
+    throw err;
+  }
+
+  // The row is kept so replacements it superseded stay replaced and schedule runs keep their link.
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const deleted = await client.query(
+      `UPDATE proposals p
+       SET deleted_at = now(), deleted_by = $2
+       WHERE p.id = $1 AND p.executed_tx_hash IS NULL AND p.deleted_at IS NULL
+         AND NOT EXISTS (SELECT 1 FROM signatures s WHERE s.proposal_id = p.id AND s.owner_address <> p.created_by)
+       RETURNING p.id`,
+      [proposal.id, proposal.createdBy]
+    );
+    if (!deleted.rowCount) {
+      const err = new Error('Proposal changed while deleting; reload and try again');
+      err.status = 409;
+      throw err;
+    }
+    await client.query(
+      `UPDATE payment_schedule_runs
+       SET status = 'skipped', skipped_by = $2, error = 'Proposal deleted', updated_at = now()
+       WHERE proposal_id = $1 AND status = 'proposed'`,
+      [proposal.id, proposal.createdBy]
+    );
+    await client.query(
+      `INSERT INTO proposal_audit (id, proposal_id, safe_address, safe_tx_hash, action, actor, signature, snapshot)
+       VALUES ($1,$2,$3,$4,'delete',$5,$6,$7)`,
+      [uuidv4(), proposal.id, proposal.safeAddress, proposal.safeTxHash, proposal.createdBy, signature, JSON.stringify(proposal)]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+  return { safeTxHash: proposal.safeTxHash, deleted: true };
+}
+
+export async function listProposalAudit(safeAddress) {
+  const rows = await pool.query(
+    `SELECT id, proposal_id, safe_tx_hash, action, actor, snapshot, created_at
+     FROM proposal_audit
+     WHERE safe_address = $1
+     ORDER BY created_at DESC`,
+    [normalizeAddress(safeAddress)]
+  );
+  return rows.rows.map((row) => ({
+    id: row.id,
+    proposalId: row.proposal_id,
+    safeTxHash: row.safe_tx_hash,
+    action: row.action,
+    actor: row.actor,
+    snapshot: row.snapshot || undefined,
+    createdAt: row.created_at.toISOString()
+  }));
+}
+
+// Safe reads one 65-byte slot per owner in ascending owner order. Contract signatures put {owner, offset, v = 0}
+// in their slot and append the length-prefixed signature bytes after all static slots.
+export function joinSignatures(signatures) {
+  const sorted = [...signatures].sort((a, b) => (a.owner < b.owner ? -1 : 1));
+  const staticLength = sorted.length * 65;
+  let dynamic = '0x';
+  const slots = sorted.map((s) => {
+    if (s.signatureType !== 'contract') return s.signature;
+    const slot = encodeOwnerSignature(s.owner, staticLength + size(dynamic), 0);
+    dynamic = concatHex([dynamic, toHex(size(s.signature), { size: 32 }), s.signature]);
+    return slot;
+  });
+  return concatHex([...slots, dynamic]);
+}
+
+function getRevertData(error) {
+  const withData = error?.walk?.((cause) => typeof cause?.data === 'string' && cause.data.startsWith('0x'));
+  return withData?.data || null;
+}
+
+function decodeRevertData(data) {
+  if (!data || data === '0x') {
+    return { errorName: null, reason: 'Reverted without a reason', data: data || undefined };
+  }
+  try {
+    const { errorName, args } = decodeErrorResult({ abi: REVERT_ERRORS_ABI, data });
+    if (errorName === 'Error') {
+      const message = args[0];
+      return {
+        errorName,
+        reason: SAFE_ERROR_CODES[message] ? `${message}: ${SAFE_ERROR_CODES[message]}` : message,
+        safeErrorCode: SAFE_ERROR_CODES[message] ? message : undefined,
+        data
+      };
+    }
+    if (errorName === 'Panic') {
+      return { errorName, reason: `Panic(0x${args[0].toString(16)})`, data };
+    }
+    return { errorName, reason: `${errorName}(${args.map((arg) => arg.toString()).join(', ')})`, data };
+  } catch (_error) {
+    return { errorName: null, reason: `Unknown custom error ${data.slice(0, 10)}`, data };
+  }
+}
+
+function buildExecTransactionArgs(proposal) {
+  return [
+    proposal.tx.to,
+    BigInt(proposal.tx.value),
+    proposal.tx.data,
+    proposal.tx.operation,
+    0n,
+    0n,
+    0n,
+    '0x0000000000000000000000000000000000000000',
+    '0x0000000000000000000000000000000000000000',
+    joinSignatures(proposal.confirmations)
+  ];
+}
+
+async function simulateExecution(proposal) {
+  const request = {
+    account: serviceAccount.address,
+    to: proposal.safeAddress,
+    data: encodeFunctionData({ abi: SAFE_ABI, functionName: 'execTransaction', args: buildExecTransactionArgs(proposal) })
+  };
+  try {
+    const { data } = await publicClient.call(request);
+    const [success] = decodeAbiParameters([{ type: 'bool' }], data);
+    const gasEstimate = await publicClient.estimateGas(request);
+    return {
+      simulated: true,
+      success,
+      gasEstimate: gasEstimate.toString(),
+      revert: success ? undefined : { errorName: null, reason: 'execTransaction returned false (ExecutionFailure)' }
+    };
+  } catch (error) {
+    return { simulated: true, success: false, revert: decodeRevertData(getRevertData(error)) };
+  }
+}
+
+export async function simulateProposal(safeTxHash) {
+  const proposal = await getProposalByHash(safeTxHash);
+  if (!proposal) {
+    const err = new Error('Proposal not found');
+    err.status = 404;
+    throw err;
+  }
+  if (proposal.executedTxHash) {
+    const err = new Error('Proposal was already executed');
+    err.status = 400;
+    throw err;
+  }
+  if (!(await isContractDeployed(proposal.safeAddress))) {
+    return { simulated: false, success: null, reason: 'Safe is not deployed yet; it is deployed right before the first execution' };
+  }
+  return simulateExecution(proposal);
+}
+
+// Manual /execute, the confirmation trigger and the auto-execute loop can race for the same proposal. Only the
+// caller that flips execution_status to 'submitting' broadcasts; a claim left behind by a crash expires after
+// EXECUTION_DROP_TIMEOUT_MS.
+async function claimExecution(proposal) {
+  const claimed = await pool.query(
+    `UPDATE proposals SET execution_status = 'submitting', execution_submitted_at = now()
+     WHERE id = $1 AND executed_tx_hash IS NULL
+       AND (execution_status IS NULL OR execution_status NOT IN ('submitting', 'submitted')
+         OR (execution_status = 'submitting' AND execution_submitted_at < now() - $2 * interval '1 millisecond'))
+     RETURNING id`,
+    [proposal.id, config.executionDropTimeoutMs]
+  );
+  if (!claimed.rowCount) {
+    const err = new Error('Execution of this proposal is already in progress');
+    err.status = 409;
+    throw err;
+  }
+}
+
+export async function executeProposal(safeTxHash, { force = false, trigger = 'manual', triggeredBy = null } = {}) {
+  const proposal = await getProposalByHash(safeTxHash);
+  if (!proposal) {
+    const err = new Error('Proposal not found');
+    err.status = 404;
+    throw err;
+  }
+  if (proposal.nonceStatus === 'rejected') {
+    const err = new Error('Proposal uses a nonce already executed by another proposal – this proposal is rejected.');
+    err.status = 400;
+    throw err;
+  }
+  if (proposal.nonceStatus === 'replaced') {
+    const err = new Error('Proposal was replaced by another proposal at the same nonce.');
+    err.status = 400;
+    throw err;
+  }
+  if (proposal.nonceStatus === 'cancelled') {
+    const err = new Error('Proposal was cancelled by an executed rejection at the same nonce.');
+    err.status = 400;
+    throw err;
+  }
+  assertExecutionWindow(proposal);
+  if (proposal.execution?.status === 'submitting') {
+    const err = new Error('Execution of this proposal is already in progress');
+    err.status = 409;
+    throw err;
+  }
+  if (proposal.execution?.status === 'submitted') {
+    const err = new Error(`Execution already submitted (${proposal.execution.txHash}); wait for its receipt`);
+    err.status = 409;
+    throw err;
+  }
+  if (!proposal.executable) {
+    const err = new Error('Threshold confirmations not met or already executed');
+    err.status = 400;
+    throw err;
+  }
+  await claimExecution(proposal);
+
+  let hash;
+  try {
+    await ensureSafeDeployed(proposal.safeAddress);
+    if (!force) {
+      const simulation = await simulateExecution(proposal);
+      if (!simulation.success) {
+        const err = new Error(`Simulation failed: ${simulation.revert.reason}. Execute with force to broadcast anyway.`);
+        err.status = 422;
+        throw err;
+      }
+    }
+    hash = await sendServiceTransaction({
+      to: proposal.safeAddress,
+      data: encodeFunctionData({ abi: SAFE_ABI, functionName: 'execTransaction', args: buildExecTransactionArgs(proposal) }),
+      purpose: 'execute_safe_tx',
+      reference: proposal.safeTxHash
+    });
+  } catch (error) {
+    await pool.query(
+      `UPDATE proposals SET execution_status = $2 WHERE id = $1 AND execution_status = 'submitting'`,
+      [proposal.id, proposal.execution?.status ?? null]
+    );
+    throw error;
+  }
+
+  const submitted = await pool.query(
+    `UPDATE proposals
+     SET execution_status = 'submitted', execution_tx_hash = $1, execution_submitted_at = now(), execution_gas_used = NULL,
+         execution_trigger = $3, execution_triggered_by = $4,
+         auto_execute_attempts = 0, auto_execute_next_at = NULL, auto_execute_last_error = NULL
+     WHERE id = $2
+     RETURNING id, safe_address, safe_tx_hash, execution_tx_hash, execution_submitted_at`,
+    [hash.toLowerCase(), proposal.id, trigger, triggeredBy ? normalizeAddress(triggeredBy) : null]
+  );
+  try {
+    await publicClient.waitForTransactionReceipt({ hash, timeout: config.executionReceiptTimeoutMs });
+  } catch (error) {
+    // Still pending: trackPendingExecutions picks it up from here.
+    if (!(error instanceof WaitForTransactionReceiptTimeoutError)) throw error;
+  }
+  await trackExecution(submitted.rows[0]);
+  const updated = await getProposalByHash(safeTxHash);
+  return { executedTxHash: hash.toLowerCase(), execution: updated.execution, proposal: updated };
+}
+
+async function findExecutionEvent(receipt, safeAddress, safeTxHash) {
+  if (receipt.status !== 'success') return null;
+  const versions = new Map();
+  const events = [];
+  for (const log of receipt.logs.filter((entry) => normalizeAddress(entry.address) === safeAddress)) {
+    try {
+      events.push(await decodeSafeEventLog(log, executionEventAbis, versions));
+    } catch (_error) {
+      // Not a Safe execution event.
+    }
+  }
+  return events
+    .find((event) => ['ExecutionSuccess', 'ExecutionFailure'].includes(event?.eventName)
+      && event.args.txHash.toLowerCase() === safeTxHash) || null;
+}
+
+async function trackExecution(row) {
+  // The tx manager may have replaced the original broadcast with sped-up copies at the same nonce.
+  const managed = await findServiceTransaction(row.execution_tx_hash);
+  const candidates = managed ? [...managed.txHashes].reverse() : [row.execution_tx_hash];
+  let receipt;
+  for (const candidate of candidates) {
+    try {
+      receipt = await publicClient.getTransactionReceipt({ hash: candidate });
+      break;
+    } catch (error) {
+      if (!(error instanceof TransactionReceiptNotFoundError)) throw error;
+    }
+  }
+
+  if (!receipt) {
+    if (managed) {
+      if (managed.status !== 'dropped') return 'submitted';
+    } else {
+      const pending = await publicClient.getTransaction({ hash: row.execution_tx_hash }).catch((error) => {
+        if (error instanceof TransactionNotFoundError) return null;
+        throw error;
+      });
+      if (pending || Date.now() - row.execution_submitted_at.getTime() < config.executionDropTimeoutMs) return 'submitted';
+    }
+    await pool.query(
+      `UPDATE proposals SET execution_status = 'dropped' WHERE id = $1 AND execution_status = 'submitted' AND execution_tx_hash = $2`,
+      [row.id, row.execution_tx_hash]
+    );
+    return 'dropped';
+  }
+  const hash = receipt.transactionHash.toLowerCase();
+
+  const executionLog = await findExecutionEvent(receipt, row.safe_address, row.safe_tx_hash);
+  if (!executionLog) {
+    // The outer call reverted (or did not execute this Safe tx), so the Safe nonce was not consumed.
+    await pool.query(
+      `UPDATE proposals SET execution_status = 'reverted', execution_tx_hash = $4, execution_gas_used = $2, executed_block_number = $3
+       WHERE id = $1 AND execution_tx_hash = $5 AND executed_tx_hash IS NULL`,
+      [row.id, receipt.gasUsed.toString(), Number(receipt.blockNumber), hash, row.execution_tx_hash]
+    );
+    return 'reverted';
+  }
+
+  const block = await publicClient.getBlock({ blockNumber: receipt.blockNumber });
+  const success = executionLog.eventName === 'ExecutionSuccess';
+  await recordExecution({
+    safeAddress: row.safe_address,
+    safeTxHash: row.safe_tx_hash,
+    txHash: hash,
+    blockNumber: receipt.blockNumber,
+    executedAt: new Date(Number(block.timestamp) * 1000),
+    success,
+    gasUsed: receipt.gasUsed.toString()
+  });
+  return success ? 'mined_success' : 'mined_failure';
+}
+
+export async function getExecutionCalldata(safeTxHash) {
+  const proposal = await getProposalByHash(safeTxHash);
+  if (!proposal) {
+    const err = new Error('Proposal not found');
+    err.status = 404;
+    throw err;
+  }
+  assertExecutionWindow(proposal);
+  if (!proposal.executable) {
+    const err = new Error('Threshold confirmations not met or already executed');
+    err.status = 400;
+    throw err;
+  }
+  if (!(await isContractDeployed(proposal.safeAddress))) {
+    const err = new Error('Safe is not deployed yet; execute through the service so it is deployed first');
+    err.status = 409;
+    throw err;
+  }
+  return {
+    chainId: config.chainId,
+    to: proposal.safeAddress,
+    value: '0',
+    data: encodeFunctionData({ abi: SAFE_ABI, functionName: 'execTransaction', args: buildExecTransactionArgs(proposal) }),
+    signatures: joinSignatures(proposal.confirmations)
+  };
+}
+
+export async function recordOwnerExecution({ safeTxHash, txHash }) {
+  const proposal = await getProposalByHash(safeTxHash);
+  if (!proposal) {
+    const err = new Error('Proposal not found');
+    err.status = 404;
+    throw err;
+  }
+  if (!/^0x[0-9a-fA-F]{64}$/.test(txHash || '')) {
+    const err = new Error('txHash must be a 32-byte hex string');
+    err.status = 400;
+    throw err;
+  }
+
+  let receipt;
+  try {
+    receipt = await publicClient.waitForTransactionReceipt({ hash: txHash, timeout: config.executionReceiptTimeoutMs });
+  } catch (error) {
+    if (!(error instanceof WaitForTransactionReceiptTimeoutError)) throw error;
+    const err = new Error('Transaction is not mined yet; submit it again once it is');
+    err.status = 409;
+    throw err;
+  }
+  const executionLog = await findExecutionEvent(receipt, proposal.safeAddress, proposal.safeTxHash);
+  if (!executionLog) {
+    const err = new Error(receipt.status === 'success'
+      ? 'Transaction did not execute this proposal'
+      : 'Transaction reverted; the proposal was not executed');
+    err.status = 400;
+    throw err;
+  }
+
+  const block = await publicClient.getBlock({ blockNumber: receipt.blockNumber });
+  const success = executionLog.eventName === 'ExecutionSuccess';
+  await recordExecution({
+    safeAddress: proposal.safeAddress,
+    safeTxHash: proposal.safeTxHash,
+    txHash: receipt.transactionHash.toLowerCase(),
+    blockNumber: receipt.blockNumber,
+    executedAt: new Date(Number(block.timestamp) * 1000),
+    success,
+    gasUsed: receipt.gasUsed.toString(),
+    executedBy: normalizeAddress(receipt.from)
+  });
+  return getProposalByHash(proposal.safeTxHash);
+}
+
+async function autoExecuteProposal(proposal, { trigger, triggeredBy = null }) {
+  const safe = await readSafe(proposal.safeAddress);
+  // Only the next on-chain nonce can execute; later proposals wait for their turn.
+  if (!(safe.autoExecute || proposal.scheduledExecute) || !proposal.executable || proposal.tx.nonce !== safe.nonce) return null;
+  try {
+    return await executeProposal(proposal.safeTxHash, { trigger, triggeredBy });
+  } catch (error) {
+    // Another caller is already executing it; that is not a failed attempt.
+    if (error.status === 409) return null;
+    const attempts = (proposal.autoExecute?.attempts || 0) + 1;
+    const delayMs = Math.min(config.autoExecuteBackoffMs * 2 ** (attempts - 1), config.autoExecuteMaxBackoffMs);
+    await pool.query(
+      `UPDATE proposals
+       SET auto_execute_attempts = $2, auto_execute_next_at = now() + $3 * interval '1 millisecond', auto_execute_last_error = $4
+       WHERE id = $1`,
+      [proposal.id, attempts, delayMs, error.message]
+    );
+    console.warn(`Auto-execute of ${proposal.safeTxHash} failed (attempt ${attempts}); retrying in ${delayMs}ms`, error.message);
+    return null;
+  }
+}
+
+export async function runAutoExecutions() {
+  const rows = await pool.query(
+    `SELECT p.safe_address, p.safe_tx_hash, p.nonce
+     FROM proposals p
+     JOIN safes s ON s.safe_address = p.safe_address
+     WHERE (s.auto_execute OR p.scheduled_execute)
+       AND p.executed_tx_hash IS NULL
+       AND (p.not_before IS NULL OR p.not_before <= now())
+       AND (p.expires_at IS NULL OR p.expires_at > now())
+       AND p.replaced_by IS NULL
+       AND p.deleted_at IS NULL
+       AND (p.execution_status IS NULL OR p.execution_status NOT IN ('submitting', 'submitted'))
+       AND (p.auto_execute_next_at IS NULL OR p.auto_execute_next_at <= now())
+       AND (SELECT COUNT(*) FROM signatures sig WHERE sig.proposal_id = p.id) >= s.threshold
+     ORDER BY p.safe_address, p.nonce ASC, p.created_at ASC`
+  );
+  const candidatesBySafe = new Map();
+  for (const row of rows.rows) {
+    if (!candidatesBySafe.has(row.safe_address)) candidatesBySafe.set(row.safe_address, []);
+    candidatesBySafe.get(row.safe_address).push(row);
+  }
+
+  const results = [];
+  for (const [safeAddress, candidates] of candidatesBySafe) {
+    const safe = await readSafe(safeAddress);
+    // At most one execution per Safe and run: the first proposal at the current nonce.
+    const next = candidates.find((row) => row.nonce.toString() === safe.nonce);
+    if (!next) continue;
+    const proposal = await getProposalByHash(next.safe_tx_hash);
+    const result = await autoExecuteProposal(proposal, { trigger: proposal.scheduledExecute ? 'scheduled' : 'auto_job' });
+    if (result) results.push({ safeTxHash: proposal.safeTxHash, executedTxHash: result.executedTxHash });
+  }
+  return results;
+}
+
+export async function trackPendingExecutions() {
+  const rows = await pool.query(
+    `SELECT id, safe_address, safe_tx_hash, execution_tx_hash, execution_submitted_at
+     FROM proposals
+     WHERE execution_status = 'submitted'
+     ORDER BY execution_submitted_at ASC
+     LIMIT 25`
+  );
+  const results = [];
+  for (const row of rows.rows) {
+    try {
+      results.push({ safeTxHash: row.safe_tx_hash, status: await trackExecution(row) });
+    } catch (error) {
+      console.error(`Failed to track execution ${row.execution_tx_hash}`, error);
+    }
+  }
+  return results;
+}
+
+function decodeSafeMultiSigTransaction(log) {
+  const [nonce, sender] = decodeAbiParameters(
+    [{ type: 'uint256' }, { type: 'address' }, { type: 'uint256' }],
+    log.args.additionalInfo
+  );
+  return {
+    tx: {
+      to: normalizeAddress(log.args.to),
+      value: log.args.value.toString(),
+      data: log.args.data,
+      operation: Number(log.args.operation),
+      nonce: nonce.toString()
+    },
+    sender: normalizeAddress(sender)
+  };
+}
+
+async function importExternalExecution({ safeAddress, safeTxHash, details }) {
+  if (!details) return false;
+  // Only Safe txs without gas refund parameters can be represented as proposals.
+  if (buildSafeTxHash(safeAddress, details.tx).toLowerCase() !== safeTxHash) return false;
+  const summary = await buildProposalSummary(details.tx, false, safeAddress);
+  const inserted = await pool.query(
+    `INSERT INTO proposals (id, safe_address, recipient, value, data, operation, nonce, safe_tx_hash, created_by, summary, imported_from_chain)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,true)
+     ON CONFLICT (safe_tx_hash) DO NOTHING`,
+    [
+      uuidv4(),
+      safeAddress,
+      details.tx.to,
+      details.tx.value,
+      details.tx.data,
+      details.tx.operation,
+      details.tx.nonce,
+      safeTxHash,
+      details.sender,
+      summary ? JSON.stringify(summary) : null
+    ]
+  );
+  return inserted.rowCount > 0;
+}
+
+async function recordExecution({ safeAddress, safeTxHash, txHash, blockNumber, executedAt, success, gasUsed = null, executedBy = null }) {
+  const updated = await pool.query(
+    `UPDATE proposals
+     SET executed_tx_hash = $1, executed_at = $2, executed_block_number = $5,
+         execution_status = $6, execution_tx_hash = $1, execution_gas_used = COALESCE($7, execution_gas_used),
+         executed_by = COALESCE($8, executed_by), deleted_at = NULL, deleted_by = NULL
+     WHERE safe_address = $3 AND safe_tx_hash = $4
+       AND (executed_tx_hash IS DISTINCT FROM $1 OR executed_block_number IS DISTINCT FROM $5
+         OR execution_status IS DISTINCT FROM $6 OR deleted_at IS NOT NULL)
+     RETURNING id, summary`,
+    [txHash, executedAt, safeAddress, safeTxHash, Number(blockNumber), success ? 'mined_success' : 'mined_failure', gasUsed, executedBy]
+  );
+  if (!updated.rowCount) return false;
+
+  const { id, summary } = updated.rows[0];
+  if (success) {
+    await pool.query(
+      `UPDATE withdrawals
+       SET l2_tx_hash = $1, status = 'executed_l2', updated_at = now(), next_retry_at = now()
+       WHERE proposal_id = $2 AND status IN ('proposed', 'awaiting_signatures', 'ready_to_execute', 'superseded')`,
+      [txHash, id]
+    );
+  } else {
+    await pool.query(
+      `UPDATE withdrawals
+       SET l2_tx_hash = $1, status = 'failed', last_error = 'Safe execution failed (ExecutionFailure)', next_retry_at = NULL, updated_at = now()
+       WHERE proposal_id = $2 AND status IN ('proposed', 'awaiting_signatures', 'ready_to_execute', 'superseded', 'executed_l2')`,
+      [txHash, id]
+    );
+  }
+
+  if (OWNER_CHANGE_SUMMARY_TYPES.has(summary?.type)) {
+    await upsertSafe(await readSafeOnChain(safeAddress));
+  }
+  // The child Safe's approveHash confirms the parent proposal without waiting for the safe_approvals cursor.
+  if (success && summary?.type === 'nested-approval') {
+    await recordApprovedHash({ ...summary.parent, owner: safeAddress, blockNumber: Number(blockNumber) });
+  }
+  return true;
+}
+
+export async function syncExecutionsFromChain(fromBlock, toBlock) {
+  const safes = await pool.query('SELECT safe_address FROM safes');
+  if (!safes.rowCount) return { scanned: 0, matched: 0, imported: 0 };
 
-  await pool.query('UPDATE proposals SET executed_tx_hash = $1, executed_at = now() WHERE id = $2', [hash.toLowerCase(), proposal.id]);
-  await pool.query(
-    `UPDATE withdrawals
-     SET l2_tx_hash = $1, status = 'executed_l2', updated_at = now(), next_retry_at = now()
-     WHERE proposal_id = $2`,
-    [hash.toLowerCase(), proposal.id]
-  );
-  return { executedTxHash: hash.toLowerCase(), proposal: await getProposalByHash(safeTxHash) };
-}
-
-export async function syncExecutionsFromChain(fromBlock) {
   const logs = await publicClient.getLogs({
+    address: safes.rows.map((row) => row.safe_address),
+    events: SAFE_EXECUTION_EVENTS_ABI,
     fromBlock: BigInt(fromBlock),
-    toBlock: 'latest'
+    toBlock: toBlock === undefined ? 'latest' : BigInt(toBlock)
   });
-  let count = 0;
+  logs.sort((a, b) => (a.blockNumber === b.blockNumber ? a.logIndex - b.logIndex : (a.blockNumber < b.blockNumber ? -1 : 1)));
+
+  const blockTimestamps = new Map();
+  const getExecutedAt = async (blockNumber) => {
+    if (!blockTimestamps.has(blockNumber)) {
+      const block = await publicClient.getBlock({ blockNumber });
+      blockTimestamps.set(blockNumber, new Date(Number(block.timestamp) * 1000));
+    }
+    return blockTimestamps.get(blockNumber);
+  };
+
+  // SafeL2 emits SafeMultiSigTransaction right before ExecutionSuccess/ExecutionFailure of the same Safe.
+  const pendingDetails = new Map();
+  const versions = new Map();
+  let matched = 0;
+  let imported = 0;
   for (const log of logs) {
-    if (!log.transactionHash) continue;
-    const existing = await pool.query(
-      'SELECT id FROM proposals WHERE executed_tx_hash = $1',
-      [log.transactionHash.toLowerCase()]
+    if (!log.transactionHash || !log.eventName) continue;
+    const safeAddress = normalizeAddress(log.address);
+
+    if (log.eventName === 'SafeMultiSigTransaction') {
+      pendingDetails.set(safeAddress, decodeSafeMultiSigTransaction(log));
+      continue;
+    }
+
+    const details = pendingDetails.get(safeAddress);
+    pendingDetails.delete(safeAddress);
+    const { args } = await decodeSafeEventLog(log, executionEventAbis, versions);
+    const safeTxHash = args.txHash.toLowerCase();
+    if (await importExternalExecution({ safeAddress, safeTxHash, details })) imported += 1;
+    const recorded = await recordExecution({
+      safeAddress,
+      safeTxHash,
+      txHash: log.transactionHash.toLowerCase(),
+      blockNumber: log.blockNumber,
+      executedAt: await getExecutedAt(log.blockNumber),
+      success: log.eventName === 'ExecutionSuccess'
+    });
+    if (recorded) matched += 1;
+  }
+  return { scanned: logs.length, matched, imported };
+}
+
+
+export async function syncOwnerChangesFromChain(fromBlock, toBlock) {
+  const safes = await pool.query('SELECT safe_address FROM safes');
+  if (!safes.rowCount) return { scanned: 0, resynced: 0 };
+
+  const logs = await publicClient.getLogs({
+    address: safes.rows.map((row) => row.safe_address),
+    events: SAFE_OWNER_EVENTS_ABI,
+    fromBlock: BigInt(fromBlock),
+    toBlock: BigInt(toBlock)
+  });
+
+  const blockTimestamps = new Map();
+  const touched = new Set();
+  const versions = new Map();
+  for (const log of logs) {
+    if (!log.transactionHash || !log.eventName) continue;
+    const { eventName, args } = await decodeSafeEventLog(log, ownerEventAbis, versions);
+    if (!blockTimestamps.has(log.blockNumber)) {
+      const block = await publicClient.getBlock({ blockNumber: log.blockNumber });
+      blockTimestamps.set(log.blockNumber, new Date(Number(block.timestamp) * 1000));
+    }
+    const safeAddress = normalizeAddress(log.address);
+    await pool.query(
+      `INSERT INTO safe_owner_history (id, safe_address, event, owner_address, threshold, tx_hash, log_index, block_number, occurred_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+       ON CONFLICT (tx_hash, log_index) DO NOTHING`,
+      [
+        uuidv4(),
+        safeAddress,
+        OWNER_EVENT_KINDS[eventName],
+        args.owner ? normalizeAddress(args.owner) : null,
+        args.threshold !== undefined ? Number(args.threshold) : null,
+        log.transactionHash.toLowerCase(),
+        log.logIndex,
+        Number(log.blockNumber),
+        blockTimestamps.get(log.blockNumber)
+      ]
     );
-    if (existing.rowCount) continue;
-    count += 1;
+    touched.add(safeAddress);
+  }
+
+  // Events only tell us that something changed; the owner list itself is read back from the Safe.
+  for (const safeAddress of touched) {
+    await upsertSafe(await readSafeOnChain(safeAddress));
+  }
+  return { scanned: logs.length, resynced: touched.size };
+}
+
+export async function rollbackOwnerChangesFromBlock(fromBlock) {
+  const removed = await pool.query(
+    'DELETE FROM safe_owner_history WHERE block_number >= $1 RETURNING safe_address',
+    [fromBlock]
+  );
+  const safes = new Set(removed.rows.map((row) => row.safe_address));
+  for (const safeAddress of safes) {
+    await upsertSafe(await readSafeOnChain(safeAddress));
+  }
+  return { removed: removed.rowCount };
+}
+
+export async function syncApprovalsFromChain(fromBlock, toBlock) {
+  const safes = await pool.query('SELECT safe_address FROM safes');
+  if (!safes.rowCount) return { scanned: 0, recorded: 0 };
+
+  const logs = await publicClient.getLogs({
+    address: safes.rows.map((row) => row.safe_address),
+    events: SAFE_APPROVE_HASH_EVENTS_ABI,
+    fromBlock: BigInt(fromBlock),
+    toBlock: BigInt(toBlock)
+  });
+
+  let recorded = 0;
+  for (const log of logs) {
+    if (!log.transactionHash || !log.eventName) continue;
+    const approved = await recordApprovedHash({
+      safeAddress: normalizeAddress(log.address),
+      safeTxHash: log.args.approvedHash.toLowerCase(),
+      owner: normalizeAddress(log.args.owner),
+      blockNumber: Number(log.blockNumber)
+    });
+    if (approved) recorded += 1;
+  }
+  return { scanned: logs.length, recorded };
+}
+
+async function recordApprovedHash({ safeAddress, safeTxHash, owner, blockNumber }) {
+  const proposal = await pool.query(
+    `SELECT p.id FROM proposals p
+     JOIN safe_owners so ON so.safe_address = p.safe_address AND so.owner_address = $3
+     WHERE p.safe_address = $1 AND p.safe_tx_hash = $2`,
+    [safeAddress, safeTxHash, owner]
+  );
+  if (!proposal.rowCount) return false;
+  const proposalId = proposal.rows[0].id;
+  await pool.query(
+    `INSERT INTO signatures (proposal_id, owner_address, signature, signature_type, approved_block_number)
+     VALUES ($1,$2,$3,'approved_hash',$4)
+     ON CONFLICT (proposal_id, owner_address)
+     DO UPDATE SET signature = EXCLUDED.signature, signature_type = EXCLUDED.signature_type,
+                   approved_block_number = EXCLUDED.approved_block_number, created_at = now()`,
+    [proposalId, owner, encodeOwnerSignature(owner, 0, 1), blockNumber]
+  );
+  await syncWithdrawalStatusForProposal(proposalId);
+  return true;
+}
+
+export async function rollbackApprovalsFromBlock(fromBlock) {
+  const removed = await pool.query(
+    `DELETE FROM signatures WHERE signature_type = 'approved_hash' AND approved_block_number >= $1
+     RETURNING proposal_id`,
+    [fromBlock]
+  );
+  for (const proposalId of new Set(removed.rows.map((row) => row.proposal_id))) {
+    await syncWithdrawalStatusForProposal(proposalId);
+  }
+  return { removed: removed.rowCount };
+}
+
+export async function listOwnerHistory(safeAddress) {
+  const rows = await pool.query(
+    `SELECT event, owner_address, threshold, tx_hash, block_number, occurred_at
+     FROM safe_owner_history
+     WHERE safe_address = $1
+     ORDER BY block_number DESC, log_index DESC`,
+    [normalizeAddress(safeAddress)]
+  );
+  return rows.rows.map((row) => ({
+    event: row.event,
+    owner: row.owner_address || undefined,
+    threshold: row.threshold ?? undefined,
+    txHash: row.tx_hash,
+    blockNumber: Number(row.block_number),
+    occurredAt: row.occurred_at.toISOString()
+  }));
+}
+
+export async function rollbackExecutionsFromBlock(fromBlock) {
+  const affected = await pool.query(
+    `SELECT DISTINCT safe_address FROM proposals
+     WHERE executed_block_number >= $1 AND summary->>'type' = ANY($2::text[])`,
+    [fromBlock, [...OWNER_CHANGE_SUMMARY_TYPES]]
+  );
+  await pool.query('DELETE FROM proposals WHERE imported_from_chain AND executed_block_number >= $1', [fromBlock]);
+  const reverted = await pool.query(
+    `UPDATE proposals
+     SET executed_tx_hash = NULL, executed_at = NULL, executed_block_number = NULL, execution_gas_used = NULL,
+         execution_status = CASE WHEN execution_tx_hash IS NOT NULL AND execution_submitted_at IS NOT NULL THEN 'submitted' END
+     WHERE executed_block_number >= $1
+     RETURNING id`,
+    [fromBlock]
+  );
+  for (const { id } of reverted.rows) {
+    await pool.query(
+      `UPDATE withdrawals
+       SET status = 'proposed', l2_tx_hash = NULL, l2_batch_number = NULL, l2_message_index = 0, l2_tx_number_in_batch = NULL,
+           message = NULL, merkle_proof = NULL, proof_raw = NULL, last_error = NULL, next_retry_at = NULL, retry_count = 0,
+           updated_at = now()
+       WHERE proposal_id = $1 AND status <> 'finalized_l1'`,
+      [id]
+    );
+    await syncWithdrawalStatusForProposal(id);
+  }
+  for (const { safe_address: safeAddress } of affected.rows) {
+    await upsertSafe(await readSafeOnChain(safeAddress));
   }
-  return { scanned: logs.length, matched: count };
+  return { reverted: reverted.rowCount };
 }
 
 
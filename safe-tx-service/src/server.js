@@ -5,21 +5,63 @@ import { authMiddleware } from './auth.js';
 import { config } from './config.js';
 import { initDb, pool } from './db.js';
 import { loadContractsConfig } from './contractsConfig.js';
+import { deleteContractAbi, getContractAbi, listBuiltinAbis, listContractAbis, upsertContractAbi } from './abiRegistry.js';
+import { listCursors, runCursor } from './syncCursor.js';
+import { createNestedApproval } from './nestedSafes.js';
 import {
+  createPaymentSchedule,
+  deletePaymentSchedule,
+  getPaymentSchedule,
+  listPaymentSchedules,
+  runPaymentSchedules,
+  skipPaymentScheduleRun,
+  updatePaymentSchedule
+} from './paymentSchedules.js';
+import {
+  addMessageConfirmation,
+  createMessageFromPayload,
+  getSafeMessage,
+  getSafeMessageTypedData,
+  listSafeMessages,
+  verifySafeMessage
+} from './safeMessages.js';
+import { getServiceTransactionsOverview, processServiceTransactions } from './txManager.js';
+import {
+  assertCanView,
   assertOwner,
   createProposal,
   createSafe,
   createWithdrawalProposal,
   createErc20WithdrawalProposal,
+  createBatchTransferProposal,
+  createOwnerChangeProposal,
+  createRejectionProposal,
+  deleteProposal,
   executeProposal,
-  getLatestBlockNumber,
+  getNonceQueue,
+  getDeleteTypedDataForProposal,
+  getExecutionCalldata,
   getProposalByHash,
+  getSigningBundle,
   getTypedDataForProposal,
+  listOwnerHistory,
+  listProposalAudit,
   listProposalsForSafe,
   listSafesForOwner,
   normalizeAddress,
+  predictSafeAddress,
+  readSafe,
   readSafeOnChain,
+  recordOwnerExecution,
+  rollbackApprovalsFromBlock,
+  rollbackExecutionsFromBlock,
+  rollbackOwnerChangesFromBlock,
+  rollbackSafeCreationsFromBlock,
+  syncApprovalsFromChain,
   syncExecutionsFromChain,
+  syncOwnerChangesFromChain,
+  syncSafeCreationsFromChain,
+  updateSafeSettings,
   upsertSafe,
   addConfirmation,
   getSafeBalances,
@@ -28,13 +70,37 @@ import {
   updateAddressBookEntry,
   deleteAddressBookEntry,
   processPendingWithdrawals,
-  retryWithdrawalFinalize
+  retryWithdrawalFinalize,
+  revokeConfirmation,
+  runAutoExecutions,
+  simulateProposal,
+  trackPendingExecutions
 } from './safeService.js';
 import { listSupportedTokens } from './tokens.js';
 
+const syncCursors = [
+  { name: 'safe_discovery', sync: syncSafeCreationsFromChain, rollback: rollbackSafeCreationsFromBlock },
+  { name: 'safe_executions', sync: syncExecutionsFromChain, rollback: rollbackExecutionsFromBlock },
+  { name: 'safe_owners', sync: syncOwnerChangesFromChain, rollback: rollbackOwnerChangesFromBlock },
+  { name: 'safe_approvals', sync: syncApprovalsFromChain, rollback: rollbackApprovalsFromBlock }
+];
+
+async function runSyncCursors() {
+  const results = [];
+  for (const cursor of syncCursors) {
+    results.push(await runCursor(cursor));
+  }
+  return results;
+}
+
 const app = express();
 app.use(cors());
-app.use(express.json());
+// Verified-source JSON can be far larger than any other request body, so the ABI upload route skips the default
+// parser and parses its body itself, only once the caller is authenticated.
+const ABI_UPLOAD_PATH = /^\/v1\/safes\/[^/]+\/abis\/?$/;
+const defaultJson = express.json();
+const abiUploadJson = express.json({ limit: '5mb' });
+app.use((req, res, next) => (req.method === 'POST' && ABI_UPLOAD_PATH.test(req.path) ? next() : defaultJson(req, res, next)));
 app.use(authMiddleware(config.permissionsApiBaseUrl));
 
 app.get('/v1/me', async (req, res) => {
@@ -47,21 +113,37 @@ app.get('/v1/safes', async (req, res) => {
 });
 
 app.get('/v1/safes/:safeAddress', async (req, res) => {
-  await assertOwner(req.params.safeAddress, req.auth.userAddress);
-  const safe = await readSafeOnChain(req.params.safeAddress);
+  await assertCanView(req.params.safeAddress, req.auth.userAddress);
+  const safe = await readSafe(req.params.safeAddress);
   res.json({ safe });
 });
 
+app.post('/v1/safes/predict', async (req, res) => {
+  const { owners, threshold, saltNonce } = req.body || {};
+  if (!Array.isArray(owners) || typeof threshold !== 'number' || saltNonce === undefined) {
+    return res.status(400).json({ error: 'owners[], threshold and saltNonce are required' });
+  }
+  const prediction = await predictSafeAddress({ owners, threshold, saltNonce });
+  res.json({
+    safeAddress: prediction.safeAddress,
+    owners: prediction.owners,
+    threshold: prediction.threshold,
+    saltNonce: prediction.saltNonce,
+    deployed: prediction.deployed
+  });
+});
+
 app.post('/v1/safes', async (req, res) => {
-  const { owners, threshold } = req.body;
-  if (!Array.isArray(owners) || typeof threshold !== 'number') {
-    return res.status(400).json({ error: 'owners[] and threshold are required' });
+  const { owners, threshold, saltNonce, counterfactual } = req.body;
+  // The salt is required so that retried creates and /predict resolve to the same Safe.
+  if (!Array.isArray(owners) || typeof threshold !== 'number' || saltNonce === undefined) {
+    return res.status(400).json({ error: 'owners[], threshold and saltNonce are required' });
   }
   const uniqueOwners = [...new Set(owners.map((o) => normalizeAddress(o)))];
   if (!uniqueOwners.includes(req.auth.userAddress)) {
     return res.status(400).json({ error: 'creator must be one of the owners' });
   }
-  const safe = await createSafe({ owners: uniqueOwners, threshold });
+  const safe = await createSafe({ owners: uniqueOwners, threshold, saltNonce, counterfactual: counterfactual === true });
   res.status(201).json({ safe });
 });
 
@@ -74,12 +156,34 @@ app.post('/v1/safes/:safeAddress/register', async (req, res) => {
   res.json({ safe });
 });
 
-app.get('/v1/safes/:safeAddress/transactions', async (req, res) => {
+app.put('/v1/safes/:safeAddress/settings', async (req, res) => {
   await assertOwner(req.params.safeAddress, req.auth.userAddress);
+  const settings = await updateSafeSettings({
+    safeAddress: req.params.safeAddress,
+    autoExecute: req.body?.autoExecute,
+    updatedBy: req.auth.userAddress
+  });
+  res.json(settings);
+});
+
+app.get('/v1/safes/:safeAddress/transactions', async (req, res) => {
+  await assertCanView(req.params.safeAddress, req.auth.userAddress);
   const results = await listProposalsForSafe(req.params.safeAddress);
   res.json({ results });
 });
 
+app.get('/v1/safes/:safeAddress/queue', async (req, res) => {
+  await assertCanView(req.params.safeAddress, req.auth.userAddress);
+  const queue = await getNonceQueue(req.params.safeAddress);
+  res.json(queue);
+});
+
+app.get('/v1/safes/:safeAddress/transactions/audit', async (req, res) => {
+  await assertCanView(req.params.safeAddress, req.auth.userAddress);
+  const results = await listProposalAudit(req.params.safeAddress);
+  res.json({ results });
+});
+
 app.get('/v1/tokens', async (_req, res) => {
   const tokens = await listSupportedTokens();
   res.json({ tokens });
@@ -89,19 +193,20 @@ app.get('/v1/runtime-config', (_req, res) => {
   res.json({
     allowAdvancedCalldata: config.allowAdvancedCalldata,
     allowDelegatecall: config.allowDelegatecall,
-    allowCustomTargets: config.allowCustomTargets
+    allowCustomTargets: config.allowCustomTargets,
+    multisendAddress: config.multisendAddress
   });
 });
 
 
 app.get('/v1/safes/:safeAddress/balances', async (req, res) => {
-  await assertOwner(req.params.safeAddress, req.auth.userAddress);
+  await assertCanView(req.params.safeAddress, req.auth.userAddress);
   const balances = await getSafeBalances(req.params.safeAddress);
   res.json(balances);
 });
 
 app.get('/v1/safes/:safeAddress/address-book', async (req, res) => {
-  await assertOwner(req.params.safeAddress, req.auth.userAddress);
+  await assertCanView(req.params.safeAddress, req.auth.userAddress);
   const entries = await listAddressBookEntries(req.params.safeAddress);
   res.json({ entries });
 });
@@ -140,6 +245,99 @@ app.delete('/v1/safes/:safeAddress/address-book/:id', async (req, res) => {
   res.json(deleted);
 });
 
+app.get('/v1/safes/:safeAddress/abis', async (req, res) => {
+  await assertCanView(req.params.safeAddress, req.auth.userAddress);
+  const abis = await listContractAbis(req.params.safeAddress);
+  res.json({ abis, builtin: listBuiltinAbis(req.params.safeAddress) });
+});
+
+app.post('/v1/safes/:safeAddress/abis', abiUploadJson, async (req, res) => {
+  await assertOwner(req.params.safeAddress, req.auth.userAddress);
+  const { address, name, contractName, abi } = req.body || {};
+  const saved = await upsertContractAbi({
+    safeAddress: req.params.safeAddress,
+    address,
+    name,
+    contractName,
+    abi,
+    changedBy: req.auth.userAddress
+  });
+  res.status(201).json(saved);
+});
+
+app.get('/v1/safes/:safeAddress/abis/:address', async (req, res) => {
+  await assertCanView(req.params.safeAddress, req.auth.userAddress);
+  const entry = await getContractAbi({ safeAddress: req.params.safeAddress, address: req.params.address });
+  res.json(entry);
+});
+
+app.delete('/v1/safes/:safeAddress/abis/:address', async (req, res) => {
+  await assertOwner(req.params.safeAddress, req.auth.userAddress);
+  const deleted = await deleteContractAbi({ safeAddress: req.params.safeAddress, address: req.params.address });
+  res.json(deleted);
+});
+
+app.get('/v1/safes/:safeAddress/schedules', async (req, res) => {
+  await assertCanView(req.params.safeAddress, req.auth.userAddress);
+  const schedules = await listPaymentSchedules(req.params.safeAddress);
+  res.json({ schedules });
+});
+
+app.post('/v1/safes/:safeAddress/schedules', async (req, res) => {
+  await assertOwner(req.params.safeAddress, req.auth.userAddress);
+  const { label, rule, tokenAddress, recipient, amount } = req.body || {};
+  const schedule = await createPaymentSchedule({
+    safeAddress: req.params.safeAddress,
+    label,
+    rule,
+    tokenAddress,
+    recipient,
+    amount,
+    createdBy: req.auth.userAddress
+  });
+  res.status(201).json(schedule);
+});
+
+app.get('/v1/safes/:safeAddress/schedules/:id', async (req, res) => {
+  await assertCanView(req.params.safeAddress, req.auth.userAddress);
+  const schedule = await getPaymentSchedule({ safeAddress: req.params.safeAddress, scheduleId: req.params.id });
+  res.json(schedule);
+});
+
+app.put('/v1/safes/:safeAddress/schedules/:id', async (req, res) => {
+  await assertOwner(req.params.safeAddress, req.auth.userAddress);
+  const { label, rule, tokenAddress, recipient, amount, paused } = req.body || {};
+  const schedule = await updatePaymentSchedule({
+    safeAddress: req.params.safeAddress,
+    scheduleId: req.params.id,
+    label,
+    rule,
+    tokenAddress,
+    recipient,
+    amount,
+    paused,
+    updatedBy: req.auth.userAddress
+  });
+  res.json(schedule);
+});
+
+app.delete('/v1/safes/:safeAddress/schedules/:id', async (req, res) => {
+  await assertOwner(req.params.safeAddress, req.auth.userAddress);
+  const deleted = await deletePaymentSchedule({ safeAddress: req.params.safeAddress, scheduleId: req.params.id });
+  res.json(deleted);
+});
+
+app.post('/v1/safes/:safeAddress/schedules/:id/skip', async (req, res) => {
+  await assertOwner(req.params.safeAddress, req.auth.userAddress);
+  const run = await skipPaymentScheduleRun({
+    safeAddress: req.params.safeAddress,
+    scheduleId: req.params.id,
+    periodAt: req.body?.periodAt,
+    skippedBy: req.auth.userAddress
+  });
+  res.status(201).json(run);
+});
+
 app.post('/v1/safes/:safeAddress/transactions', async (req, res) => {
   await assertOwner(req.params.safeAddress, req.auth.userAddress);
   if (!req.body?.tx) {
@@ -172,32 +370,208 @@ app.post('/v1/safes/:safeAddress/withdrawals/erc20', async (req, res) => {
   res.status(201).json(proposal);
 });
 
+app.post('/v1/safes/:safeAddress/batch-transfers', async (req, res) => {
+  await assertOwner(req.params.safeAddress, req.auth.userAddress);
+  const result = await createBatchTransferProposal({
+    safeAddress: req.params.safeAddress,
+    createdBy: req.auth.userAddress,
+    transfers: req.body?.transfers,
+    csv: req.body?.csv,
+    dryRun: req.body?.dryRun === true
+  });
+  res.status(result.dryRun ? 200 : 201).json(result);
+});
+
+app.post('/v1/safes/:safeAddress/owners', async (req, res) => {
+  await assertOwner(req.params.safeAddress, req.auth.userAddress);
+  const proposal = await createOwnerChangeProposal({
+    safeAddress: req.params.safeAddress,
+    createdBy: req.auth.userAddress,
+    action: req.body?.action,
+    owner: req.body?.owner,
+    oldOwner: req.body?.oldOwner,
+    newOwner: req.body?.newOwner,
+    threshold: req.body?.threshold
+  });
+  res.status(201).json(proposal);
+});
+
+app.get('/v1/safes/:safeAddress/owners/history', async (req, res) => {
+  await assertCanView(req.params.safeAddress, req.auth.userAddress);
+  const results = await listOwnerHistory(req.params.safeAddress);
+  res.json({ results });
+});
+
 app.post('/v1/transactions/:safeTxHash/confirmations', async (req, res) => {
-  const { signature } = req.body;
+  const { signature, signatureType, owner } = req.body;
+  if (!signature && signatureType !== 'approved_hash') return res.status(400).json({ error: 'signature is required' });
+  const proposal = await getProposalByHash(req.params.safeTxHash.toLowerCase());
+  if (!proposal) return res.status(404).json({ error: 'proposal not found' });
+  await assertOwner(proposal.safeAddress, req.auth.userAddress);
+  const updated = await addConfirmation({ safeTxHash: proposal.safeTxHash, ownerAddress: req.auth.userAddress, signature, signatureType, owner });
+  res.json(updated);
+});
+
+// Signatures made offline from a signing bundle; the signer is recovered from the signature, not the session.
+app.post('/v1/transactions/:safeTxHash/confirmations/import', async (req, res) => {
+  const { signature, signatureType = 'eip712' } = req.body || {};
   if (!signature) return res.status(400).json({ error: 'signature is required' });
   const proposal = await getProposalByHash(req.params.safeTxHash.toLowerCase());
   if (!proposal) return res.status(404).json({ error: 'proposal not found' });
   await assertOwner(proposal.safeAddress, req.auth.userAddress);
-  const updated = await addConfirmation({ safeTxHash: proposal.safeTxHash, ownerAddress: req.auth.userAddress, signature });
+  const updated = await addConfirmation({
+    safeTxHash: proposal.safeTxHash,
+    ownerAddress: req.auth.userAddress,
+    signature,
+    signatureType,
+    imported: true
+  });
   res.json(updated);
 });
 
-app.get('/v1/transactions/:safeTxHash/typed-data', async (req, res) => {
+app.delete('/v1/transactions/:safeTxHash/confirmations/me', async (req, res) => {
+  const proposal = await getProposalByHash(req.params.safeTxHash.toLowerCase());
+  if (!proposal) return res.status(404).json({ error: 'proposal not found' });
+  await assertOwner(proposal.safeAddress, req.auth.userAddress);
+  const updated = await revokeConfirmation({ safeTxHash: proposal.safeTxHash, ownerAddress: req.auth.userAddress });
+  res.json(updated);
+});
+
+app.post('/v1/transactions/:safeTxHash/nested-approvals', async (req, res) => {
+  const { childSafeAddress, method } = req.body || {};
+  const proposal = await getProposalByHash(req.params.safeTxHash.toLowerCase());
+  if (!proposal) return res.status(404).json({ error: 'proposal not found' });
+  await assertCanView(proposal.safeAddress, req.auth.userAddress);
+  const approval = await createNestedApproval({
+    safeTxHash: proposal.safeTxHash,
+    childSafeAddress,
+    method,
+    createdBy: req.auth.userAddress
+  });
+  res.status(201).json(approval);
+});
+
+app.get('/v1/safes/:safeAddress/messages', async (req, res) => {
+  await assertCanView(req.params.safeAddress, req.auth.userAddress);
+  const results = await listSafeMessages(req.params.safeAddress);
+  res.json({ results });
+});
+
+app.post('/v1/safes/:safeAddress/messages', async (req, res) => {
+  await assertOwner(req.params.safeAddress, req.auth.userAddress);
+  const { type, message, description, signature, signatureType } = req.body || {};
+  const created = await createMessageFromPayload({
+    safeAddress: req.params.safeAddress,
+    type,
+    message,
+    description,
+    signature,
+    signatureType,
+    createdBy: req.auth.userAddress
+  });
+  res.status(201).json({ ...created, typedData: getSafeMessageTypedData(created) });
+});
+
+app.get('/v1/messages/:safeMessageHash', async (req, res) => {
+  const message = await getSafeMessage(req.params.safeMessageHash);
+  await assertCanView(message.safeAddress, req.auth.userAddress);
+  res.json({ ...message, typedData: getSafeMessageTypedData(message) });
+});
+
+app.post('/v1/messages/:safeMessageHash/signatures', async (req, res) => {
+  const { signature, signatureType } = req.body || {};
+  if (!signature) return res.status(400).json({ error: 'signature is required' });
+  const message = await getSafeMessage(req.params.safeMessageHash);
+  await assertOwner(message.safeAddress, req.auth.userAddress);
+  const updated = await addMessageConfirmation({
+    safeMessageHash: message.safeMessageHash,
+    ownerAddress: req.auth.userAddress,
+    signature,
+    signatureType
+  });
+  res.json(updated);
+});
+
+app.post('/v1/messages/:safeMessageHash/verify', async (req, res) => {
+  const message = await getSafeMessage(req.params.safeMessageHash);
+  await assertCanView(message.safeAddress, req.auth.userAddress);
+  const result = await verifySafeMessage({ safeMessageHash: message.safeMessageHash, signature: req.body?.signature });
+  res.json(result);
+});
+
+app.post('/v1/transactions/:safeTxHash/rejection', async (req, res) => {
   const proposal = await getProposalByHash(req.params.safeTxHash.toLowerCase());
   if (!proposal) return res.status(404).json({ error: 'proposal not found' });
   await assertOwner(proposal.safeAddress, req.auth.userAddress);
+  const rejection = await createRejectionProposal({ safeTxHash: proposal.safeTxHash, createdBy: req.auth.userAddress });
+  res.status(201).json(rejection);
+});
+
+app.get('/v1/transactions/:safeTxHash/typed-data', async (req, res) => {
+  const proposal = await getProposalByHash(req.params.safeTxHash.toLowerCase());
+  if (!proposal) return res.status(404).json({ error: 'proposal not found' });
+  await assertCanView(proposal.safeAddress, req.auth.userAddress);
+  if (req.query.format === 'bundle') {
+    const bundle = await getSigningBundle(proposal.safeTxHash);
+    res.setHeader('Content-Disposition', `attachment; filename="safe-tx-${proposal.safeTxHash.slice(0, 10)}.json"`);
+    return res.json(bundle);
+  }
   const typedData = await getTypedDataForProposal(proposal.safeTxHash);
   res.json(typedData);
 });
 
+app.get('/v1/transactions/:safeTxHash/delete-typed-data', async (req, res) => {
+  const proposal = await getProposalByHash(req.params.safeTxHash.toLowerCase());
+  if (!proposal) return res.status(404).json({ error: 'proposal not found' });
+  await assertOwner(proposal.safeAddress, req.auth.userAddress);
+  const typedData = await getDeleteTypedDataForProposal(proposal.safeTxHash);
+  res.json(typedData);
+});
+
+app.delete('/v1/transactions/:safeTxHash', async (req, res) => {
+  const { signature } = req.body || {};
+  if (!signature) return res.status(400).json({ error: 'signature is required' });
+  const proposal = await getProposalByHash(req.params.safeTxHash.toLowerCase());
+  if (!proposal) return res.status(404).json({ error: 'proposal not found' });
+  await assertOwner(proposal.safeAddress, req.auth.userAddress);
+  const result = await deleteProposal({ safeTxHash: proposal.safeTxHash, requestedBy: req.auth.userAddress, signature });
+  res.json(result);
+});
+
+app.post('/v1/transactions/:safeTxHash/simulate', async (req, res) => {
+  const proposal = await getProposalByHash(req.params.safeTxHash.toLowerCase());
+  if (!proposal) return res.status(404).json({ error: 'proposal not found' });
+  await assertCanView(proposal.safeAddress, req.auth.userAddress);
+  const result = await simulateProposal(proposal.safeTxHash);
+  res.json(result);
+});
+
 app.post('/v1/transactions/:safeTxHash/execute', async (req, res) => {
   const proposal = await getProposalByHash(req.params.safeTxHash.toLowerCase());
   if (!proposal) return res.status(404).json({ error: 'proposal not found' });
   await assertOwner(proposal.safeAddress, req.auth.userAddress);
-  const result = await executeProposal(proposal.safeTxHash);
+  const result = await executeProposal(proposal.safeTxHash, { force: req.body?.force === true, triggeredBy: req.auth.userAddress });
   res.json(result);
 });
 
+app.get('/v1/transactions/:safeTxHash/execution-calldata', async (req, res) => {
+  const proposal = await getProposalByHash(req.params.safeTxHash.toLowerCase());
+  if (!proposal) return res.status(404).json({ error: 'proposal not found' });
+  await assertCanView(proposal.safeAddress, req.auth.userAddress);
+  const calldata = await getExecutionCalldata(proposal.safeTxHash);
+  res.json(calldata);
+});
+
+app.post('/v1/transactions/:safeTxHash/executed', async (req, res) => {
+  const { txHash } = req.body || {};
+  if (!txHash) return res.status(400).json({ error: 'txHash is required' });
+  const proposal = await getProposalByHash(req.params.safeTxHash.toLowerCase());
+  if (!proposal) return res.status(404).json({ error: 'proposal not found' });
+  await assertOwner(proposal.safeAddress, req.auth.userAddress);
+  const updated = await recordOwnerExecution({ safeTxHash: proposal.safeTxHash, txHash });
+  res.json(updated);
+});
+
 app.post('/v1/withdrawals/:proposalId/retry', async (req, res) => {
   const proposal = await pool.query('SELECT id, safe_address FROM proposals WHERE id = $1', [req.params.proposalId]);
   if (!proposal.rowCount) return res.status(404).json({ error: 'proposal not found' });
@@ -207,22 +581,26 @@ app.post('/v1/withdrawals/:proposalId/retry', async (req, res) => {
   res.json({ ok: true });
 });
 
-app.post('/v1/admin/sync', async (req, res) => {
+app.post('/v1/admin/sync', async (_req, res) => {
   if (!config.allowAdminSync) return res.status(403).json({ error: 'sync endpoint disabled' });
-  const state = await pool.query('SELECT value FROM sync_state WHERE key = $1', ['last_synced_block']);
-  const fromBlock = Number(state.rows[0]?.value || 0);
-  const syncResult = await syncExecutionsFromChain(fromBlock);
-  const latest = await getLatestBlockNumber();
-  await pool.query(
-    'INSERT INTO sync_state (key, value) VALUES ($1,$2) ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value',
-    ['last_synced_block', String(latest)]
-  );
-  res.json({ fromBlock, latest, syncResult });
+  const results = await runSyncCursors();
+  res.json({ results });
+});
+
+app.get('/v1/admin/sync', async (_req, res) => {
+  if (!config.allowAdminSync) return res.status(403).json({ error: 'sync endpoint disabled' });
+  res.json({ cursors: await listCursors() });
+});
+
+app.get('/v1/admin/service-transactions', async (req, res) => {
+  if (!config.allowAdminTxView) return res.status(403).json({ error: 'service transaction view disabled' });
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  res.json(await getServiceTransactionsOverview({ limit }));
 });
 
 app.use((error, _req, res, _next) => {
   console.error(error);
-  res.status(error.status || 500).json({ error: error.message || 'Internal error' });
+  res.status(error.status || 500).json({ error: error.message || 'Internal error', ...(error.details ? { details: error.details } : {}) });
 });
 
 await initDb();
@@ -235,20 +613,53 @@ if (config.syncPollMs > 0) {
   setInterval(async () => {
     try {
       if (!config.allowAdminSync) return;
-      const latest = await getLatestBlockNumber();
-      const state = await pool.query('SELECT value FROM sync_state WHERE key = $1', ['last_synced_block']);
-      const fromBlock = Number(state.rows[0]?.value || Math.max(latest - 500, 0));
-      await syncExecutionsFromChain(fromBlock);
-      await pool.query(
-        'INSERT INTO sync_state (key, value) VALUES ($1,$2) ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value',
-        ['last_synced_block', String(latest)]
-      );
+      await runSyncCursors();
     } catch (error) {
       console.error('Sync loop error', error);
     }
   }, config.syncPollMs);
 }
 
+if (config.executionPollMs > 0) {
+  setInterval(async () => {
+    try {
+      await trackPendingExecutions();
+    } catch (error) {
+      console.error('Execution tracker error', error);
+    }
+  }, config.executionPollMs);
+}
+
+if (config.autoExecutePollMs > 0) {
+  setInterval(async () => {
+    try {
+      await runAutoExecutions();
+    } catch (error) {
+      console.error('Auto-execute loop error', error);
+    }
+  }, config.autoExecutePollMs);
+}
+
+if (config.schedulePollMs > 0) {
+  setInterval(async () => {
+    try {
+      await runPaymentSchedules();
+    } catch (error) {
+      console.error('Payment schedule loop error', error);
+    }
+  }, config.schedulePollMs);
+}
+
+if (config.txManagerPollMs > 0) {
+  setInterval(async () => {
+    try {
+      await processServiceTransactions();
+    } catch (error) {
+      console.error('Tx manager loop error', error);
+    }
+  }, config.txManagerPollMs);
+}
+
 if (config.withdrawalPollMs > 0) {
   setInterval(async () => {
     try {
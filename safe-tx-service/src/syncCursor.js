@@ -0,0 +1,159 @@
+import { createPublicClient, http } from 'viem';
+import { config } from './config.js';
+import { pool } from './db.js';
+import { authFetch } from './prividiumAuth.js';
+
+const publicClient = createPublicClient({ transport: http(config.rpcUrl, { fetchFn: authFetch }) });
+const running = new Map();
+
+async function getBlockHash(blockNumber) {
+  const block = await publicClient.getBlock({ blockNumber: BigInt(blockNumber) });
+  return block.hash.toLowerCase();
+}
+
+const BLOCK_HASH_FETCH_CONCURRENCY = 32;
+
+// Hashes for every block of the chunk that is still within the reorg window, so a fork inside the chunk is
+// found at the exact block instead of at the chunk end.
+async function getWindowBlockHashes(fromBlock, toBlock, head) {
+  const firstBlock = Math.max(fromBlock, toBlock - config.syncReorgDepth + 1, head - config.syncReorgDepth + 1);
+  const blockNumbers = [];
+  for (let blockNumber = Math.min(firstBlock, toBlock); blockNumber <= toBlock; blockNumber += 1) {
+    blockNumbers.push(blockNumber);
+  }
+  const blocks = [];
+  for (let index = 0; index < blockNumbers.length; index += BLOCK_HASH_FETCH_CONCURRENCY) {
+    const slice = blockNumbers.slice(index, index + BLOCK_HASH_FETCH_CONCURRENCY);
+    const hashes = await Promise.all(slice.map(getBlockHash));
+    blocks.push(...slice.map((blockNumber, i) => ({ blockNumber, blockHash: hashes[i] })));
+  }
+  return blocks;
+}
+
+async function getStartBlock() {
+  if (config.syncStartBlock !== null) return config.syncStartBlock;
+  // Cursors created before per-purpose cursors existed resume from the legacy single cursor.
+  const legacy = await pool.query('SELECT value FROM sync_state WHERE key = $1', ['last_synced_block']);
+  return Number(legacy.rows[0]?.value || 0);
+}
+
+async function loadCursor(name) {
+  const existing = await pool.query('SELECT next_block FROM sync_cursors WHERE name = $1', [name]);
+  if (existing.rowCount) return Number(existing.rows[0].next_block);
+  const startBlock = await getStartBlock();
+  await pool.query(
+    'INSERT INTO sync_cursors (name, next_block) VALUES ($1,$2) ON CONFLICT (name) DO NOTHING',
+    [name, startBlock]
+  );
+  return startBlock;
+}
+
+async function saveCursor(name, nextBlock, blocks) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      'UPDATE sync_cursors SET next_block = $2, updated_at = now() WHERE name = $1',
+      [name, nextBlock]
+    );
+    await client.query(
+      `INSERT INTO sync_blocks (cursor_name, block_number, block_hash)
+       SELECT $1, block_number, block_hash FROM UNNEST($2::bigint[], $3::text[]) AS b (block_number, block_hash)
+       ON CONFLICT (cursor_name, block_number) DO UPDATE SET block_hash = EXCLUDED.block_hash`,
+      [name, blocks.map((block) => block.blockNumber), blocks.map((block) => block.blockHash)]
+    );
+    await client.query(
+      'DELETE FROM sync_blocks WHERE cursor_name = $1 AND block_number < $2',
+      [name, nextBlock - 1 - config.syncReorgDepth]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function findForkBlock(name, head) {
+  const recorded = await pool.query(
+    'SELECT block_number, block_hash FROM sync_blocks WHERE cursor_name = $1 ORDER BY block_number DESC',
+    [name]
+  );
+  if (!recorded.rowCount) return null;
+
+  for (const [index, row] of recorded.rows.entries()) {
+    const blockNumber = Number(row.block_number);
+    if (await getBlockHash(blockNumber) === row.block_hash) {
+      return index === 0 ? null : blockNumber + 1;
+    }
+  }
+  // Reorg deeper than the recorded window: the fork point is unknown, so replay the whole reorg window.
+  const oldest = Number(recorded.rows[recorded.rows.length - 1].block_number);
+  return Math.max(0, Math.min(oldest, head - config.syncReorgDepth));
+}
+
+export async function rewindCursor(cursor, fromBlock) {
+  await cursor.rollback(fromBlock);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM sync_blocks WHERE cursor_name = $1 AND block_number >= $2', [cursor.name, fromBlock]);
+    await client.query(
+      'UPDATE sync_cursors SET next_block = LEAST(next_block, $2), updated_at = now() WHERE name = $1',
+      [cursor.name, fromBlock]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function runCursorOnce(cursor) {
+  const chunkSize = config.syncChunkSizes[cursor.name] || config.syncChunkSize;
+  const latest = Number(await publicClient.getBlockNumber());
+  const head = latest - config.syncConfirmations;
+
+  const forkBlock = await findForkBlock(cursor.name, head);
+  let reorgedFrom = null;
+  if (forkBlock !== null) {
+    console.warn(`Reorg detected for cursor ${cursor.name}; rolling back from block ${forkBlock}`);
+    await rewindCursor(cursor, forkBlock);
+    reorgedFrom = forkBlock;
+  }
+
+  const fromBlock = await loadCursor(cursor.name);
+  let nextBlock = fromBlock;
+  const results = [];
+  for (let chunk = 0; chunk < config.syncMaxChunksPerRun && nextBlock <= head; chunk += 1) {
+    const toBlock = Math.min(nextBlock + chunkSize - 1, head);
+    const blocks = await getWindowBlockHashes(nextBlock, toBlock, head);
+    const result = await cursor.sync(nextBlock, toBlock);
+    // The chunk end moved under us while indexing; retry it on the next run.
+    if (await getBlockHash(toBlock) !== blocks[blocks.length - 1].blockHash) break;
+    await saveCursor(cursor.name, toBlock + 1, blocks);
+    results.push({ fromBlock: nextBlock, toBlock, ...result });
+    nextBlock = toBlock + 1;
+  }
+
+  return { cursor: cursor.name, fromBlock, nextBlock, head, reorgedFrom, chunks: results };
+}
+
+export async function runCursor(cursor) {
+  if (running.has(cursor.name)) return running.get(cursor.name);
+  const promise = runCursorOnce(cursor).finally(() => running.delete(cursor.name));
+  running.set(cursor.name, promise);
+  return promise;
+}
+
+export async function listCursors() {
+  const rows = await pool.query('SELECT name, next_block, updated_at FROM sync_cursors ORDER BY name ASC');
+  return rows.rows.map((row) => ({
+    name: row.name,
+    nextBlock: Number(row.next_block),
+    updatedAt: row.updated_at.toISOString()
+  }));
+}
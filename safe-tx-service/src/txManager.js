@@ -0,0 +1,293 @@
+import { createPublicClient, createWalletClient, http, keccak256, TransactionReceiptNotFoundError } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from './config.js';
+import { pool } from './db.js';
+import { authFetch } from './prividiumAuth.js';
+
+const authTransport = http(config.rpcUrl, { fetchFn: authFetch });
+const publicClient = createPublicClient({ transport: authTransport });
+const serviceAccount = privateKeyToAccount(config.servicePrivateKey);
+const walletClient = createWalletClient({ account: serviceAccount, transport: authTransport });
+const serviceAddress = serviceAccount.address.toLowerCase();
+
+function applyPercent(value, percent) {
+  return (value * BigInt(percent)) / 100n;
+}
+
+function capFee(value) {
+  return config.txMaxFeePerGasWei !== null && value > config.txMaxFeePerGasWei ? config.txMaxFeePerGasWei : value;
+}
+
+async function getFees() {
+  const fees = await publicClient.estimateFeesPerGas();
+  const maxFeePerGas = capFee(applyPercent(fees.maxFeePerGas, config.txFeeMultiplierPercent));
+  const maxPriorityFeePerGas = applyPercent(fees.maxPriorityFeePerGas, config.txFeeMultiplierPercent);
+  return { maxFeePerGas, maxPriorityFeePerGas: maxPriorityFeePerGas > maxFeePerGas ? maxFeePerGas : maxPriorityFeePerGas };
+}
+
+async function allocateNonce() {
+  const pendingCount = await publicClient.getTransactionCount({ address: serviceAccount.address, blockTag: 'pending' });
+  // Single statement so concurrent senders never get the same nonce; the chain count covers txs sent elsewhere.
+  const allocated = await pool.query(
+    `INSERT INTO service_nonces (address, next_nonce) VALUES ($1, $2::bigint + 1)
+     ON CONFLICT (address) DO UPDATE SET next_nonce = GREATEST(service_nonces.next_nonce, $2::bigint) + 1, updated_at = now()
+     RETURNING next_nonce - 1 AS nonce`,
+    [serviceAddress, pendingCount]
+  );
+  return Number(allocated.rows[0].nonce);
+}
+
+async function releaseNonce(nonce) {
+  await pool.query(
+    'UPDATE service_nonces SET next_nonce = $2, updated_at = now() WHERE address = $1 AND next_nonce = $2::bigint + 1',
+    [serviceAddress, nonce]
+  );
+}
+
+// The row is written before broadcasting, so a crash in between leaves a pending row that the speed-up path
+// re-sends at the same nonce instead of an untracked transaction.
+async function broadcastAtNonce({ to, data, value, nonce, gas, fees, purpose, reference }) {
+  const serializedTransaction = await walletClient.signTransaction({ chain: null, to, data, value, nonce, gas, ...fees });
+  const hash = keccak256(serializedTransaction).toLowerCase();
+  const id = uuidv4();
+  await pool.query(
+    `INSERT INTO service_transactions
+       (id, from_address, nonce, to_address, value, data, gas_limit, max_fee_per_gas, max_priority_fee_per_gas, tx_hash, tx_hashes, purpose, reference)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)`,
+    [
+      id,
+      serviceAddress,
+      nonce,
+      to.toLowerCase(),
+      value.toString(),
+      data,
+      gas.toString(),
+      fees.maxFeePerGas.toString(),
+      fees.maxPriorityFeePerGas.toString(),
+      hash,
+      JSON.stringify([hash]),
+      purpose,
+      reference
+    ]
+  );
+
+  try {
+    await walletClient.sendRawTransaction({ serializedTransaction });
+  } catch (error) {
+    await pool.query(
+      `UPDATE service_transactions SET status = 'dropped', last_error = $2, updated_at = now() WHERE id = $1`,
+      [id, `Broadcast failed: ${error.shortMessage || error.message}`]
+    );
+    throw error;
+  }
+  return hash;
+}
+
+export async function sendServiceTransaction({ to, data = '0x', value = 0n, purpose, reference = null }) {
+  const gasEstimate = await publicClient.estimateGas({ account: serviceAccount.address, to, data, value });
+  const gas = applyPercent(gasEstimate, config.txGasLimitMultiplierPercent);
+  const fees = await getFees();
+  const nonce = await allocateNonce();
+
+  try {
+    return await broadcastAtNonce({ to, data, value, nonce, gas, fees, purpose, reference });
+  } catch (error) {
+    // Only possible while no later nonce was handed out; otherwise processServiceTransactions fills the gap.
+    await releaseNonce(nonce);
+    throw error;
+  }
+}
+
+export async function findServiceTransaction(hash) {
+  const rows = await pool.query(
+    'SELECT * FROM service_transactions WHERE tx_hashes @> $1::jsonb ORDER BY created_at DESC LIMIT 1',
+    [JSON.stringify([hash.toLowerCase()])]
+  );
+  return rows.rowCount ? mapServiceTransactionRow(rows.rows[0]) : null;
+}
+
+async function findReceipt(hashes) {
+  for (const hash of [...hashes].reverse()) {
+    try {
+      return await publicClient.getTransactionReceipt({ hash });
+    } catch (error) {
+      if (!(error instanceof TransactionReceiptNotFoundError)) throw error;
+    }
+  }
+  return null;
+}
+
+async function speedUp(row) {
+  const fees = await getFees();
+  // Nodes only accept a replacement that raises both fees over the previous attempt.
+  const bump = (previous, current) => {
+    const bumped = applyPercent(BigInt(previous), 100 + config.txSpeedUpBumpPercent);
+    return bumped > current ? bumped : current;
+  };
+  const maxFeePerGas = capFee(bump(row.max_fee_per_gas, fees.maxFeePerGas));
+  const bumpedPriority = bump(row.max_priority_fee_per_gas, fees.maxPriorityFeePerGas);
+  const maxPriorityFeePerGas = bumpedPriority > maxFeePerGas ? maxFeePerGas : bumpedPriority;
+
+  // Like broadcastAtNonce, the replacement hash is recorded before it is broadcast so it is always tracked.
+  const serializedTransaction = await walletClient.signTransaction({
+    chain: null,
+    to: row.to_address,
+    data: row.data,
+    value: BigInt(row.value),
+    nonce: Number(row.nonce),
+    gas: BigInt(row.gas_limit),
+    maxFeePerGas,
+    maxPriorityFeePerGas
+  });
+  const hash = keccak256(serializedTransaction).toLowerCase();
+  await pool.query(
+    `UPDATE service_transactions
+     SET tx_hash = $2, tx_hashes = tx_hashes || $3::jsonb, max_fee_per_gas = $4, max_priority_fee_per_gas = $5,
+         speed_ups = speed_ups + 1, last_error = NULL, broadcast_at = now(), updated_at = now()
+     WHERE id = $1`,
+    [row.id, hash, JSON.stringify([hash]), maxFeePerGas.toString(), maxPriorityFeePerGas.toString()]
+  );
+
+  try {
+    await walletClient.sendRawTransaction({ serializedTransaction });
+    return 'sped_up';
+  } catch (error) {
+    // The hash stays in tx_hashes in case the node accepted it anyway; the previous attempt stays current.
+    await pool.query(
+      `UPDATE service_transactions
+       SET tx_hash = $2, max_fee_per_gas = $3, max_priority_fee_per_gas = $4, last_error = $5, updated_at = now()
+       WHERE id = $1`,
+      [row.id, row.tx_hash, row.max_fee_per_gas, row.max_priority_fee_per_gas, error.shortMessage || error.message]
+    );
+    return 'speed_up_failed';
+  }
+}
+
+async function processServiceTransaction(row, latestNonce) {
+  const receipt = await findReceipt(row.tx_hashes);
+  if (receipt) {
+    await pool.query(
+      `UPDATE service_transactions
+       SET status = 'mined', tx_hash = $2, block_number = $3, receipt_status = $4, updated_at = now()
+       WHERE id = $1`,
+      [row.id, receipt.transactionHash.toLowerCase(), Number(receipt.blockNumber), receipt.status]
+    );
+    return 'mined';
+  }
+  if (Number(row.nonce) < latestNonce) {
+    // The nonce was consumed by a transaction we do not know about.
+    await pool.query(
+      `UPDATE service_transactions SET status = 'dropped', last_error = 'Nonce used by another transaction', updated_at = now() WHERE id = $1`,
+      [row.id]
+    );
+    return 'dropped';
+  }
+  if (Date.now() - row.broadcast_at.getTime() < config.txSpeedUpAfterMs) return 'pending';
+  if (row.speed_ups >= config.txMaxSpeedUps) {
+    console.warn(`Service transaction ${row.tx_hash} (nonce ${row.nonce}) is still pending after ${row.speed_ups} speed-ups`);
+    return 'stuck';
+  }
+  return speedUp(row);
+}
+
+// A nonce that failed to broadcast after later nonces were allocated leaves a gap that holds back every later
+// transaction. Once the transaction right after it has waited as long as a speed-up would, the gap is filled
+// with a 0-value self-transfer.
+async function fillNonceGaps(rows) {
+  const pendingNonce = await publicClient.getTransactionCount({ address: serviceAccount.address, blockTag: 'pending' });
+  const queued = new Map(rows.map((row) => [Number(row.nonce), row]));
+  const highest = Math.max(...queued.keys());
+  const results = [];
+  let fees = null;
+  for (let nonce = pendingNonce; nonce < highest; nonce += 1) {
+    if (queued.has(nonce)) continue;
+    const next = rows.find((row) => Number(row.nonce) > nonce);
+    if (Date.now() - next.broadcast_at.getTime() < config.txSpeedUpAfterMs) continue;
+    fees ??= await getFees();
+    try {
+      const hash = await broadcastAtNonce({
+        to: serviceAddress,
+        data: '0x',
+        value: 0n,
+        nonce,
+        gas: 21000n,
+        fees,
+        purpose: 'nonce_gap_fill',
+        reference: null
+      });
+      console.warn(`Filled service account nonce gap at ${nonce} with ${hash}`);
+      results.push({ nonce, result: 'gap_filled', txHash: hash });
+    } catch (error) {
+      console.error(`Failed to fill service account nonce gap at ${nonce}`, error);
+      results.push({ nonce, result: 'gap_fill_failed' });
+    }
+  }
+  return results;
+}
+
+export async function processServiceTransactions() {
+  const rows = await pool.query(
+    `SELECT * FROM service_transactions
+     WHERE from_address = $1 AND status = 'pending'
+     ORDER BY nonce ASC`,
+    [serviceAddress]
+  );
+  if (!rows.rowCount) return [];
+  const latestNonce = await publicClient.getTransactionCount({ address: serviceAccount.address, blockTag: 'latest' });
+  const results = await fillNonceGaps(rows.rows);
+  for (const row of rows.rows) {
+    results.push({ id: row.id, nonce: Number(row.nonce), result: await processServiceTransaction(row, latestNonce) });
+  }
+  return results;
+}
+
+function mapServiceTransactionRow(row) {
+  return {
+    id: row.id,
+    from: row.from_address,
+    nonce: Number(row.nonce),
+    to: row.to_address,
+    value: row.value,
+    purpose: row.purpose,
+    reference: row.reference || undefined,
+    status: row.status,
+    txHash: row.tx_hash,
+    txHashes: row.tx_hashes,
+    gasLimit: row.gas_limit,
+    maxFeePerGas: row.max_fee_per_gas,
+    maxPriorityFeePerGas: row.max_priority_fee_per_gas,
+    speedUps: row.speed_ups,
+    lastError: row.last_error || undefined,
+    blockNumber: row.block_number?.toString(),
+    receiptStatus: row.receipt_status || undefined,
+    broadcastAt: row.broadcast_at.toISOString(),
+    createdAt: row.created_at.toISOString()
+  };
+}
+
+export async function getServiceTransactionsOverview({ limit = 50 } = {}) {
+  const [inFlight, recent, allocator, latestNonce, pendingNonce] = await Promise.all([
+    pool.query(
+      `SELECT * FROM service_transactions WHERE from_address = $1 AND status = 'pending' ORDER BY nonce ASC`,
+      [serviceAddress]
+    ),
+    pool.query(
+      `SELECT * FROM service_transactions WHERE from_address = $1 AND status <> 'pending' ORDER BY updated_at DESC LIMIT $2`,
+      [serviceAddress, limit]
+    ),
+    pool.query('SELECT next_nonce FROM service_nonces WHERE address = $1', [serviceAddress]),
+    publicClient.getTransactionCount({ address: serviceAccount.address, blockTag: 'latest' }),
+    publicClient.getTransactionCount({ address: serviceAccount.address, blockTag: 'pending' })
+  ]);
+  return {
+    address: serviceAddress,
+    nonces: {
+      latest: latestNonce,
+      pending: pendingNonce,
+      nextAllocated: allocator.rowCount ? Number(allocator.rows[0].next_nonce) : null
+    },
+    inFlight: inFlight.rows.map(mapServiceTransactionRow),
+    recent: recent.rows.map(mapServiceTransactionRow)
+  };
+}
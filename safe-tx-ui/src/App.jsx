@@ -1,9 +1,17 @@
 import { useEffect, useMemo, useState } from 'react';
 import {
+  concatHex,
   createWalletClient,
   custom,
+  decodeFunctionData,
+  encodeFunctionData,
+  encodePacked,
   isAddress,
+  parseAbi,
   parseUnits,
+  publicActions,
+  size,
+  toFunctionSignature,
   toHex
 } from 'viem';
 import { API_BASE_URL, prividium, USER_PANEL_URL } from './prividium';
@@ -24,14 +32,37 @@ async function api(path, options = {}) {
     ...(options.headers || {})
   };
   const res = await fetch(`${API_BASE_URL}${path}`, { ...options, headers });
-  if (!res.ok) throw new Error((await res.json()).error || 'Request failed');
+  if (!res.ok) {
+    const body = await res.json();
+    const err = new Error(body.error || 'Request failed');
+    err.details = body.details;
+    throw err;
+  }
   return res.json();
 }
 
 const walletClient = typeof window !== 'undefined' && window.ethereum
-  ? createWalletClient({ transport: custom(window.ethereum) })
+  ? createWalletClient({ transport: custom(window.ethereum) }).extend(publicActions)
   : null;
 
+const downloadJson = (filename, value) => {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(value, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Accepts the bare hex printed by `cast wallet sign` or a JSON file with a signature field.
+const parseSignatureFile = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('{')) return { signature: trimmed };
+  const parsed = JSON.parse(trimmed);
+  if (!parsed.signature) throw new Error('Signature file has no signature field');
+  return { signature: parsed.signature, signatureType: parsed.signatureType };
+};
+
 const shorten = (value = '', left = 6, right = 4) => (value.length > 14 ? `${value.slice(0, left)}…${value.slice(-right)}` : value);
 
 const formatTokenAmount = (raw, decimals, max = 6) => {
@@ -84,6 +115,24 @@ const getProposalStatus = (proposal, myAddress) => {
   if (proposal.nonceStatus === 'rejected') {
     return { key: 'rejected', label: 'Rejected', tone: 'danger', tooltip: 'Another proposal with the same nonce was executed.' };
   }
+  if (proposal.nonceStatus === 'cancelled') {
+    return { key: 'cancelled', label: 'Cancelled', tone: 'danger', tooltip: 'An on-chain rejection was executed at this nonce.' };
+  }
+  if (proposal.nonceStatus === 'expired') {
+    return { key: 'expired', label: 'Expired', tone: 'default', tooltip: `Expired ${new Date(proposal.expiresAt).toLocaleString()}.` };
+  }
+  if (proposal.nonceStatus === 'replaced') {
+    return { key: 'replaced', label: 'Replaced', tone: 'default', tooltip: 'A newer proposal replaced this one at the same nonce.' };
+  }
+  if (proposal.execution?.status === 'submitting') {
+    return { key: 'submitted', label: 'Submitting', tone: 'info', tooltip: 'The execution is being broadcast.' };
+  }
+  if (proposal.execution?.status === 'submitted') {
+    return { key: 'submitted', label: 'Submitted', tone: 'info', tooltip: 'Waiting for the execution receipt.' };
+  }
+  if (proposal.executedTxHash && proposal.execution?.status === 'mined_failure') {
+    return { key: 'failed', label: 'Execution failed', tone: 'danger', tooltip: 'The Safe emitted ExecutionFailure: the nonce was used but the call did not succeed.' };
+  }
   if (proposal.withdrawal?.status === 'finalized_l1') {
     return { key: 'executedL1', label: 'Executed L1', tone: 'success' };
   }
@@ -94,6 +143,9 @@ const getProposalStatus = (proposal, myAddress) => {
     return { key: 'executed', label: 'Executed', tone: 'default' };
   }
 
+  if (proposal.notBefore && new Date(proposal.notBefore) > new Date()) {
+    return { key: 'timelocked', label: 'Time-locked', tone: 'info', tooltip: `Executable after ${new Date(proposal.notBefore).toLocaleString()}.` };
+  }
   if (confirmationsCount >= required) {
     return { key: 'ready', label: 'Ready to execute', tone: 'success' };
   }
@@ -116,8 +168,27 @@ const statusFilters = [
   { key: 'needsSig', label: 'Needs your signature' },
   { key: 'waitingBatch', label: 'Waiting for L1' },
   { key: 'ready', label: 'Ready to execute' },
+  { key: 'submitted', label: 'Submitted' },
   { key: 'executedL1', label: 'Executed' },
-  { key: 'rejected', label: 'Rejected' }
+  { key: 'failed', label: 'Execution failed' },
+  { key: 'rejected', label: 'Rejected' },
+  { key: 'cancelled', label: 'Cancelled' },
+  { key: 'timelocked', label: 'Time-locked' },
+  { key: 'expired', label: 'Expired' },
+  { key: 'replaced', label: 'Replaced' }
+];
+
+const OWNER_HISTORY_LABELS = {
+  added_owner: 'Owner added',
+  removed_owner: 'Owner removed',
+  changed_threshold: 'Threshold changed'
+};
+
+const OWNER_CHANGE_ACTIONS = [
+  { key: 'add', label: 'Add owner' },
+  { key: 'remove', label: 'Remove owner' },
+  { key: 'swap', label: 'Replace owner' },
+  { key: 'threshold', label: 'Change threshold' }
 ];
 
 const getCreateErrors = (owners, threshold) => {
@@ -182,6 +253,289 @@ function Skeleton({ lines = 3 }) {
   return <div className="skeleton" style={{ '--lines': lines }} />;
 }
 
+const describeSubCall = (call, labelFor) => {
+  const nativeSymbol = prividium.chain.nativeCurrency.symbol;
+  switch (call.type) {
+    case 'native-transfer': return `Transfer ${call.amount} ${nativeSymbol} to ${labelFor(call.recipient)}`;
+    case 'erc20-transfer': return `Transfer ${call.amount} ${call.tokenSymbol} to ${labelFor(call.recipient)}`;
+    case 'erc20-approval': return `Approve ${labelFor(call.spender)} to spend ${call.amount} ${call.tokenSymbol}`;
+    case 'l2-to-l1-withdrawal': return `Withdraw ${call.amount} ${nativeSymbol} to L1 ${labelFor(call.recipient)}`;
+    case 'l2-to-l1-withdrawal-erc20': return call.tokenSymbol
+      ? `Withdraw ${call.amount} ${call.tokenSymbol} to L1 ${labelFor(call.recipient)}`
+      : `Withdraw ${call.amountBaseUnits} base units of asset ${shorten(call.assetId)} to L1 ${labelFor(call.recipient)}`;
+    case 'add-owner': return `Add owner ${labelFor(call.owner)} (threshold ${call.threshold})`;
+    case 'remove-owner': return `Remove owner ${labelFor(call.owner)} (threshold ${call.threshold})`;
+    case 'swap-owner': return `Replace owner ${labelFor(call.oldOwner)} with ${labelFor(call.newOwner)}`;
+    case 'change-threshold': return `Change threshold to ${call.threshold}`;
+    case 'multisend': return `Nested batch of ${call.subCalls.length} calls`;
+    default: return `Call ${call.decoded ? `${call.decoded.contract}.${call.decoded.functionName}` : call.selector} on ${labelFor(call.to)}${call.value !== '0' ? ` with ${call.value} wei` : ''}`;
+  }
+};
+
+const SIGNATURE_TYPE_LABELS = {
+  eip712: 'typed data',
+  eth_sign: 'eth_sign',
+  approved_hash: 'approved on chain',
+  contract: 'contract signature'
+};
+
+function formatDecodedValue(value) {
+  return typeof value === 'object' && value !== null
+    ? JSON.stringify(value, (_key, item) => (typeof item === 'bigint' ? item.toString() : item))
+    : String(value);
+}
+
+function DecodedCall({ decoded, labelFor }) {
+  return (
+    <div className="decoded-call">
+      <p><strong>{decoded.contract}.{decoded.functionName}</strong> {decoded.source !== 'builder' && <span className="muted">{decoded.source === 'registry' ? 'from the Safe ABI registry' : 'built-in ABI'}</span>}</p>
+      <ul>
+        {decoded.args.map((arg) => (
+          <li key={arg.name}>
+            <span className="muted">{arg.name} ({arg.type}):</span>{' '}
+            <span className="hash-full">{arg.type === 'address' ? `${arg.value}${labelFor(arg.value) !== shorten(arg.value) ? ` (${labelFor(arg.value)})` : ''}` : formatDecodedValue(arg.value)}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+const MULTISEND_ABI = parseAbi(['function multiSend(bytes transactions) payable']);
+const ARRAY_TYPE = /^(.*)\[(\d*)\]$/;
+const INT_TYPE = /^u?int\d*$/;
+
+const encodeMultiSend = (calls) => encodeFunctionData({
+  abi: MULTISEND_ABI,
+  functionName: 'multiSend',
+  args: [concatHex(calls.map((call) => encodePacked(
+    ['uint8', 'address', 'uint256', 'uint256', 'bytes'],
+    [call.operation, call.to.toLowerCase(), BigInt(call.value), BigInt(size(call.data)), call.data]
+  )))]
+});
+
+const parseAbiText = (text) => {
+  const parsed = JSON.parse(text);
+  const abi = Array.isArray(parsed) ? parsed : parsed?.abi;
+  if (!Array.isArray(abi)) throw new Error('Paste an ABI array or an artifact with an "abi" field');
+  return abi;
+};
+
+const emptyAbiValue = (param) => {
+  const array = param.type.match(ARRAY_TYPE);
+  if (array) return array[2] ? Array.from({ length: Number(array[2]) }, () => emptyAbiValue({ ...param, type: array[1] })) : [];
+  if (param.type === 'tuple') return param.components.map(emptyAbiValue);
+  if (param.type === 'bool') return false;
+  if (INT_TYPE.test(param.type)) return { amount: '', decimals: '0' };
+  return '';
+};
+
+// Turns form values into encodeFunctionData args; uint inputs are entered in units with a decimals shift.
+const toAbiArg = (param, value) => {
+  const name = param.name || param.type;
+  const array = param.type.match(ARRAY_TYPE);
+  if (array) return value.map((item) => toAbiArg({ ...param, type: array[1] }, item));
+  if (param.type === 'tuple') return param.components.map((component, index) => toAbiArg(component, value[index]));
+  if (param.type === 'bool') return value;
+  if (INT_TYPE.test(param.type)) {
+    if (!value.amount.trim()) throw new Error(`${name} is required`);
+    return parseUnits(value.amount.trim(), Number(value.decimals || 0));
+  }
+  if (param.type === 'address' && !isAddress(value)) throw new Error(`${name} must be a valid address`);
+  if (param.type.startsWith('bytes') && !/^0x([0-9a-fA-F]{2})*$/.test(value)) throw new Error(`${name} must be hex`);
+  return value;
+};
+
+function AbiInput({ param, value, onChange }) {
+  const label = `${param.name || 'value'} (${param.type})`;
+  const array = param.type.match(ARRAY_TYPE);
+  if (array) {
+    const itemParam = { ...param, type: array[1] };
+    return (
+      <fieldset className="abi-fieldset">
+        <legend>{label}</legend>
+        {value.map((item, index) => (
+          <div key={index} className="inline">
+            <AbiInput param={{ ...itemParam, name: `#${index}` }} value={item} onChange={(next) => onChange(value.map((current, i) => (i === index ? next : current)))} />
+            {!array[2] && <button type="button" className="icon-btn" onClick={() => onChange(value.filter((_, i) => i !== index))}>Remove</button>}
+          </div>
+        ))}
+        {!array[2] && <button type="button" className="icon-btn" onClick={() => onChange([...value, emptyAbiValue(itemParam)])}>Add item</button>}
+      </fieldset>
+    );
+  }
+  if (param.type === 'tuple') {
+    return (
+      <fieldset className="abi-fieldset">
+        <legend>{label}</legend>
+        {param.components.map((component, index) => (
+          <AbiInput key={component.name || index} param={component} value={value[index]} onChange={(next) => onChange(value.map((current, i) => (i === index ? next : current)))} />
+        ))}
+      </fieldset>
+    );
+  }
+  if (param.type === 'bool') {
+    return <label className="inline"><input type="checkbox" checked={value} onChange={(e) => onChange(e.target.checked)} /> {label}</label>;
+  }
+  if (INT_TYPE.test(param.type)) {
+    return (
+      <div className="stack">
+        <label>{label}</label>
+        <div className="inline">
+          <input value={value.amount} onChange={(e) => onChange({ ...value, amount: e.target.value })} placeholder="Amount" />
+          <input className="decimals-input" type="number" min="0" max="77" value={value.decimals} onChange={(e) => onChange({ ...value, decimals: e.target.value })} title="Decimals: the amount is multiplied by 10^decimals" />
+        </div>
+      </div>
+    );
+  }
+  return (
+    <div className="stack">
+      <label>{label}</label>
+      <input value={value} list={param.type === 'address' ? 'builder-address-options' : undefined} onChange={(e) => onChange(e.target.value)} placeholder={param.type === 'address' ? '0x... or pick from the address book' : param.type.startsWith('bytes') ? '0x' : ''} />
+    </div>
+  );
+}
+
+function CallBuilder({ abiChoices, loadAbi, addressBook, onAdd }) {
+  const [target, setTarget] = useState('');
+  const [abiSource, setAbiSource] = useState('paste');
+  const [abiText, setAbiText] = useState('');
+  const [abi, setAbi] = useState([]);
+  const [contractName, setContractName] = useState('');
+  const [functionKey, setFunctionKey] = useState('');
+  const [args, setArgs] = useState([]);
+  const [callValue, setCallValue] = useState('');
+  const [abiError, setAbiError] = useState('');
+
+  const functions = abi.filter((item) => item.type === 'function' && !['view', 'pure'].includes(item.stateMutability) && !item.constant);
+  const fn = functions.find((item) => toFunctionSignature(item) === functionKey) || null;
+
+  const useAbi = (nextAbi, name) => {
+    setAbi(nextAbi);
+    setContractName(name);
+    setFunctionKey('');
+    setArgs([]);
+  };
+
+  const chooseSource = async (key) => {
+    setAbiSource(key);
+    setAbiError('');
+    if (key === 'paste') {
+      useAbi([], '');
+      return;
+    }
+    const choice = abiChoices.find((entry) => entry.key === key);
+    if (choice.address) setTarget(choice.address);
+    try {
+      useAbi(choice.abi || await loadAbi(choice.address), choice.name);
+    } catch (e) {
+      setAbiError(e.message);
+    }
+  };
+
+  const onAbiText = (text) => {
+    setAbiText(text);
+    setAbiError('');
+    if (!text.trim()) return useAbi([], '');
+    try {
+      useAbi(parseAbiText(text), 'Contract');
+    } catch (e) {
+      setAbiError(e.message);
+    }
+  };
+
+  const chooseFunction = (key) => {
+    const next = functions.find((item) => toFunctionSignature(item) === key);
+    setFunctionKey(key);
+    setArgs(next ? next.inputs.map(emptyAbiValue) : []);
+    setCallValue('');
+  };
+
+  let encoded = null;
+  let preview = [];
+  let encodeError = '';
+  if (fn) {
+    try {
+      if (!isAddress(target)) throw new Error('Target must be a valid address');
+      encoded = encodeFunctionData({ abi: [fn], functionName: fn.name, args: fn.inputs.map((param, index) => toAbiArg(param, args[index])) });
+      const decoded = decodeFunctionData({ abi: [fn], data: encoded });
+      preview = fn.inputs.map((param, index) => ({ name: param.name || `arg${index}`, type: param.type, value: formatDecodedValue(decoded.args?.[index]) }));
+    } catch (e) {
+      encodeError = e.shortMessage || e.message;
+    }
+  }
+
+  const addCall = () => {
+    const value = fn.stateMutability === 'payable' && callValue ? parseUnits(callValue, prividium.chain.nativeCurrency.decimals) : 0n;
+    onAdd({ to: target, value: value.toString(), data: encoded, operation: 0, label: `${contractName}.${fn.name}`, preview });
+    setArgs(fn.inputs.map(emptyAbiValue));
+    setCallValue('');
+  };
+
+  return (
+    <div className="stack">
+      <datalist id="builder-address-options">
+        {addressBook.map((entry) => <option key={entry.id} value={entry.address}>{entry.label}</option>)}
+      </datalist>
+      <label>ABI</label>
+      <select value={abiSource} onChange={(e) => chooseSource(e.target.value)}>
+        <option value="paste">Paste an ABI</option>
+        {abiChoices.map((choice) => <option key={choice.key} value={choice.key}>{choice.label}</option>)}
+      </select>
+      {abiSource === 'paste' && <textarea rows={4} value={abiText} onChange={(e) => onAbiText(e.target.value)} placeholder='[{"type":"function","name":"deposit",...}]' />}
+      {abiError && <p className="error">{abiError}</p>}
+      <label>Target contract</label>
+      <input value={target} list="builder-address-options" onChange={(e) => setTarget(e.target.value)} placeholder="0x..." />
+      {functions.length > 0 && (
+        <>
+          <label>Function</label>
+          <select value={functionKey} onChange={(e) => chooseFunction(e.target.value)}>
+            <option value="">Choose function</option>
+            {functions.map((item) => {
+              const signature = toFunctionSignature(item);
+              return <option key={signature} value={signature}>{signature}</option>;
+            })}
+          </select>
+        </>
+      )}
+      {fn && fn.inputs.map((param, index) => (
+        <AbiInput key={`${functionKey}-${index}`} param={param} value={args[index]} onChange={(next) => setArgs((current) => current.map((item, i) => (i === index ? next : item)))} />
+      ))}
+      {fn?.stateMutability === 'payable' && (
+        <>
+          <label>Value ({prividium.chain.nativeCurrency.symbol})</label>
+          <input value={callValue} onChange={(e) => setCallValue(e.target.value)} placeholder="0" />
+        </>
+      )}
+      {fn && (encodeError
+        ? <p className="warning-inline">{encodeError}</p>
+        : (
+          <div className="summary-box">
+            <strong>Decoded preview</strong>
+            <DecodedCall decoded={{ contract: contractName, functionName: fn.name, source: 'builder', args: preview }} labelFor={(address) => addressBook.find((entry) => entry.address.toLowerCase() === String(address).toLowerCase())?.label || shorten(address)} />
+            <p className="muted hash-full">{shorten(encoded, 10, 8)}</p>
+          </div>
+        ))}
+      <Button variant="secondary" disabled={!encoded} onClick={addCall}>Add call to batch</Button>
+    </div>
+  );
+}
+
+function SubCallList({ calls, labelFor }) {
+  return (
+    <ol className="subcall-list">
+      {calls.map((call, index) => (
+        <li key={index}>
+          {describeSubCall(call, labelFor)}
+          {call.operation === 1 && call.type !== 'multisend' && <Badge tone="warning">delegatecall</Badge>}
+          {call.decoded && <DecodedCall decoded={call.decoded} labelFor={labelFor} />}
+          {call.subCalls && <SubCallList calls={call.subCalls} labelFor={labelFor} />}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
 export default function App() {
   const [route, setRoute] = useState(getRoute());
   const [mainTab, setMainTab] = useState('safes');
@@ -195,10 +549,12 @@ export default function App() {
   const [loadingProposals, setLoadingProposals] = useState(false);
   const [safeDetail, setSafeDetail] = useState(null);
   const [proposals, setProposals] = useState([]);
+  const [simulations, setSimulations] = useState({});
   const [tokens, setTokens] = useState([]);
   const [balances, setBalances] = useState(null);
   const [loadingBalances, setLoadingBalances] = useState(false);
   const [addressBook, setAddressBook] = useState([]);
+  const [ownerHistory, setOwnerHistory] = useState([]);
   const [loadingAddressBook, setLoadingAddressBook] = useState(false);
   const [addressBookLabel, setAddressBookLabel] = useState('');
   const [addressBookAddress, setAddressBookAddress] = useState('');
@@ -209,6 +565,9 @@ export default function App() {
   const [owners, setOwners] = useState(['']);
   const [threshold, setThreshold] = useState(1);
   const [createErrors, setCreateErrors] = useState({});
+  const [saltNonce, setSaltNonce] = useState(() => String(Date.now()));
+  const [counterfactual, setCounterfactual] = useState(false);
+  const [predictedSafe, setPredictedSafe] = useState(null);
 
   const [proposalModalOpen, setProposalModalOpen] = useState(false);
   const [proposalMode, setProposalMode] = useState('erc20');
@@ -226,8 +585,37 @@ export default function App() {
   const [customTo, setCustomTo] = useState('');
   const [customValue, setCustomValue] = useState('0');
   const [customData, setCustomData] = useState('0x');
+  const [builderMode, setBuilderMode] = useState('builder');
+  const [builderCalls, setBuilderCalls] = useState([]);
   const [customOperation, setCustomOperation] = useState('0');
   const [proposalError, setProposalError] = useState('');
+  const [proposalNonce, setProposalNonce] = useState('');
+  const [replaceAtNonce, setReplaceAtNonce] = useState(false);
+  const [proposalNotBefore, setProposalNotBefore] = useState('');
+  const [proposalExpiresAt, setProposalExpiresAt] = useState('');
+  const [scheduledExecute, setScheduledExecute] = useState(false);
+  const [contractAbis, setContractAbis] = useState([]);
+  const [builtinAbis, setBuiltinAbis] = useState([]);
+  const [abiAddress, setAbiAddress] = useState('');
+  const [abiName, setAbiName] = useState('');
+  const [abiJson, setAbiJson] = useState('');
+  const [signReview, setSignReview] = useState(null);
+  const [nestedApproval, setNestedApproval] = useState(null);
+  const [signatureImport, setSignatureImport] = useState(null);
+  const [safeMessages, setSafeMessages] = useState([]);
+  const [messageType, setMessageType] = useState('eip191');
+  const [messageInput, setMessageInput] = useState('');
+  const [messageDescription, setMessageDescription] = useState('');
+  const [messageVerifications, setMessageVerifications] = useState({});
+  const [batchModalOpen, setBatchModalOpen] = useState(false);
+  const [batchCsv, setBatchCsv] = useState('');
+  const [batchPreview, setBatchPreview] = useState(null);
+  const [batchRowErrors, setBatchRowErrors] = useState([]);
+  const [batchError, setBatchError] = useState('');
+  const [ownerChangeAction, setOwnerChangeAction] = useState('add');
+  const [ownerChangeOwner, setOwnerChangeOwner] = useState('');
+  const [ownerChangeNewOwner, setOwnerChangeNewOwner] = useState('');
+  const [ownerChangeThreshold, setOwnerChangeThreshold] = useState(1);
   const [walletAddress, setWalletAddress] = useState(null);
   const [walletChainId, setWalletChainId] = useState(null);
 
@@ -237,6 +625,7 @@ export default function App() {
   const isConnected = Boolean(walletAddress || me?.address);
   const isWrongNetwork = isConnected && hasWallet && walletChainId !== null && Number(walletChainId) !== Number(requiredChainId);
   const networkBlockedMessage = 'Switch to the Prividium network to continue.';
+  const directOwnersOnlyMessage = 'Only direct owners of this Safe can make changes. Approve proposals through your owner Safe.';
   const myAddress = me?.address?.toLowerCase();
   const l2Explorer = import.meta.env.VITE_EXPLORER_URL;
   const l1Explorer = import.meta.env.VITE_L1_EXPLORER_URL || '';
@@ -287,6 +676,17 @@ export default function App() {
     }
   };
 
+  const loadSafeMessages = async (safeAddress) => {
+    const data = await api(`/v1/safes/${safeAddress}/messages`);
+    setSafeMessages(data.results || []);
+  };
+
+  const loadContractAbis = async (safeAddress) => {
+    const data = await api(`/v1/safes/${safeAddress}/abis`);
+    setContractAbis(data.abis || []);
+    setBuiltinAbis(data.builtin || []);
+  };
+
   const loadSafeData = async (safeAddress) => {
     if (!safeAddress) return;
     setLoadingSafe(true);
@@ -294,16 +694,18 @@ export default function App() {
     setLoadingBalances(true);
     setLoadingAddressBook(true);
     try {
-      const [safe, txs, balanceData, addressBookData] = await Promise.all([
+      const [safe, txs, balanceData, addressBookData, ownerHistoryData] = await Promise.all([
         api(`/v1/safes/${safeAddress}`),
         api(`/v1/safes/${safeAddress}/transactions`),
         api(`/v1/safes/${safeAddress}/balances`),
-        api(`/v1/safes/${safeAddress}/address-book`)
+        api(`/v1/safes/${safeAddress}/address-book`),
+        api(`/v1/safes/${safeAddress}/owners/history`)
       ]);
       setSafeDetail(safe.safe);
       setProposals(txs.results || []);
       setBalances(balanceData);
       setAddressBook(addressBookData.entries || []);
+      setOwnerHistory(ownerHistoryData.results || []);
     } finally {
       setLoadingSafe(false);
       setLoadingProposals(false);
@@ -375,9 +777,38 @@ export default function App() {
       setProposals([]);
       setBalances(null);
       setAddressBook([]);
+      setOwnerHistory([]);
     }
   }, [route.page, route.safeAddress]);
 
+  useEffect(() => {
+    if (safeTab === 'settings' && route.page === 'safe' && route.safeAddress) {
+      loadContractAbis(route.safeAddress).catch((e) => addToast(e.message, 'error'));
+    }
+  }, [safeTab, route.page, route.safeAddress]);
+
+  useEffect(() => {
+    if (safeTab === 'messages' && route.page === 'safe' && route.safeAddress) {
+      loadSafeMessages(route.safeAddress).catch((e) => addToast(e.message, 'error'));
+    }
+  }, [safeTab, route.page, route.safeAddress]);
+
+  useEffect(() => {
+    if (proposalModalOpen && proposalMode === 'custom' && route.safeAddress) {
+      loadContractAbis(route.safeAddress).catch((e) => addToast(e.message, 'error'));
+    }
+  }, [proposalModalOpen, proposalMode, route.safeAddress]);
+
+  const builderAbiChoices = useMemo(() => [
+    ...contractAbis.map((entry) => ({ key: `registry:${entry.address}`, label: `${entry.name} (${shorten(entry.address)})`, name: entry.name, address: entry.address })),
+    ...builtinAbis.map((entry) => ({ key: `builtin:${entry.name}`, label: `${entry.name} (built-in)`, name: entry.name, address: entry.address, abi: entry.abi }))
+  ], [contractAbis, builtinAbis]);
+
+  const loadBuilderAbi = async (address) => {
+    const data = await api(`/v1/safes/${route.safeAddress}/abis/${address}`);
+    return data.abi;
+  };
+
   useEffect(() => {
     if (tokens.length && !selectedToken) {
       setSelectedToken(tokens[0].address);
@@ -400,6 +831,19 @@ export default function App() {
     setCreateErrors(getCreateErrors(owners, threshold).errors);
   }, [owners, threshold]);
 
+  useEffect(() => {
+    const { errors, trimmed } = getCreateErrors(owners, threshold);
+    if (mainTab !== 'create' || Object.keys(errors).length || !saltNonce) {
+      setPredictedSafe(null);
+      return undefined;
+    }
+    let cancelled = false;
+    api('/v1/safes/predict', { method: 'POST', body: JSON.stringify({ owners: trimmed, threshold: Number(threshold), saltNonce }) })
+      .then((prediction) => { if (!cancelled) setPredictedSafe(prediction); })
+      .catch(() => { if (!cancelled) setPredictedSafe(null); });
+    return () => { cancelled = true; };
+  }, [mainTab, owners, threshold, saltNonce]);
+
   const login = async () => {
     await prividium.authorize({ scopes: ['wallet:required', 'network:required'] });
     await prividium.addNetworkToWallet();
@@ -459,10 +903,11 @@ export default function App() {
   const createSafe = async () => {
     const result = validateCreate();
     if (!result.valid) return;
-    const payload = { owners: result.owners, threshold: Number(threshold) };
+    const payload = { owners: result.owners, threshold: Number(threshold), saltNonce, counterfactual };
     const created = await api('/v1/safes', { method: 'POST', body: JSON.stringify(payload) });
     await refresh();
-    addToast('Safe created');
+    addToast(created.safe?.deployed === false ? 'Safe address reserved (deploys on first execution)' : 'Safe created');
+    setSaltNonce(String(Date.now()));
     const safeAddress = created.safeAddress || created.safe_address || created.safe?.safeAddress;
     if (safeAddress) {
       navigate(`/safes/${safeAddress}`);
@@ -482,6 +927,12 @@ export default function App() {
     navigate(`/safes/${registerInput}`);
   };
 
+  const importSafe = async (safeAddress) => {
+    await api(`/v1/safes/${safeAddress}/register`, { method: 'POST' });
+    addToast('Safe imported');
+    await refresh();
+  };
+
   const selectedTokenConfig = tokens.find((token) => token.address === selectedToken);
   const withdrawableTokens = tokens.filter((token) => token.withdrawToL1);
   const selectedWithdrawToken = withdrawableTokens.find((token) => token.address === withdrawTokenAddress);
@@ -503,9 +954,14 @@ export default function App() {
       if (!selectedWithdrawToken || !withdrawRecipient || !withdrawAmount) return 'Fill in token, L1 recipient, and amount.';
       return `Withdraw ${withdrawAmount} ${selectedWithdrawToken.symbol} to L1 recipient ${withdrawRecipient}`;
     }
+    if (builderMode === 'builder') {
+      if (!builderCalls.length) return 'Build a call and add it to the batch.';
+      if (builderCalls.length === 1) return `Call ${builderCalls[0].label} on ${builderCalls[0].to}`;
+      return `MultiSend batch of ${builderCalls.length} calls: ${builderCalls.map((call) => call.label).join(', ')}`;
+    }
     if (!customTo) return 'Fill in target address and optional calldata.';
     return `Call ${customTo} (${customData || '0x'})`;
-  }, [proposalMode, selectedTokenConfig, selectedWithdrawToken, recipient, amount, nativeRecipient, nativeAmount, withdrawRecipient, withdrawAmount, customTo, customData]);
+  }, [proposalMode, selectedTokenConfig, selectedWithdrawToken, recipient, amount, nativeRecipient, nativeAmount, withdrawRecipient, withdrawAmount, customTo, customData, builderMode, builderCalls]);
 
   const buildProposalTx = () => {
     if (proposalMode === 'erc20') {
@@ -583,6 +1039,22 @@ export default function App() {
       };
     }
 
+    if (builderMode === 'builder') {
+      if (!builderCalls.length) throw new Error('Add at least one call to the batch');
+      if (builderCalls.length === 1) {
+        const [call] = builderCalls;
+        return { mode: 'direct', advanced: true, tx: { to: call.to, value: call.value, data: call.data, operation: 0 } };
+      }
+      // Several calls go out as one MultiSend delegatecall, which the server only accepts with ALLOW_DELEGATECALL.
+      if (!runtimeConfig.multisendAddress) throw new Error('MultiSend address is not configured on the server');
+      if (!runtimeConfig.allowDelegatecall) throw new Error('Batching several calls needs delegatecall, which is disabled by server');
+      return {
+        mode: 'direct',
+        advanced: true,
+        tx: { to: runtimeConfig.multisendAddress, value: '0', data: encodeMultiSend(builderCalls), operation: 1 }
+      };
+    }
+
     if (!isAddress(customTo)) throw new Error('Target must be a valid address');
     if (!/^0x([0-9a-fA-F]{2})*$/.test(customData || '')) throw new Error('Calldata must be valid hex');
     return {
@@ -622,9 +1094,17 @@ export default function App() {
       });
     } else {
       if (proposalMode === 'custom' && !runtimeConfig.allowAdvancedCalldata) throw new Error('Advanced calldata is disabled by server');
+      if (proposalNonce && !/^\d+$/.test(proposalNonce)) throw new Error('Nonce must be a whole number');
       await api(`/v1/safes/${route.safeAddress}/transactions`, {
         method: 'POST',
-        body: JSON.stringify({ tx })
+        body: JSON.stringify({
+          tx: {
+            ...tx,
+            ...(proposalNonce ? { nonce: proposalNonce, replace: replaceAtNonce } : {}),
+            ...(proposalNotBefore ? { notBefore: new Date(proposalNotBefore).toISOString(), scheduledExecute } : {}),
+            ...(proposalExpiresAt ? { expiresAt: new Date(proposalExpiresAt).toISOString() } : {})
+          }
+        })
       });
     }
     addToast('Proposal created');
@@ -637,14 +1117,63 @@ export default function App() {
     setWithdrawAmount('');
     setWithdrawRecipient('');
     setWithdrawTokenAddress('');
+    setProposalNonce('');
+    setReplaceAtNonce(false);
+    setProposalNotBefore('');
+    setProposalExpiresAt('');
+    setScheduledExecute(false);
+    setBuilderCalls([]);
+    const txs = await api(`/v1/safes/${route.safeAddress}/transactions`);
+    setProposals(txs.results || []);
+  };
+
+  const submitBatch = async ({ dryRun }) => {
+    setBatchError('');
+    setBatchRowErrors([]);
+    if (!dryRun) setBatchPreview(null);
+    try {
+      const result = await api(`/v1/safes/${route.safeAddress}/batch-transfers`, {
+        method: 'POST',
+        body: JSON.stringify({ csv: batchCsv, dryRun })
+      });
+      if (dryRun) {
+        setBatchPreview(result.summary);
+        return;
+      }
+    } catch (e) {
+      setBatchPreview(null);
+      setBatchRowErrors(e.details?.rows || []);
+      setBatchError(e.message);
+      return;
+    }
+    addToast('Batch proposal created');
+    setBatchModalOpen(false);
+    setBatchCsv('');
     const txs = await api(`/v1/safes/${route.safeAddress}/transactions`);
     setProposals(txs.results || []);
   };
 
-  const confirm = async (proposal) => {
+  const loadBatchFile = async (file) => {
+    if (!file) return;
+    setBatchCsv(await file.text());
+    setBatchPreview(null);
+    setBatchRowErrors([]);
+    setBatchError('');
+  };
+
+  const reviewSignature = async (proposal) => {
+    const typedData = await api(`/v1/transactions/${proposal.safeTxHash}/typed-data`);
+    setSignReview({ proposal, typedData, method: 'eip712' });
+  };
+
+  const signSafeTx = async (proposal, typedData, method) => {
+    // Owners who called approveHash on the Safe only need the service to check the approval.
+    if (method === 'approved_hash') return undefined;
     if (!walletClient) throw new Error('No injected wallet found');
     const [address] = await walletClient.getAddresses();
-    const typedData = await api(`/v1/transactions/${proposal.safeTxHash}/typed-data`);
+    if (method === 'eth_sign') {
+      return walletClient.signMessage({ account: address, message: { raw: proposal.safeTxHash } });
+    }
     const typedMessage = {
       ...typedData.message,
       value: BigInt(typedData.message.value),
@@ -653,32 +1182,216 @@ export default function App() {
       gasPrice: BigInt(typedData.message.gasPrice),
       nonce: BigInt(typedData.message.nonce)
     };
-
-    const signature = await walletClient.signTypedData({
+    return walletClient.signTypedData({
       account: address,
       domain: typedData.domain,
       types: typedData.types,
       primaryType: typedData.primaryType,
       message: typedMessage
     });
+  };
 
+  const confirm = async (proposal, typedData, method = 'eip712') => {
+    const signature = await signSafeTx(proposal, typedData, method);
     await api(`/v1/transactions/${proposal.safeTxHash}/confirmations`, {
       method: 'POST',
-      body: JSON.stringify({ signature })
+      body: JSON.stringify({ signature, signatureType: method })
     });
+    setSignReview(null);
     addToast('Signed');
     const txs = await api(`/v1/safes/${route.safeAddress}/transactions`);
     setProposals(txs.results || []);
   };
 
-  const execute = async (proposal) => {
-    await api(`/v1/transactions/${proposal.safeTxHash}/execute`, { method: 'POST' });
-    addToast('Executed');
+  const downloadSigningBundle = async (proposal) => {
+    const bundle = await api(`/v1/transactions/${proposal.safeTxHash}/typed-data?format=bundle`);
+    downloadJson(`safe-tx-${proposal.safeTxHash.slice(0, 10)}.json`, bundle);
+    addToast('Signing bundle downloaded');
+  };
+
+  const loadSignatureFile = async (file) => {
+    if (!file) return;
+    const text = await file.text();
+    const parsed = parseSignatureFile(text);
+    setSignatureImport((current) => ({ ...current, text: parsed.signature, signatureType: parsed.signatureType || current.signatureType }));
+  };
+
+  const importSignature = async ({ proposal, text, signatureType }) => {
+    const { signature } = parseSignatureFile(text);
+    const updated = await api(`/v1/transactions/${proposal.safeTxHash}/confirmations/import`, {
+      method: 'POST',
+      body: JSON.stringify({ signature, signatureType })
+    });
+    setSignatureImport(null);
+    const imported = updated.confirmations?.find((sig) => sig.signature === signature.toLowerCase());
+    addToast(imported ? `Signature from ${addressBookByAddress.get(imported.owner)?.label || shorten(imported.owner)} imported` : 'Signature imported');
+    const txs = await api(`/v1/safes/${route.safeAddress}/transactions`);
+    setProposals(txs.results || []);
+  };
+
+  const requestNestedApproval = async ({ proposal, childSafeAddress, method }) => {
+    const approval = await api(`/v1/transactions/${proposal.safeTxHash}/nested-approvals`, {
+      method: 'POST',
+      body: JSON.stringify({ childSafeAddress, method })
+    });
+    setNestedApproval(null);
+    addToast(approval.method === 'approve_hash'
+      ? `approveHash proposal queued on ${shorten(childSafeAddress)}`
+      : `SafeMessage created on ${shorten(childSafeAddress)}; its owners can sign it here`);
     const txs = await api(`/v1/safes/${route.safeAddress}/transactions`);
     setProposals(txs.results || []);
+  };
+
+  const signSafeMessage = async (safeMessageHash) => {
+    if (!walletClient) throw new Error('No injected wallet found');
+    const [address] = await walletClient.getAddresses();
+    const { typedData } = await api(`/v1/messages/${safeMessageHash}`);
+    const signature = await walletClient.signTypedData({
+      account: address,
+      domain: typedData.domain,
+      types: typedData.types,
+      primaryType: typedData.primaryType,
+      message: typedData.message
+    });
+    const result = await api(`/v1/messages/${safeMessageHash}/signatures`, {
+      method: 'POST',
+      body: JSON.stringify({ signature, signatureType: 'eip712' })
+    });
+    if (result.parentErrors?.length) {
+      addToast(`Message signed, but the parent did not accept it: ${result.parentErrors[0].error}`, 'error');
+    } else {
+      addToast(result.preparedSignature ? 'Message signed; the threshold is reached' : 'Message signed');
+    }
+    const [txs, messages] = await Promise.all([
+      api(`/v1/safes/${route.safeAddress}/transactions`),
+      api(`/v1/safes/${route.safeAddress}/messages`)
+    ]);
+    setProposals(txs.results || []);
+    setSafeMessages(messages.results || []);
+  };
+
+  const createSafeMessage = async () => {
+    let message = messageInput;
+    if (messageType === 'eip712') {
+      try {
+        message = JSON.parse(messageInput);
+      } catch (_error) {
+        throw new Error('Typed data must be valid JSON');
+      }
+    }
+    const created = await api(`/v1/safes/${route.safeAddress}/messages`, {
+      method: 'POST',
+      body: JSON.stringify({ type: messageType, message, description: messageDescription || undefined })
+    });
+    setMessageInput('');
+    setMessageDescription('');
+    await signSafeMessage(created.safeMessageHash);
+  };
+
+  const verifySafeMessage = async (safeMessageHash) => {
+    const result = await api(`/v1/messages/${safeMessageHash}/verify`, { method: 'POST', body: JSON.stringify({}) });
+    setMessageVerifications((current) => ({ ...current, [safeMessageHash]: result }));
+  };
+
+  const simulate = async (proposal) => {
+    const result = await api(`/v1/transactions/${proposal.safeTxHash}/simulate`, { method: 'POST' });
+    setSimulations((current) => ({ ...current, [proposal.safeTxHash]: result }));
+    return result;
+  };
+
+  const execute = async (proposal, { force = false } = {}) => {
+    const result = await api(`/v1/transactions/${proposal.safeTxHash}/execute`, {
+      method: 'POST',
+      body: JSON.stringify({ force })
+    });
+    const executionToasts = {
+      mined_success: ['Executed'],
+      submitted: ['Submitted – waiting for the receipt'],
+      mined_failure: ['Execution failed on chain (ExecutionFailure)', 'error'],
+      reverted: ['Execution transaction reverted', 'error'],
+      dropped: ['Execution transaction was dropped', 'error']
+    };
+    addToast(...(executionToasts[result.execution?.status] || ['Executed']));
+    const [txs, safe] = await Promise.all([
+      api(`/v1/safes/${route.safeAddress}/transactions`),
+      api(`/v1/safes/${route.safeAddress}`)
+    ]);
+    setProposals(txs.results || []);
+    setSafeDetail(safe.safe);
     await loadAddressBook(route.safeAddress);
   };
 
+  const unsign = async (proposal) => {
+    await api(`/v1/transactions/${proposal.safeTxHash}/confirmations/me`, { method: 'DELETE' });
+    addToast('Signature revoked');
+    const txs = await api(`/v1/safes/${route.safeAddress}/transactions`);
+    setProposals(txs.results || []);
+  };
+
+  const deleteProposal = async (proposal) => {
+    if (!walletClient) throw new Error('No injected wallet found');
+    const [address] = await walletClient.getAddresses();
+    const typedData = await api(`/v1/transactions/${proposal.safeTxHash}/delete-typed-data`);
+    const signature = await walletClient.signTypedData({
+      account: address,
+      domain: typedData.domain,
+      types: typedData.types,
+      primaryType: typedData.primaryType,
+      message: { ...typedData.message, totp: BigInt(typedData.message.totp) }
+    });
+    await api(`/v1/transactions/${proposal.safeTxHash}`, {
+      method: 'DELETE',
+      body: JSON.stringify({ signature })
+    });
+    addToast('Proposal deleted');
+    const txs = await api(`/v1/safes/${route.safeAddress}/transactions`);
+    setProposals(txs.results || []);
+  };
+
+  const reject = async (proposal) => {
+    await api(`/v1/transactions/${proposal.safeTxHash}/rejection`, { method: 'POST' });
+    addToast('Rejection proposed – sign and execute it to cancel');
+    const txs = await api(`/v1/safes/${route.safeAddress}/transactions`);
+    setProposals(txs.results || []);
+  };
+
+  const executeWithWallet = async (proposal) => {
+    if (!walletClient) throw new Error('No injected wallet found');
+    const [address] = await walletClient.getAddresses();
+    const calldata = await api(`/v1/transactions/${proposal.safeTxHash}/execution-calldata`);
+    const txHash = await walletClient.sendTransaction({
+      account: address,
+      chain: prividium.chain,
+      to: calldata.to,
+      data: calldata.data,
+      value: BigInt(calldata.value)
+    });
+    addToast('Transaction sent – waiting for it to be mined');
+    // The service only checks the receipt for a short while, so report the execution once it is mined.
+    await walletClient.waitForTransactionReceipt({ hash: txHash });
+    await api(`/v1/transactions/${proposal.safeTxHash}/executed`, {
+      method: 'POST',
+      body: JSON.stringify({ txHash })
+    });
+    addToast('Executed from your wallet');
+    const [txs, safe] = await Promise.all([
+      api(`/v1/safes/${route.safeAddress}/transactions`),
+      api(`/v1/safes/${route.safeAddress}`)
+    ]);
+    setProposals(txs.results || []);
+    setSafeDetail(safe.safe);
+  };
+
+  const toggleAutoExecute = async (autoExecute) => {
+    await api(`/v1/safes/${route.safeAddress}/settings`, {
+      method: 'PUT',
+      body: JSON.stringify({ autoExecute })
+    });
+    addToast(autoExecute ? 'Auto-execute enabled' : 'Auto-execute disabled');
+    const safe = await api(`/v1/safes/${route.safeAddress}`);
+    setSafeDetail(safe.safe);
+  };
+
   const retryFinalize = async (proposalId) => {
     await api(`/v1/withdrawals/${proposalId}/retry`, { method: 'POST' });
     addToast('Retry queued');
@@ -721,6 +1434,88 @@ export default function App() {
     await loadAddressBook(route.safeAddress);
   };
 
+  const saveContractAbi = async () => {
+    if (!isAddress(abiAddress)) throw new Error('Contract address must be a valid 0x address');
+    if (!abiJson.trim()) throw new Error('Paste an ABI or verified-source JSON');
+    await api(`/v1/safes/${route.safeAddress}/abis`, {
+      method: 'POST',
+      body: JSON.stringify({ address: abiAddress, name: abiName || undefined, abi: abiJson })
+    });
+    addToast('ABI saved');
+    setAbiAddress('');
+    setAbiName('');
+    setAbiJson('');
+    await loadContractAbis(route.safeAddress);
+  };
+
+  const removeContractAbi = async (address) => {
+    await api(`/v1/safes/${route.safeAddress}/abis/${address}`, { method: 'DELETE' });
+    addToast('ABI removed');
+    await loadContractAbis(route.safeAddress);
+  };
+
+  const currentOwners = safeDetail?.owners || [];
+  const isDirectOwner = currentOwners.includes(me?.address?.toLowerCase());
+  // Safes the user directly owns that are themselves owners of the open Safe.
+  const ownerSafes = useMemo(
+    () => safes.filter((safe) => safe.imported !== false && !safe.owned_via && currentOwners.includes(safe.safe_address)),
+    [safes, safeDetail]
+  );
+  const ownerCountAfterChange = ownerChangeAction === 'add'
+    ? currentOwners.length + 1
+    : ownerChangeAction === 'remove'
+      ? Math.max(currentOwners.length - 1, 1)
+      : currentOwners.length;
+
+  useEffect(() => {
+    if (!safeDetail) return;
+    setOwnerChangeOwner('');
+    setOwnerChangeNewOwner('');
+    setOwnerChangeThreshold(Math.min(safeDetail.threshold, ownerCountAfterChange));
+  }, [safeDetail, ownerChangeAction]);
+
+  const ownerChangePreview = useMemo(() => {
+    if (ownerChangeAction === 'add') {
+      if (!ownerChangeOwner) return 'Enter the address of the new owner.';
+      return `Add ${ownerChangeOwner} as owner, ${ownerChangeThreshold} of ${ownerCountAfterChange} required`;
+    }
+    if (ownerChangeAction === 'remove') {
+      if (!ownerChangeOwner) return 'Choose the owner to remove.';
+      return `Remove ${ownerChangeOwner}, ${ownerChangeThreshold} of ${ownerCountAfterChange} required`;
+    }
+    if (ownerChangeAction === 'swap') {
+      if (!ownerChangeOwner || !ownerChangeNewOwner) return 'Choose the owner to replace and enter the new address.';
+      return `Replace ${ownerChangeOwner} with ${ownerChangeNewOwner}`;
+    }
+    return `Require ${ownerChangeThreshold} of ${ownerCountAfterChange} confirmations (currently ${safeDetail?.threshold ?? '—'})`;
+  }, [ownerChangeAction, ownerChangeOwner, ownerChangeNewOwner, ownerChangeThreshold, ownerCountAfterChange, safeDetail]);
+
+  const proposeOwnerChange = async () => {
+    if (['add', 'swap'].includes(ownerChangeAction)) {
+      const candidate = ownerChangeAction === 'add' ? ownerChangeOwner : ownerChangeNewOwner;
+      if (!isAddress(candidate)) throw new Error('New owner must be a valid address');
+      if (currentOwners.some((owner) => owner.toLowerCase() === candidate.toLowerCase())) throw new Error('Address is already an owner');
+    }
+    if (['remove', 'swap'].includes(ownerChangeAction) && !ownerChangeOwner) throw new Error('Choose an existing owner');
+
+    await api(`/v1/safes/${route.safeAddress}/owners`, {
+      method: 'POST',
+      body: JSON.stringify({
+        action: ownerChangeAction,
+        owner: ownerChangeAction === 'swap' ? undefined : ownerChangeOwner || undefined,
+        oldOwner: ownerChangeAction === 'swap' ? ownerChangeOwner : undefined,
+        newOwner: ownerChangeAction === 'swap' ? ownerChangeNewOwner : undefined,
+        threshold: ownerChangeAction === 'swap' ? undefined : Number(ownerChangeThreshold)
+      })
+    });
+    addToast('Owner change proposed');
+    setOwnerChangeOwner('');
+    setOwnerChangeNewOwner('');
+    const txs = await api(`/v1/safes/${route.safeAddress}/transactions`);
+    setProposals(txs.results || []);
+    setSafeTab('proposals');
+  };
+
   const openProposalWithToken = (tokenAddress) => {
     setProposalMode('erc20');
     setSelectedToken(tokenAddress);
@@ -742,6 +1537,37 @@ export default function App() {
     return statusMatch && typeMatch;
   });
 
+  const queuedGroups = useMemo(() => {
+    const groups = new Map();
+    filteredProposals
+      .filter((item) => !item.proposal.executedTxHash && !['rejected', 'cancelled', 'expired'].includes(item.status.key))
+      .sort((a, b) => Number(a.proposal.tx?.nonce || 0) - Number(b.proposal.tx?.nonce || 0))
+      .forEach((item) => {
+        const nonce = item.proposal.tx?.nonce || '0';
+        if (!groups.has(nonce)) groups.set(nonce, { nonce, items: [], activeCount: 0, hasRejection: false });
+        const group = groups.get(nonce);
+        group.items.push(item);
+        if (item.proposal.nonceStatus === 'active') group.activeCount += 1;
+        if (item.proposal.summary?.type === 'rejection') group.hasRejection = true;
+      });
+    return [...groups.values()];
+  }, [filteredProposals]);
+
+  const historyProposals = filteredProposals.filter((item) => item.proposal.executedTxHash || ['rejected', 'cancelled', 'expired'].includes(item.status.key));
+
+  const nonceGaps = useMemo(() => {
+    if (!safeDetail) return [];
+    const queued = new Set(proposals
+      .filter((proposal) => !proposal.executedTxHash && proposal.nonceStatus === 'active')
+      .map((proposal) => Number(proposal.tx?.nonce)));
+    if (!queued.size) return [];
+    const gaps = [];
+    for (let nonce = Number(safeDetail.nonce); nonce < Math.max(...queued); nonce += 1) {
+      if (!queued.has(nonce)) gaps.push(nonce);
+    }
+    return gaps;
+  }, [proposals, safeDetail]);
+
   const onCopy = async (value) => {
     await navigator.clipboard.writeText(value);
     addToast('Copied to clipboard');
@@ -754,7 +1580,7 @@ export default function App() {
       return `Transfer ${proposal.summary.amount} ${proposal.summary.tokenSymbol} to ${proposal.summary.recipient}`;
     }
     if (proposal.summary?.type === 'advanced') {
-      return 'Custom calldata';
+      return proposal.summary.label || 'Custom calldata';
     }
     if (proposal.summary?.type === 'l2-to-l1-withdrawal') {
       return `Withdraw ${proposal.summary.amount} ${prividium.chain.nativeCurrency.symbol} to L1 ${proposal.summary.recipient}`;
@@ -762,6 +1588,30 @@ export default function App() {
     if (proposal.summary?.type === 'l2-to-l1-withdrawal-erc20') {
       return `Withdraw ${proposal.summary.amount} ${proposal.summary.tokenSymbol} to L1 ${proposal.summary.recipient}`;
     }
+    if (proposal.summary?.type === 'add-owner') {
+      return `Add owner ${shorten(proposal.summary.owner)} (threshold ${proposal.summary.threshold})`;
+    }
+    if (proposal.summary?.type === 'remove-owner') {
+      return `Remove owner ${shorten(proposal.summary.owner)} (threshold ${proposal.summary.threshold})`;
+    }
+    if (proposal.summary?.type === 'swap-owner') {
+      return `Replace owner ${shorten(proposal.summary.oldOwner)} with ${shorten(proposal.summary.newOwner)}`;
+    }
+    if (proposal.summary?.type === 'change-threshold') {
+      return `Change threshold from ${proposal.summary.previousThreshold} to ${proposal.summary.threshold}`;
+    }
+    if (proposal.summary?.type === 'rejection') {
+      return `Reject all proposals at nonce #${proposal.summary.nonce}`;
+    }
+    if (proposal.summary?.type === 'nested-approval') {
+      return `Approve ${shorten(proposal.summary.parent.safeTxHash)} on parent Safe ${shorten(proposal.summary.parent.safeAddress)}`;
+    }
+    if (proposal.summary?.type === 'multisend') {
+      return `Batch of ${proposal.summary.subCalls.length} calls`;
+    }
+    if (proposal.summary?.type === 'batch-transfer') {
+      return `Batch transfer to ${proposal.summary.transfers.length} recipients (${proposal.summary.totals.map((total) => `${total.amount} ${total.tokenSymbol}`).join(', ')})`;
+    }
 
     if (tx.data === '0x') {
       return `Transfer ${tx.value || '0'} ${prividium.chain.nativeCurrency.symbol}${toEntry ? ` to ${toEntry.label}` : ''}`;
@@ -769,6 +1619,227 @@ export default function App() {
     return `Contract call (operation ${tx.operation})`;
   };
 
+  const renderProposalCard = ({ proposal, status }) => {
+    const tx = getProposalTx(proposal);
+    const isRejected = ['rejected', 'cancelled'].includes(status.key);
+    const canReject = isDirectOwner && proposal.nonceStatus === 'active' && !proposal.executedTxHash && proposal.summary?.type !== 'rejection';
+    const simulation = simulations[proposal.safeTxHash];
+    const hasMySig = (proposal.confirmations || []).some((sig) => sig.owner?.toLowerCase() === me?.address?.toLowerCase());
+    const canDelete = !proposal.executedTxHash
+      && proposal.createdBy?.toLowerCase() === me?.address?.toLowerCase()
+      && (proposal.confirmations || []).every((sig) => sig.owner?.toLowerCase() === proposal.createdBy.toLowerCase());
+    const isNeedsSig = status.key === 'needsSig' && !isRejected;
+    const pendingOwnerSafes = ownerSafes.filter((safe) => !(proposal.confirmations || []).some((sig) => sig.owner === safe.safe_address));
+    const canApproveNested = proposal.nonceStatus === 'active' && !proposal.executedTxHash && pendingOwnerSafes.length > 0;
+    const isReady = status.key === 'ready' && !isRejected;
+    const recipientEntry = addressBookByAddress.get((tx.to || '').toLowerCase());
+    const typeLabel = proposal.summary?.type === 'l2-to-l1-withdrawal-erc20'
+      ? 'ERC20 Withdrawal'
+      : proposal.summary?.type === 'l2-to-l1-withdrawal'
+        ? 'Base Withdrawal'
+        : proposal.summary?.type === 'erc20-transfer'
+          ? 'ERC20 Transfer'
+          : proposal.summary?.type === 'advanced'
+            ? 'Custom Call'
+            : ['add-owner', 'remove-owner', 'swap-owner', 'change-threshold'].includes(proposal.summary?.type)
+              ? 'Owner Settings'
+              : proposal.summary?.type === 'rejection'
+                ? 'Rejection'
+                : proposal.summary?.type === 'batch-transfer'
+                  ? 'Batch Transfer'
+                  : proposal.summary?.type === 'multisend'
+                    ? 'MultiSend Batch'
+                    : proposal.summary?.type === 'nested-approval'
+                      ? 'Nested Approval'
+                      : 'Transaction';
+    const timeline = isRejected
+      ? [{
+        key: status.key,
+        label: status.key === 'cancelled'
+          ? 'Cancelled – an on-chain rejection for this nonce was executed'
+          : 'Rejected – another proposal with this nonce was executed',
+        active: true,
+        done: true
+      }]
+      : (proposal.withdrawal?.progress || [
+        { step: 'Proposed', done: true },
+        { step: 'Signatures collected', done: (proposal.confirmations?.length || 0) >= Number(proposal.confirmationsRequired || 0) },
+        { step: 'Executed on L2', done: Boolean(proposal.executedTxHash) }
+      ]).map((step, index, arr) => {
+        const nextDone = arr[index + 1]?.done;
+        return { key: step.step, label: step.step, done: Boolean(step.done), active: Boolean(step.done && !nextDone) };
+      });
+    const currentStep = timeline.find((step) => step.active) || null;
+    const waitingStepActive = Boolean(currentStep && currentStep.label.toLowerCase().includes('wait'));
+    const rawError = proposal.withdrawal?.lastError || '';
+    const hasRawError = Boolean(rawError);
+    const isExpectedWaiting = isExpectedWaitingError(rawError);
+    const showInlineWarning = hasRawError && !isExpectedWaiting;
+
+    const toLabel = recipientEntry ? `${recipientEntry.label} (${shorten(tx.to)})` : shorten(tx.to);
+    const nonceLabel = proposal.tx?.nonce || '0';
+    const createdRelative = formatRelativeTime(proposal.createdAt);
+    const createdFull = formatFullTime(proposal.createdAt);
+    const l2Tx = proposal.withdrawal?.l2TxHash || proposal.executedTxHash || proposal.execution?.txHash;
+    const failedAttempt = !proposal.executedTxHash && ['reverted', 'dropped'].includes(proposal.execution?.status) ? proposal.execution : null;
+    const l1Tx = proposal.withdrawal?.l1TxHash;
+
+    return (
+      <div className={`proposal-card proposal-detail ${isRejected ? 'proposal-rejected' : ''}`} key={proposal.id || proposal.safeTxHash}>
+        <div className="proposal-header-bar">
+          <div className="proposal-title-row">
+            <Badge tone={status.tone || 'info'}>{status.label}</Badge>
+            <strong className="proposal-title">{summaryFromProposal(proposal)}</strong>
+            {status.tooltip && <span className="muted" title={status.tooltip}>ⓘ</span>}
+          </div>
+          <div className="proposal-meta-right">
+            <span className="muted">{proposal.confirmations?.length || 0}/{proposal.confirmationsRequired} confirmations</span>
+            <span className="nonce-chip">Nonce #{nonceLabel}</span>
+          </div>
+        </div>
+
+        <p className="muted proposal-subline">
+          Created by {shorten(proposal.createdBy)} • <span title={createdFull}>{createdRelative}</span>
+        </p>
+
+        <div className="detail-grid">
+          <p className="detail-grid-title"><strong>At a glance</strong></p>
+          <div><span className="muted">SafeTxHash</span><p className="value-with-action"><span className="hash-short">{shorten(proposal.safeTxHash)}</span> <button className="icon-btn" onClick={() => onCopy(proposal.safeTxHash).catch(() => addToast('Copy failed', 'error'))}>Copy</button></p></div>
+          <div><span className="muted">Nonce</span><p>{nonceLabel}</p></div>
+          <div><span className="muted">Type</span><p>{typeLabel}</p></div>
+          {proposal.confirmations?.length > 0 && (
+            <div>
+              <span className="muted">Signed by</span>
+              <p>{proposal.confirmations.map((sig) => `${addressBookByAddress.get(sig.owner)?.label || shorten(sig.owner)} (${SIGNATURE_TYPE_LABELS[sig.signatureType] || sig.signatureType}${sig.importedBy ? `, uploaded by ${addressBookByAddress.get(sig.importedBy)?.label || shorten(sig.importedBy)}` : ''})`).join(', ')}</p>
+            </div>
+          )}
+          {(proposal.notBefore || proposal.expiresAt) && <div><span className="muted">Execution window</span><p>{proposal.notBefore ? formatFullTime(proposal.notBefore) : 'now'} → {proposal.expiresAt ? formatFullTime(proposal.expiresAt) : 'no expiry'}{proposal.scheduledExecute ? ' (auto)' : ''}</p></div>}
+          <div><span className="muted">L2 tx</span><p className="value-with-action">{l2Tx ? (l2Explorer ? <a href={`${l2Explorer.replace(/\/$/, '')}/tx/${l2Tx}`} target="_blank" rel="noreferrer" className="hash-short">{shorten(l2Tx)}</a> : <span className="hash-short">{shorten(l2Tx)}</span>) : '—'}{l2Tx && <button className="icon-btn" onClick={() => onCopy(l2Tx).catch(() => addToast('Copy failed', 'error'))}>Copy</button>}</p></div>
+          <div><span className="muted">L1 tx</span><p className="value-with-action">{l1Tx ? (l1Explorer ? <a href={`${l1Explorer.replace(/\/$/, '')}/tx/${l1Tx}`} target="_blank" rel="noreferrer" className="hash-short">{shorten(l1Tx)}</a> : <span className="hash-short">{shorten(l1Tx)}</span>) : '—'}{l1Tx && <button className="icon-btn" onClick={() => onCopy(l1Tx).catch(() => addToast('Copy failed', 'error'))}>Copy</button>}</p></div>
+        </div>
+
+        {proposal.withdrawal && (
+          <div className="summary-box">
+            <strong>Withdrawal summary</strong>
+            <div className="summary-grid">
+              <p className="muted"><span>Asset</span><strong>{proposal.withdrawal.assetType === 'erc20' ? (proposal.withdrawal.token?.symbol || 'ERC20') : prividium.chain.nativeCurrency.symbol}</strong></p>
+              {proposal.withdrawal.assetType === 'erc20' && <p className="muted"><span>L2 token</span><span className="value-with-action"><span className="hash-short">{shorten(proposal.withdrawal.token?.l2TokenAddress || '')}</span> <button className="icon-btn" onClick={() => onCopy(proposal.withdrawal.token?.l2TokenAddress || '').catch(() => addToast('Copy failed', 'error'))}>Copy</button></span></p>}
+              {proposal.withdrawal.assetType === 'erc20' && <p className="muted"><span>L1 token</span><span className="value-with-action"><span className="hash-short">{shorten(proposal.withdrawal.token?.l1TokenAddress || proposal.summary?.l1TokenAddress || '')}</span> <button className="icon-btn" onClick={() => onCopy(proposal.withdrawal.token?.l1TokenAddress || proposal.summary?.l1TokenAddress || '').catch(() => addToast('Copy failed', 'error'))}>Copy</button></span></p>}
+              <p className="muted"><span>Recipient</span><span className="value-with-action"><span className="hash-short">{shorten(proposal.withdrawal.recipient || proposal.summary?.recipient || '')}</span> <button className="icon-btn" onClick={() => onCopy(proposal.withdrawal.recipient || proposal.summary?.recipient || '').catch(() => addToast('Copy failed', 'error'))}>Copy</button></span></p>
+              <p className="muted"><span>Amount</span><strong>{proposal.summary?.amount || '—'}</strong></p>
+            </div>
+          </div>
+        )}
+
+        {proposal.summary?.type === 'batch-transfer' && (
+          <details className="summary-box">
+            <summary><strong>{proposal.summary.transfers.length} transfers</strong></summary>
+            <table className="batch-table">
+              <thead><tr><th>Row</th><th>Token</th><th>Recipient</th><th>Amount</th></tr></thead>
+              <tbody>
+                {proposal.summary.transfers.map((transfer) => (
+                  <tr key={transfer.row}>
+                    <td>{transfer.row}</td>
+                    <td>{transfer.tokenSymbol}</td>
+                    <td className="hash-short" title={transfer.recipient}>{addressBookByAddress.get(transfer.recipient)?.label || shorten(transfer.recipient)}</td>
+                    <td>{transfer.amount}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </details>
+        )}
+
+        {proposal.summary?.decoded && (
+          <div className="summary-box">
+            <strong>Decoded call</strong>
+            <DecodedCall decoded={proposal.summary.decoded} labelFor={(address) => addressBookByAddress.get(address)?.label || shorten(address)} />
+          </div>
+        )}
+
+        {proposal.summary?.subCalls?.length > 0 && (
+          <details className="summary-box">
+            <summary><strong>{proposal.summary.subCalls.length} batched calls</strong></summary>
+            <SubCallList calls={proposal.summary.subCalls} labelFor={(address) => addressBookByAddress.get(address)?.label || shorten(address)} />
+          </details>
+        )}
+
+        <div className="summary-box">
+          <strong>Timeline</strong>
+          <ul className="timeline-list muted">
+            {timeline.map((step) => (
+              <li key={step.key} className={step.active ? 'active' : ''}>{step.active ? '⏳' : step.done ? '✓' : '○'} {step.label}</li>
+            ))}
+          </ul>
+          {!isRejected && waitingStepActive && <p className="waiting-inline">Waiting for L1 batch finalization (timing varies).</p>}
+          {showInlineWarning && <p className="warning-inline">⚠ Something went wrong. Open technical details for more.</p>}
+          {proposal.autoExecute?.lastError && !proposal.executedTxHash && <p className="warning-inline">⚠ Auto-execute failed {proposal.autoExecute.attempts}× ({proposal.autoExecute.lastError}). Next attempt at {formatFullTime(proposal.autoExecute.nextAttemptAt)}.</p>}
+          {failedAttempt && <p className="warning-inline">⚠ The last execution attempt {failedAttempt.status === 'dropped' ? 'was dropped' : 'reverted'} ({shorten(failedAttempt.txHash)}). The proposal can be executed again.</p>}
+          {simulation && !proposal.executedTxHash && (simulation.simulated === false
+            ? <p className="waiting-inline">Simulation skipped: {simulation.reason}</p>
+            : simulation.success
+              ? <p className="muted">✓ Simulation succeeded (estimated gas {simulation.gasEstimate})</p>
+              : <p className="warning-inline">⚠ Simulation failed: {simulation.revert?.reason}</p>)}
+        </div>
+
+        <details>
+          <summary>Raw execution details</summary>
+          <div className="stack">
+            <p className="to-line"><span className="muted">To:</span> <span className="hash-full">{toLabel}</span></p>
+            <p className="to-line"><span className="muted">Operation:</span> <span>{tx.operation}</span></p>
+            <p className="to-line"><span className="muted">Value:</span> <span>{tx.value}</span></p>
+            <p className="to-line"><span className="muted">Data:</span> <span className="hash-full">{shorten(tx.data, 10, 8)}</span></p>
+            {proposal.execution?.gasUsed ? <p className="to-line"><span className="muted">Gas used:</span> <span>{proposal.execution.gasUsed} (block {proposal.execution.blockNumber})</span></p> : null}
+            {proposal.execution?.trigger ? <p className="to-line"><span className="muted">Triggered:</span> <span>{proposal.execution.trigger === 'manual' ? 'manually' : 'automatically'}{proposal.execution.triggeredBy ? ` by ${shorten(proposal.execution.triggeredBy)}` : ''}</span></p> : null}
+            {proposal.execution?.executedBy ? <p className="to-line"><span className="muted">Executed by:</span> <span className="hash-full">{proposal.execution.executedBy}</span></p> : null}
+            {proposal.summary?.batchedActions?.length ? <p className="muted">Batch calls: {proposal.summary.batchedActions.join(', ')}</p> : null}
+            {hasRawError ? <p className="to-line"><span className="muted">Last error:</span> <span className="hash-full">{rawError}</span></p> : null}
+          </div>
+        </details>
+
+        {proposal.nestedApprovals?.length > 0 && (
+          <div className="summary-box">
+            <strong>Nested Safe approvals</strong>
+            <ul className="subcall-list">
+              {proposal.nestedApprovals.map((approval) => (
+                <li key={approval.id}>
+                  {addressBookByAddress.get(approval.childSafeAddress)?.label || shorten(approval.childSafeAddress)}:{' '}
+                  {approval.method === 'approve_hash' ? 'approveHash transaction' : 'SafeMessage signature'}{' '}
+                  <Badge tone={approval.status === 'confirmed' ? 'success' : 'warning'}>{approval.status}</Badge>{' '}
+                  {approval.method === 'approve_hash' && <button className="icon-btn" onClick={() => navigate(`/safes/${approval.childSafeAddress}`)}>Open Safe</button>}
+                  {approval.method === 'safe_message' && approval.status === 'pending' && (
+                    <button className="icon-btn" disabled={isWrongNetwork} onClick={() => signSafeMessage(approval.childSafeMessageHash).catch((e) => addToast(e.message, 'error'))}>Sign message</button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {hasRawError && (
+          <details>
+            <summary>Technical details</summary>
+            <p className="muted hash-full">{rawError}</p>
+          </details>
+        )}
+
+        <div className={`inline ${isRejected ? 'deemphasized' : ''}`}>
+          {isNeedsSig && isDirectOwner && <Button variant="secondary" disabled={isWrongNetwork} title={isWrongNetwork ? networkBlockedMessage : ''} onClick={() => reviewSignature(proposal).catch((e) => addToast(e.message, 'error'))}>Sign</Button>}
+          {isNeedsSig && <Button variant="secondary" title="Download the EIP-712 typed data to sign on an offline machine" onClick={() => downloadSigningBundle(proposal).catch((e) => addToast(e.message, 'error'))}>Download bundle</Button>}
+          {isNeedsSig && isDirectOwner && <Button variant="secondary" title="Add a signature made from a downloaded bundle by any owner" onClick={() => setSignatureImport({ proposal, text: '', signatureType: 'eip712' })}>Upload signature</Button>}
+          {canApproveNested && <Button variant="secondary" title="Confirm as a Safe you control that owns this Safe" onClick={() => setNestedApproval({ proposal, childSafeAddress: pendingOwnerSafes[0].safe_address, method: 'approve_hash' })}>Approve via Safe</Button>}
+          {isReady && <Button variant="secondary" onClick={() => simulate(proposal).catch((e) => addToast(e.message, 'error'))}>Simulate</Button>}
+          {isReady && isDirectOwner && <Button disabled={isWrongNetwork} title={isWrongNetwork ? networkBlockedMessage : ''} onClick={() => execute(proposal).catch((e) => addToast(e.message, 'error'))}>Execute</Button>}
+          {isReady && isDirectOwner && safeDetail?.deployed !== false && <Button variant="secondary" disabled={isWrongNetwork} title={isWrongNetwork ? networkBlockedMessage : 'Send execTransaction from your own wallet and pay the gas yourself'} onClick={() => executeWithWallet(proposal).catch((e) => addToast(e.message, 'error'))}>Execute from my wallet</Button>}
+          {isReady && isDirectOwner && simulation?.success === false && <Button variant="secondary" disabled={isWrongNetwork} title={isWrongNetwork ? networkBlockedMessage : 'Broadcast even though the simulation reverted'} onClick={() => execute(proposal, { force: true }).catch((e) => addToast(e.message, 'error'))}>Execute anyway</Button>}
+          {hasMySig && !proposal.executedTxHash && <Button variant="secondary" onClick={() => unsign(proposal).catch((e) => addToast(e.message, 'error'))}>Unsign</Button>}
+          {canReject && <Button variant="secondary" title="Propose a zero-value transaction at this nonce to cancel it on chain" onClick={() => reject(proposal).catch((e) => addToast(e.message, 'error'))}>Reject</Button>}
+          {canDelete && <Button variant="secondary" disabled={isWrongNetwork} title={isWrongNetwork ? networkBlockedMessage : 'Only possible while no other owner has signed'} onClick={() => deleteProposal(proposal).catch((e) => addToast(e.message, 'error'))}>Delete</Button>}
+          {proposal.withdrawal?.status === 'failed' && isDirectOwner && <Button variant="secondary" onClick={() => retryFinalize(proposal.id).catch((e) => addToast(e.message, 'error'))}>Retry finalize</Button>}
+        </div>
+      </div>
+    );
+  };
   return (
     <div className="app-shell">
       <header className="topbar">
@@ -813,12 +1884,17 @@ export default function App() {
                   <Card title="Your Safes">
                     {loadingSafes ? <Skeleton lines={4} /> : safes.length === 0 ? <p className="muted">No safes yet. Create one to get started.</p> : (
                       <div className="stack">
-                        {safes.map((safe) => (
+                        {safes.map((safe) => (safe.imported === false ? (
+                          <div key={safe.safe_address} className="safe-row">
+                            <span>{shorten(safe.safe_address)} <Badge tone="info">Discovered</Badge></span>
+                            <Button variant="secondary" onClick={() => importSafe(safe.safe_address).catch((e) => addToast(e.message, 'error'))}>Import</Button>
+                          </div>
+                        ) : (
                           <button key={safe.safe_address} className="safe-row" onClick={() => navigate(`/safes/${safe.safe_address}`)}>
-                            <span>{shorten(safe.safe_address)}</span>
+                            <span>{shorten(safe.safe_address)} {safe.owned_via && <Badge tone="default">via {shorten(safe.owned_via)}</Badge>}</span>
                             <span>Open →</span>
                           </button>
-                        ))}
+                        )))}
                       </div>
                     )}
                   </Card>
@@ -854,9 +1930,22 @@ export default function App() {
                   </div>
                   {createErrors.threshold && <p className="error">{createErrors.threshold}</p>}
 
+                  <label>Salt nonce</label>
+                  <input value={saltNonce} onChange={(e) => setSaltNonce(e.target.value.trim())} placeholder="0" />
+                  <label className="inline">
+                    <input type="checkbox" checked={counterfactual} onChange={(e) => setCounterfactual(e.target.checked)} />
+                    Counterfactual: reserve the address now, deploy on first execution
+                  </label>
+
                   <div className="summary-box">
                     <p><strong>Summary</strong></p>
                     <p>{owners.length} owner(s) • {threshold} signatures required</p>
+                    {predictedSafe && (
+                      <p className="value-with-action">
+                        <span className="muted">Address:</span> <span className="hash-full">{predictedSafe.safeAddress}</span>
+                        {predictedSafe.deployed && <Badge tone="warning">Already deployed</Badge>}
+                      </p>
+                    )}
                   </div>
                   <Button disabled={isWrongNetwork} title={isWrongNetwork ? networkBlockedMessage : ''} onClick={() => createSafe().catch((e) => addToast(e.message, 'error'))}>Create Safe</Button>
                 </Card>
@@ -875,7 +1964,7 @@ export default function App() {
               <Tabs
                 value={safeTab}
                 onChange={setSafeTab}
-                tabs={[{ key: 'overview', label: 'Overview' }, { key: 'proposals', label: 'Proposals' }, { key: 'address-book', label: 'Address Book' }, { key: 'owners', label: 'Owners' }]}
+                tabs={[{ key: 'overview', label: 'Overview' }, { key: 'proposals', label: 'Proposals' }, { key: 'address-book', label: 'Address Book' }, { key: 'owners', label: 'Owners' }, { key: 'messages', label: 'Messages' }, { key: 'settings', label: 'Settings' }]}
               />
 
               {safeTab === 'overview' && (
@@ -887,6 +1976,8 @@ export default function App() {
                         <div><span className="muted">Threshold</span><p>{safeDetail.threshold}/{safeDetail.owners?.length}</p></div>
                         <div><span className="muted">Nonce</span><p>{safeDetail.nonce}</p></div>
                         <div><span className="muted">Owners</span><p>{safeDetail.owners?.length}</p></div>
+                        {safeDetail.deployed === false && <div><span className="muted">Deployment</span><p><Badge tone="warning">Not deployed yet</Badge></p></div>}
+                        {!isDirectOwner && <div><span className="muted">Access</span><p title={directOwnersOnlyMessage}><Badge tone="default">Read-only via owner Safe</Badge></p></div>}
                       </div>
                     ) : <p className="muted">Safe not found.</p>}
                   </Card>
@@ -909,7 +2000,7 @@ export default function App() {
                             </div>
                             <div className="inline">
                               <span>{formatTokenAmount(token.balance, token.decimals)} {token.symbol}</span>
-                              <Button variant="secondary" onClick={() => openProposalWithToken(token.address)}>Send</Button>
+                              <Button variant="secondary" disabled={!isDirectOwner} title={isDirectOwner ? '' : directOwnersOnlyMessage} onClick={() => openProposalWithToken(token.address)}>Send</Button>
                             </div>
                           </div>
                         ))}
@@ -936,7 +2027,7 @@ export default function App() {
                   </div>
 
                   <div className="inline">
-                    <Button onClick={() => saveAddressBookEntry().catch((e) => addToast(e.message, 'error'))}>{editingEntryId ? 'Update entry' : 'Add entry'}</Button>
+                    <Button disabled={!isDirectOwner} title={isDirectOwner ? '' : directOwnersOnlyMessage} onClick={() => saveAddressBookEntry().catch((e) => addToast(e.message, 'error'))}>{editingEntryId ? 'Update entry' : 'Add entry'}</Button>
                     {editingEntryId && <Button variant="secondary" onClick={() => { setEditingEntryId(''); setAddressBookLabel(''); setAddressBookAddress(''); }}>Cancel edit</Button>}
                     <Button variant="secondary" onClick={() => loadAddressBook(route.safeAddress).catch((e) => addToast(e.message, 'error'))}>Refresh</Button>
                   </div>
@@ -955,8 +2046,8 @@ export default function App() {
                           </div>
                           <p className="muted">Last changed: {formatFullTime(entry.lastChangedAt)} by {shorten(entry.lastChangedBy)}</p>
                           <div className="inline">
-                            <Button variant="secondary" onClick={() => beginEditAddressBookEntry(entry)}>Edit</Button>
-                            <Button variant="secondary" onClick={() => removeAddressBookEntry(entry.id).catch((e) => addToast(e.message, 'error'))}>Delete</Button>
+                            <Button variant="secondary" disabled={!isDirectOwner} onClick={() => beginEditAddressBookEntry(entry)}>Edit</Button>
+                            <Button variant="secondary" disabled={!isDirectOwner} onClick={() => removeAddressBookEntry(entry.id).catch((e) => addToast(e.message, 'error'))}>Delete</Button>
                           </div>
                         </div>
                       ))}
@@ -965,6 +2056,58 @@ export default function App() {
                 </Card>
               )}
 
+              {safeTab === 'messages' && (
+                <div className="stack">
+                  <Card title="Sign a message">
+                    <p className="muted">Off-chain messages for dApp logins and order approvals. Once enough owners sign, the combined signature passes the Safe's isValidSignature check.</p>
+                    <select value={messageType} onChange={(e) => setMessageType(e.target.value)}>
+                      <option value="eip191">Plain text (EIP-191)</option>
+                      <option value="eip712">Typed data JSON (EIP-712)</option>
+                    </select>
+                    <textarea rows={5} value={messageInput} onChange={(e) => setMessageInput(e.target.value)} placeholder={messageType === 'eip712' ? '{"domain":{...},"types":{...},"primaryType":"...","message":{...}}' : 'Message text'} />
+                    <input value={messageDescription} onChange={(e) => setMessageDescription(e.target.value)} placeholder="Description (optional)" />
+                    <Button disabled={!messageInput.trim() || !isDirectOwner || isWrongNetwork} title={!isDirectOwner ? 'Only direct owners can sign messages' : ''} onClick={() => createSafeMessage().catch((e) => addToast(e.message, 'error'))}>Create and sign</Button>
+                  </Card>
+
+                  <Card title="Messages">
+                    {safeMessages.length === 0 ? <p className="muted">No messages yet.</p> : (
+                      <div className="stack">
+                        {safeMessages.map((message) => {
+                          const signedByMe = message.confirmations.some((sig) => sig.owner === myAddress);
+                          const verification = messageVerifications[message.safeMessageHash];
+                          return (
+                            <div key={message.id} className="summary-box">
+                              <div className="proposal-title-row">
+                                <Badge tone={message.preparedSignature ? 'success' : 'warning'}>{message.confirmations.length}/{message.confirmationsRequired} signatures</Badge>
+                                <strong>{message.description || (message.kind === 'eip712' ? `Typed data: ${message.payload?.primaryType}` : message.kind === 'eip191' ? 'Text message' : 'Nested Safe approval')}</strong>
+                              </div>
+                              <p className="muted"><span title={formatFullTime(message.createdAt)}>{formatRelativeTime(message.createdAt)}</span> by {shorten(message.createdBy)}</p>
+                              <details>
+                                <summary>Payload</summary>
+                                <pre className="message-payload">{message.kind === 'eip191' ? message.payload : message.kind === 'eip712' ? JSON.stringify(message.payload, null, 2) : message.message}</pre>
+                                <p className="muted hash-full">Message hash: {message.messageHash || '—'}</p>
+                                <p className="muted hash-full">SafeMessage hash: {message.safeMessageHash}</p>
+                              </details>
+                              {message.confirmations.length > 0 && <p className="muted">Signed by {message.confirmations.map((sig) => addressBookByAddress.get(sig.owner)?.label || shorten(sig.owner)).join(', ')}</p>}
+                              {verification && (
+                                <p className={verification.valid ? 'muted' : 'warning-inline'}>
+                                  {verification.valid ? `✓ Valid on chain (${verification.method})` : `⚠ Not valid on chain${verification.error ? `: ${verification.error}` : ''}`}
+                                </p>
+                              )}
+                              <div className="inline">
+                                {!signedByMe && isDirectOwner && <Button variant="secondary" disabled={isWrongNetwork} onClick={() => signSafeMessage(message.safeMessageHash).catch((e) => addToast(e.message, 'error'))}>Sign</Button>}
+                                {message.preparedSignature && <Button variant="secondary" onClick={() => onCopy(message.preparedSignature).catch(() => addToast('Copy failed', 'error'))}>Copy signature</Button>}
+                                {message.preparedSignature && <Button variant="secondary" onClick={() => verifySafeMessage(message.safeMessageHash).catch((e) => addToast(e.message, 'error'))}>Verify on chain</Button>}
+                              </div>
+                            </div>
+                          );
+                        })}
+                      </div>
+                    )}
+                  </Card>
+                </div>
+              )}
+
               {safeTab === 'owners' && (
                 <Card title="Owners" action={<Badge tone="info">{safeDetail?.threshold}/{safeDetail?.owners?.length} required</Badge>}>
                   {(safeDetail?.owners || []).map((owner) => (
@@ -976,11 +2119,128 @@ export default function App() {
                       </div>
                     </div>
                   ))}
+
+                  <details>
+                    <summary>Owner change history</summary>
+                    {ownerHistory.length === 0 ? <p className="muted">No on-chain owner changes indexed yet.</p> : (
+                      <ul className="timeline-list muted">
+                        {ownerHistory.map((entry) => (
+                          <li key={`${entry.txHash}-${entry.event}-${entry.owner || entry.threshold}`}>
+                            <span title={formatFullTime(entry.occurredAt)}>{formatRelativeTime(entry.occurredAt)}</span>
+                            {' · '}{OWNER_HISTORY_LABELS[entry.event] || entry.event}
+                            {entry.owner ? `: ${shorten(entry.owner)}` : ''}
+                            {entry.threshold !== undefined ? `: ${entry.threshold} required` : ''}
+                            {' · '}{l2Explorer ? <a href={`${l2Explorer.replace(/\/$/, '')}/tx/${entry.txHash}`} target="_blank" rel="noreferrer" className="hash-short">{shorten(entry.txHash)}</a> : <span className="hash-short">{shorten(entry.txHash)}</span>}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </details>
+                </Card>
+              )}
+
+              {safeTab === 'settings' && (
+                <Card title="Execution" action={<Badge tone={safeDetail?.autoExecute ? 'success' : 'default'}>{safeDetail?.autoExecute ? 'Auto-execute on' : 'Manual'}</Badge>}>
+                  <label className="inline">
+                    <input type="checkbox" checked={Boolean(safeDetail?.autoExecute)} disabled={!isDirectOwner} title={isDirectOwner ? '' : directOwnersOnlyMessage} onChange={(e) => toggleAutoExecute(e.target.checked).catch((err) => addToast(err.message, 'error'))} />
+                    Execute proposals automatically once they reach the threshold
+                  </label>
+                  <p className="muted">Proposals run in nonce order through the service account. If a simulation fails, the next attempt is delayed.</p>
+                </Card>
+              )}
+
+              {safeTab === 'settings' && (
+                <Card title="Contract ABIs">
+                  <p className="muted">Registered ABIs are used to decode custom calls for co-signers. Paste a bare ABI, a Hardhat/Foundry artifact, Sourcify metadata or an explorer's verified-source response.</p>
+                  <div className="grid two-col">
+                    <div className="stack">
+                      <label>Contract address</label>
+                      <input value={abiAddress} onChange={(e) => setAbiAddress(e.target.value)} placeholder="0x..." />
+                    </div>
+                    <div className="stack">
+                      <label>Name</label>
+                      <input value={abiName} onChange={(e) => setAbiName(e.target.value)} placeholder="Taken from the JSON if empty" />
+                    </div>
+                  </div>
+                  <label>ABI JSON</label>
+                  <textarea rows={5} value={abiJson} onChange={(e) => setAbiJson(e.target.value)} placeholder='[{"type":"function","name":"deposit",...}]' />
+                  <Button disabled={!isDirectOwner} title={isDirectOwner ? '' : directOwnersOnlyMessage} onClick={() => saveContractAbi().catch((e) => addToast(e.message, 'error'))}>Save ABI</Button>
+
+                  {contractAbis.length === 0 ? <p className="muted">No ABIs registered for this Safe.</p> : (
+                    <div className="stack">
+                      {contractAbis.map((entry) => (
+                        <div key={entry.id} className="proposal-card">
+                          <div className="proposal-head">
+                            <strong>{entry.name}</strong>
+                            <span className="muted">{entry.functions.length} functions</span>
+                          </div>
+                          <span className="hash-full">{entry.address}</span>
+                          <p className="muted">Updated {formatFullTime(entry.updatedAt)} by {shorten(entry.updatedBy)}</p>
+                          <Button variant="secondary" disabled={!isDirectOwner} onClick={() => removeContractAbi(entry.address).catch((e) => addToast(e.message, 'error'))}>Remove</Button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  <details>
+                    <summary>Built-in ABIs</summary>
+                    <ul className="muted">
+                      {builtinAbis.map((entry) => <li key={entry.name}>{entry.name}{entry.address ? ` (${shorten(entry.address)})` : ' (any contract)'}: {entry.functions.length} functions</li>)}
+                    </ul>
+                  </details>
+                </Card>
+              )}
+
+              {safeTab === 'settings' && (
+                <Card title="Owners & Threshold" action={<Badge tone="info">{safeDetail?.threshold}/{currentOwners.length} required</Badge>}>
+                  <p className="muted">Changes are proposed as Safe transactions and need the current threshold of confirmations before they take effect.</p>
+                  <Tabs compact value={ownerChangeAction} onChange={setOwnerChangeAction} tabs={OWNER_CHANGE_ACTIONS} />
+
+                  {ownerChangeAction === 'add' && (
+                    <>
+                      <label>New owner</label>
+                      <input value={ownerChangeOwner} onChange={(e) => setOwnerChangeOwner(e.target.value)} placeholder="0x..." />
+                    </>
+                  )}
+
+                  {['remove', 'swap'].includes(ownerChangeAction) && (
+                    <>
+                      <label>{ownerChangeAction === 'remove' ? 'Owner to remove' : 'Owner to replace'}</label>
+                      <select value={ownerChangeOwner} onChange={(e) => setOwnerChangeOwner(e.target.value)}>
+                        <option value="">Choose owner</option>
+                        {currentOwners.map((owner) => (
+                          <option key={owner} value={owner}>{addressBookByAddress.get(owner.toLowerCase())?.label || shorten(owner)}{owner.toLowerCase() === myAddress ? ' (you)' : ''}</option>
+                        ))}
+                      </select>
+                    </>
+                  )}
+
+                  {ownerChangeAction === 'swap' && (
+                    <>
+                      <label>New owner</label>
+                      <input value={ownerChangeNewOwner} onChange={(e) => setOwnerChangeNewOwner(e.target.value)} placeholder="0x..." />
+                    </>
+                  )}
+
+                  {ownerChangeAction !== 'swap' && (
+                    <div>
+                      <label>Threshold: <strong>{ownerChangeThreshold} of {ownerCountAfterChange} required</strong></label>
+                      <input type="range" min="1" max={ownerCountAfterChange} value={ownerChangeThreshold} onChange={(e) => setOwnerChangeThreshold(Number(e.target.value))} />
+                    </div>
+                  )}
+
+                  {ownerChangeAction === 'remove' && ownerChangeOwner.toLowerCase() === myAddress && <p className="warning-inline">⚠ You are removing yourself. You will lose access to this Safe once the change is executed.</p>}
+                  <div className="summary-box"><strong>Preview:</strong> {ownerChangePreview}</div>
+                  <Button disabled={isWrongNetwork || !isDirectOwner} title={isWrongNetwork ? networkBlockedMessage : isDirectOwner ? '' : directOwnersOnlyMessage} onClick={() => proposeOwnerChange().catch((e) => addToast(e.message, 'error'))}>Propose change</Button>
                 </Card>
               )}
 
               {safeTab === 'proposals' && (
-                <Card title="Proposals" action={<Button disabled={isWrongNetwork} title={isWrongNetwork ? networkBlockedMessage : ''} onClick={() => setProposalModalOpen(true)}>New Proposal</Button>}>
+                <Card title="Proposals" action={(
+                  <div className="inline">
+                    <Button variant="secondary" disabled={isWrongNetwork || !isDirectOwner} title={isWrongNetwork ? networkBlockedMessage : isDirectOwner ? 'Import a CSV of transfers as one MultiSend proposal' : directOwnersOnlyMessage} onClick={() => setBatchModalOpen(true)}>Bulk payout</Button>
+                    <Button disabled={isWrongNetwork || !isDirectOwner} title={isWrongNetwork ? networkBlockedMessage : isDirectOwner ? '' : directOwnersOnlyMessage} onClick={() => setProposalModalOpen(true)}>New Proposal</Button>
+                  </div>
+                )}>
                   <Tabs value={proposalTypeFilter} onChange={setProposalTypeFilter} tabs={proposalTypeFilters} />
                   <div className="proposal-filter-row">
                     <label htmlFor="proposal-status-filter" className="muted">Status:</label>
@@ -996,125 +2256,22 @@ export default function App() {
                     </button>
                   </div>
 
+                  {nonceGaps.length > 0 && <p className="warning-inline">⚠ Nonce gap: no proposal for nonce {nonceGaps.map((nonce) => `#${nonce}`).join(', ')}. Later proposals cannot execute until these are filled.</p>}
+
                   {loadingProposals ? <Skeleton lines={5} /> : filteredProposals.length === 0 ? <p className="muted">No proposals in this category.</p> : (
                     <div className="stack">
-                      {filteredProposals.map(({ proposal, status }) => {
-                        const tx = getProposalTx(proposal);
-                        const isRejected = status.key === 'rejected';
-                        const isNeedsSig = status.key === 'needsSig' && !isRejected;
-                        const isReady = status.key === 'ready' && !isRejected;
-                        const recipientEntry = addressBookByAddress.get((tx.to || '').toLowerCase());
-                        const typeLabel = proposal.summary?.type === 'l2-to-l1-withdrawal-erc20'
-                          ? 'ERC20 Withdrawal'
-                          : proposal.summary?.type === 'l2-to-l1-withdrawal'
-                            ? 'Base Withdrawal'
-                            : proposal.summary?.type === 'erc20-transfer'
-                              ? 'ERC20 Transfer'
-                              : proposal.summary?.type === 'advanced'
-                                ? 'Custom Call'
-                                : 'Transaction';
-                        const timeline = isRejected
-                          ? [{ key: 'rejected', label: 'Rejected – another proposal with this nonce was executed', active: true, done: true }]
-                          : (proposal.withdrawal?.progress || [
-                            { step: 'Proposed', done: true },
-                            { step: 'Signatures collected', done: (proposal.confirmations?.length || 0) >= Number(proposal.confirmationsRequired || 0) },
-                            { step: 'Executed on L2', done: Boolean(proposal.executedTxHash) }
-                          ]).map((step, index, arr) => {
-                            const nextDone = arr[index + 1]?.done;
-                            return { key: step.step, label: step.step, done: Boolean(step.done), active: Boolean(step.done && !nextDone) };
-                          });
-                        const currentStep = timeline.find((step) => step.active) || null;
-                        const waitingStepActive = Boolean(currentStep && currentStep.label.toLowerCase().includes('wait'));
-                        const rawError = proposal.withdrawal?.lastError || '';
-                        const hasRawError = Boolean(rawError);
-                        const isExpectedWaiting = isExpectedWaitingError(rawError);
-                        const showInlineWarning = hasRawError && !isExpectedWaiting;
-
-                        const toLabel = recipientEntry ? `${recipientEntry.label} (${shorten(tx.to)})` : shorten(tx.to);
-                        const nonceLabel = proposal.tx?.nonce || '0';
-                        const createdRelative = formatRelativeTime(proposal.createdAt);
-                        const createdFull = formatFullTime(proposal.createdAt);
-                        const l2Tx = proposal.withdrawal?.l2TxHash || proposal.executedTxHash;
-                        const l1Tx = proposal.withdrawal?.l1TxHash;
-
-                        return (
-                          <div className={`proposal-card proposal-detail ${isRejected ? 'proposal-rejected' : ''}`} key={proposal.id || proposal.safeTxHash}>
-                            <div className="proposal-header-bar">
-                              <div className="proposal-title-row">
-                                <Badge tone={status.tone || 'info'}>{status.label}</Badge>
-                                <strong className="proposal-title">{summaryFromProposal(proposal)}</strong>
-                                {status.tooltip && <span className="muted" title={status.tooltip}>ⓘ</span>}
-                              </div>
-                              <div className="proposal-meta-right">
-                                <span className="muted">{proposal.confirmations?.length || 0}/{proposal.confirmationsRequired} confirmations</span>
-                                <span className="nonce-chip">Nonce #{nonceLabel}</span>
-                              </div>
-                            </div>
-
-                            <p className="muted proposal-subline">
-                              Created by {shorten(proposal.createdBy)} • <span title={createdFull}>{createdRelative}</span>
-                            </p>
-
-                            <div className="detail-grid">
-                              <p className="detail-grid-title"><strong>At a glance</strong></p>
-                              <div><span className="muted">SafeTxHash</span><p className="value-with-action"><span className="hash-short">{shorten(proposal.safeTxHash)}</span> <button className="icon-btn" onClick={() => onCopy(proposal.safeTxHash).catch(() => addToast('Copy failed', 'error'))}>Copy</button></p></div>
-                              <div><span className="muted">Nonce</span><p>{nonceLabel}</p></div>
-                              <div><span className="muted">Type</span><p>{typeLabel}</p></div>
-                              <div><span className="muted">L2 tx</span><p className="value-with-action">{l2Tx ? (l2Explorer ? <a href={`${l2Explorer.replace(/\/$/, '')}/tx/${l2Tx}`} target="_blank" rel="noreferrer" className="hash-short">{shorten(l2Tx)}</a> : <span className="hash-short">{shorten(l2Tx)}</span>) : '—'}{l2Tx && <button className="icon-btn" onClick={() => onCopy(l2Tx).catch(() => addToast('Copy failed', 'error'))}>Copy</button>}</p></div>
-                              <div><span className="muted">L1 tx</span><p className="value-with-action">{l1Tx ? (l1Explorer ? <a href={`${l1Explorer.replace(/\/$/, '')}/tx/${l1Tx}`} target="_blank" rel="noreferrer" className="hash-short">{shorten(l1Tx)}</a> : <span className="hash-short">{shorten(l1Tx)}</span>) : '—'}{l1Tx && <button className="icon-btn" onClick={() => onCopy(l1Tx).catch(() => addToast('Copy failed', 'error'))}>Copy</button>}</p></div>
-                            </div>
-
-                            {proposal.withdrawal && (
-                              <div className="summary-box">
-                                <strong>Withdrawal summary</strong>
-                                <div className="summary-grid">
-                                  <p className="muted"><span>Asset</span><strong>{proposal.withdrawal.assetType === 'erc20' ? (proposal.withdrawal.token?.symbol || 'ERC20') : prividium.chain.nativeCurrency.symbol}</strong></p>
-                                  {proposal.withdrawal.assetType === 'erc20' && <p className="muted"><span>L2 token</span><span className="value-with-action"><span className="hash-short">{shorten(proposal.withdrawal.token?.l2TokenAddress || '')}</span> <button className="icon-btn" onClick={() => onCopy(proposal.withdrawal.token?.l2TokenAddress || '').catch(() => addToast('Copy failed', 'error'))}>Copy</button></span></p>}
-                                  {proposal.withdrawal.assetType === 'erc20' && <p className="muted"><span>L1 token</span><span className="value-with-action"><span className="hash-short">{shorten(proposal.withdrawal.token?.l1TokenAddress || proposal.summary?.l1TokenAddress || '')}</span> <button className="icon-btn" onClick={() => onCopy(proposal.withdrawal.token?.l1TokenAddress || proposal.summary?.l1TokenAddress || '').catch(() => addToast('Copy failed', 'error'))}>Copy</button></span></p>}
-                                  <p className="muted"><span>Recipient</span><span className="value-with-action"><span className="hash-short">{shorten(proposal.withdrawal.recipient || proposal.summary?.recipient || '')}</span> <button className="icon-btn" onClick={() => onCopy(proposal.withdrawal.recipient || proposal.summary?.recipient || '').catch(() => addToast('Copy failed', 'error'))}>Copy</button></span></p>
-                                  <p className="muted"><span>Amount</span><strong>{proposal.summary?.amount || '—'}</strong></p>
-                                </div>
-                              </div>
-                            )}
-
-                            <div className="summary-box">
-                              <strong>Timeline</strong>
-                              <ul className="timeline-list muted">
-                                {timeline.map((step) => (
-                                  <li key={step.key} className={step.active ? 'active' : ''}>{step.active ? '⏳' : step.done ? '✓' : '○'} {step.label}</li>
-                                ))}
-                              </ul>
-                              {!isRejected && waitingStepActive && <p className="waiting-inline">Waiting for L1 batch finalization (timing varies).</p>}
-                              {showInlineWarning && <p className="warning-inline">⚠ Something went wrong. Open technical details for more.</p>}
-                            </div>
-
-                            <details>
-                              <summary>Raw execution details</summary>
-                              <div className="stack">
-                                <p className="to-line"><span className="muted">To:</span> <span className="hash-full">{toLabel}</span></p>
-                                <p className="to-line"><span className="muted">Operation:</span> <span>{tx.operation}</span></p>
-                                <p className="to-line"><span className="muted">Value:</span> <span>{tx.value}</span></p>
-                                <p className="to-line"><span className="muted">Data:</span> <span className="hash-full">{shorten(tx.data, 10, 8)}</span></p>
-                                {proposal.summary?.batchedActions?.length ? <p className="muted">Batch calls: {proposal.summary.batchedActions.join(', ')}</p> : null}
-                                {hasRawError ? <p className="to-line"><span className="muted">Last error:</span> <span className="hash-full">{rawError}</span></p> : null}
-                              </div>
-                            </details>
-
-                            {hasRawError && (
-                              <details>
-                                <summary>Technical details</summary>
-                                <p className="muted hash-full">{rawError}</p>
-                              </details>
-                            )}
-
-                            <div className={`inline ${isRejected ? 'deemphasized' : ''}`}>
-                              {isNeedsSig && <Button variant="secondary" disabled={isWrongNetwork} title={isWrongNetwork ? networkBlockedMessage : ''} onClick={() => confirm(proposal).catch((e) => addToast(e.message, 'error'))}>Sign</Button>}
-                              {isReady && <Button disabled={isWrongNetwork} title={isWrongNetwork ? networkBlockedMessage : ''} onClick={() => execute(proposal).catch((e) => addToast(e.message, 'error'))}>Execute</Button>}
-                              {proposal.withdrawal?.status === 'failed' && <Button variant="secondary" onClick={() => retryFinalize(proposal.id).catch((e) => addToast(e.message, 'error'))}>Retry finalize</Button>}
-                            </div>
+                      {queuedGroups.map((group) => (
+                        <div key={`nonce-${group.nonce}`} className="nonce-group">
+                          <div className="nonce-group-head">
+                            <span className="nonce-chip">Nonce #{group.nonce}</span>
+                            {group.hasRejection && <Badge tone="danger">Rejection pending – executing it cancels this nonce</Badge>}
+                            {group.activeCount > 1 && !group.hasRejection && <Badge tone="warning">{group.activeCount} conflicting proposals – only one can execute</Badge>}
                           </div>
-                        );
-                      })}
+                          {group.items.map(renderProposalCard)}
+                        </div>
+                      ))}
+                      {queuedGroups.length > 0 && historyProposals.length > 0 && <p className="detail-grid-title"><strong>History</strong></p>}
+                      {historyProposals.map(renderProposalCard)}
                     </div>
                   )}
                 </Card>
@@ -1252,6 +2409,35 @@ export default function App() {
             )}
 
             {proposalMode === 'custom' && (
+              <Tabs compact value={builderMode} onChange={setBuilderMode} tabs={[{ key: 'builder', label: 'Builder' }, { key: 'raw', label: 'Raw' }]} />
+            )}
+
+            {proposalMode === 'custom' && builderMode === 'builder' && (
+              <div className="stack">
+                <CallBuilder
+                  abiChoices={builderAbiChoices}
+                  loadAbi={loadBuilderAbi}
+                  addressBook={addressBook}
+                  onAdd={(call) => setBuilderCalls((current) => [...current, call])}
+                />
+                {builderCalls.length > 0 && (
+                  <div className="summary-box">
+                    <strong>{builderCalls.length === 1 ? '1 call' : `${builderCalls.length} calls, sent as one MultiSend`}</strong>
+                    <ol className="subcall-list">
+                      {builderCalls.map((call, index) => (
+                        <li key={index}>
+                          {call.label} on {addressBookByAddress.get(call.to.toLowerCase())?.label || shorten(call.to)}
+                          {call.value !== '0' && ` with ${call.value} wei`}{' '}
+                          <button className="icon-btn" onClick={() => setBuilderCalls((current) => current.filter((_, i) => i !== index))}>Remove</button>
+                        </li>
+                      ))}
+                    </ol>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {proposalMode === 'custom' && builderMode === 'raw' && (
               <div className="stack">
                 <label>Target</label>
                 <input value={customTo} onChange={(e) => setCustomTo(e.target.value)} placeholder="0x..." />
@@ -1264,6 +2450,31 @@ export default function App() {
               </div>
             )}
 
+            {['erc20', 'native', 'custom'].includes(proposalMode) && (
+              <details>
+                <summary>Nonce</summary>
+                <input value={proposalNonce} onChange={(e) => setProposalNonce(e.target.value.trim())} placeholder="Next free nonce" />
+                <label className="inline">
+                  <input type="checkbox" checked={replaceAtNonce} disabled={!proposalNonce} onChange={(e) => setReplaceAtNonce(e.target.checked)} />
+                  Replace queued proposals at this nonce
+                </label>
+              </details>
+            )}
+
+            {['erc20', 'native', 'custom'].includes(proposalMode) && (
+              <details>
+                <summary>Schedule</summary>
+                <label>Not before</label>
+                <input type="datetime-local" value={proposalNotBefore} onChange={(e) => setProposalNotBefore(e.target.value)} />
+                <label>Expires at</label>
+                <input type="datetime-local" value={proposalExpiresAt} onChange={(e) => setProposalExpiresAt(e.target.value)} />
+                <label className="inline">
+                  <input type="checkbox" checked={scheduledExecute} disabled={!proposalNotBefore} onChange={(e) => setScheduledExecute(e.target.checked)} />
+                  Execute automatically when the window opens and signatures are complete
+                </label>
+              </details>
+            )}
+
             <div className="summary-box"><strong>Preview:</strong> {proposalPreview}</div>
             {proposalError && <p className="error">{proposalError}</p>}
 
@@ -1275,6 +2486,123 @@ export default function App() {
         </div>
       )}
 
+      {nestedApproval && (
+        <div className="modal-backdrop" onClick={() => setNestedApproval(null)}>
+          <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <h3>Approve via Safe</h3>
+            <p className="muted">{summaryFromProposal(nestedApproval.proposal)}</p>
+            <label>Owner Safe</label>
+            <select value={nestedApproval.childSafeAddress} onChange={(e) => setNestedApproval((current) => ({ ...current, childSafeAddress: e.target.value }))}>
+              {ownerSafes.map((safe) => <option key={safe.safe_address} value={safe.safe_address}>{addressBookByAddress.get(safe.safe_address)?.label || safe.safe_address}</option>)}
+            </select>
+            <label>Method</label>
+            <select value={nestedApproval.method} onChange={(e) => setNestedApproval((current) => ({ ...current, method: e.target.value }))}>
+              <option value="approve_hash">approveHash transaction on the owner Safe</option>
+              <option value="safe_message">Off-chain SafeMessage signature (EIP-1271)</option>
+            </select>
+            <p className="muted">
+              {nestedApproval.method === 'approve_hash'
+                ? 'Queues a proposal on the owner Safe. Once it is executed, this proposal counts the owner Safe as confirmed.'
+                : 'Creates a message for the owner Safe. Once its threshold signs it, the combined signature is added here. The owner Safe needs the compatibility fallback handler.'}
+            </p>
+            <div className="inline">
+              <Button variant="secondary" onClick={() => setNestedApproval(null)}>Cancel</Button>
+              <Button onClick={() => requestNestedApproval(nestedApproval).catch((e) => addToast(e.message, 'error'))}>Create</Button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {signatureImport && (
+        <div className="modal-backdrop" onClick={() => setSignatureImport(null)}>
+          <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <h3>Upload offline signature</h3>
+            <p className="muted">{summaryFromProposal(signatureImport.proposal)}</p>
+            <p className="muted">Sign the downloaded bundle with <code>cast wallet sign --data --from-file &lt;bundle&gt;</code> or another EIP-712 tool. The signer is recovered from the signature and must be an owner of this Safe.</p>
+            <input type="file" accept=".json,.txt,application/json,text/plain" onChange={(e) => loadSignatureFile(e.target.files?.[0]).catch((err) => addToast(err.message, 'error'))} />
+            <textarea rows={3} value={signatureImport.text} placeholder="0x…" onChange={(e) => setSignatureImport((current) => ({ ...current, text: e.target.value }))} />
+            <label>Signature type</label>
+            <select value={signatureImport.signatureType} onChange={(e) => setSignatureImport((current) => ({ ...current, signatureType: e.target.value }))}>
+              <option value="eip712">Typed data (EIP-712)</option>
+              <option value="eth_sign">Message signature over the SafeTxHash (eth_sign)</option>
+            </select>
+            <div className="inline">
+              <Button variant="secondary" onClick={() => setSignatureImport(null)}>Cancel</Button>
+              <Button disabled={!signatureImport.text.trim()} onClick={() => importSignature(signatureImport).catch((e) => addToast(e.message, 'error'))}>Import</Button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {signReview && (
+        <div className="modal-backdrop" onClick={() => setSignReview(null)}>
+          <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <h3>Review before signing</h3>
+            <p className="muted">{summaryFromProposal(signReview.proposal)}</p>
+            <div className="summary-grid">
+              <p className="muted"><span>To</span><span className="hash-full">{signReview.typedData.message.to}</span></p>
+              <p className="muted"><span>Value</span><span>{signReview.typedData.message.value}</span></p>
+              <p className="muted"><span>Operation</span><span>{Number(signReview.typedData.message.operation) === 1 ? 'delegatecall' : 'call'}</span></p>
+              <p className="muted"><span>Nonce</span><span>{signReview.typedData.message.nonce}</span></p>
+              <p className="muted"><span>Data</span><span className="hash-full">{shorten(signReview.typedData.message.data, 10, 8)}</span></p>
+            </div>
+            {signReview.typedData.decodedCall
+              ? <DecodedCall decoded={signReview.typedData.decodedCall} labelFor={(address) => addressBookByAddress.get(address)?.label || shorten(address)} />
+              : signReview.typedData.message.data !== '0x' && <p className="warning-inline">⚠ No ABI is known for this target. You are signing raw calldata.</p>}
+            {signReview.proposal.summary?.subCalls?.length > 0 && (
+              <details>
+                <summary>{signReview.proposal.summary.subCalls.length} batched calls</summary>
+                <SubCallList calls={signReview.proposal.summary.subCalls} labelFor={(address) => addressBookByAddress.get(address)?.label || shorten(address)} />
+              </details>
+            )}
+            <label>Signing method</label>
+            <select value={signReview.method} onChange={(e) => setSignReview((current) => ({ ...current, method: e.target.value }))}>
+              <option value="eip712">Typed data (EIP-712)</option>
+              <option value="eth_sign">Message signature (eth_sign) for wallets without typed data</option>
+              <option value="approved_hash">Already approved on chain (approveHash)</option>
+            </select>
+            <div className="inline">
+              <Button variant="secondary" onClick={() => setSignReview(null)}>Cancel</Button>
+              <Button disabled={isWrongNetwork} title={isWrongNetwork ? networkBlockedMessage : ''} onClick={() => confirm(signReview.proposal, signReview.typedData, signReview.method).catch((e) => addToast(e.message, 'error'))}>{signReview.method === 'approved_hash' ? 'Submit approval' : 'Sign in wallet'}</Button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {batchModalOpen && (
+        <div className="modal-backdrop" onClick={() => setBatchModalOpen(false)}>
+          <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <h3>Bulk payout</h3>
+            <p className="muted">One row per transfer: <code>token,recipient,amount</code>. Use a token symbol or address, or leave the token empty for {prividium.chain.nativeCurrency.symbol}. A header row is optional.</p>
+            <input type="file" accept=".csv,text/csv" onChange={(e) => loadBatchFile(e.target.files?.[0]).catch((err) => setBatchError(err.message))} />
+            <textarea rows={8} value={batchCsv} placeholder={'token,recipient,amount\nUSDC,0x…,250'} onChange={(e) => { setBatchCsv(e.target.value); setBatchPreview(null); }} />
+
+            {batchError && <p className="error">{batchError}</p>}
+            {batchRowErrors.length > 0 && (
+              <table className="batch-table">
+                <thead><tr><th>Line</th><th>Problem</th></tr></thead>
+                <tbody>
+                  {batchRowErrors.map((rowError) => (
+                    <tr key={rowError.row}><td>{rowError.row}</td><td className="error">{rowError.errors.join('; ')}</td></tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {batchPreview && (
+              <div className="summary-box">
+                <strong>Preview:</strong> {batchPreview.transfers.length} transfers, totals {batchPreview.totals.map((total) => `${total.amount} ${total.tokenSymbol}`).join(', ')}
+              </div>
+            )}
+
+            <div className="inline">
+              <Button variant="secondary" onClick={() => setBatchModalOpen(false)}>Cancel</Button>
+              <Button variant="secondary" disabled={!batchCsv.trim()} onClick={() => submitBatch({ dryRun: true })}>Validate</Button>
+              <Button disabled={isWrongNetwork || !batchPreview} title={isWrongNetwork ? networkBlockedMessage : batchPreview ? '' : 'Validate the rows first'} onClick={() => submitBatch({ dryRun: false }).catch((e) => addToast(e.message, 'error'))}>Create proposal</Button>
+            </div>
+          </div>
+        </div>
+      )}
+
       <Toasts items={toasts} onDismiss={(id) => setToasts((current) => current.filter((toast) => toast.id !== id))} />
     </div>
   );